@@ -6,19 +6,31 @@
 const fs = require('fs').promises;
 const utils = require('./utils');
 const mson = require('./mson');
+const fileUtils = require('./fileUtils');
 
 const TableReducer = require('./TableReducer');
 const TableRowsMem = require('./TableRowsMem');
 const TableRowsFile = require('./TableRowsFile');
+const TableWal = require('./TableWal');
+const TableChangeLog = require('./TableChangeLog');
+const TableQuery = require('./TableQuery');
+const TableAggregate = require('./TableAggregate');
 const LockQueue = require('./LockQueue');
 
 const maxChangesLength = 10;
+const maxWalSize = 1024*1024;//bytes
+const durabilityModes = ['none', 'flush', 'fsync'];
+const changeLogDefaults = {maxSize: 100*1024*1024, maxAge: 0};
+const patchOps = ['set', 'unset', 'inc', 'push'];
+const conflictActions = ['ignore', 'replace', 'merge'];
 
 class BasicTable {
     constructor() {
         this.type = 'basic';
 
         this.rowsInterface = null;
+        this.wal = null;
+        this.changeLog = null;
 
         this.autoIncrement = 0;
         this.fileError = '';
@@ -30,6 +42,14 @@ class BasicTable {
         this.deltaStep = 0;
         this.changes = [];
 
+        //transaction
+        this.holdChanges = false;
+        this.txJournal = null;//Map, id => row before transaction (null if row did not exist)
+        this.txChanges = null;//change events held until commit
+
+        this.changeListeners = new Set();
+        this.changeHook = null;//async (oldRows, newRows), set by owner table or database, called before rows are changed
+
         //table options defaults
         this.inMemory = false;
         this.cacheSize = 5;
@@ -37,6 +57,7 @@ class BasicTable {
         this.recreate = false;
         this.autoRepair = false;
         this.forceFileClosing = false;
+        this.durability = 'none';
     }
 
     _checkErrors() {
@@ -51,6 +72,9 @@ class BasicTable {
     }
 
     async _waitForSaveChanges() {
+        if (this.holdChanges)
+            return;
+
         if (this.changes.length > maxChangesLength) {
             let i = this.changes.length - maxChangesLength;
             while (i > 0 && this.changes.length > maxChangesLength) {
@@ -199,6 +223,15 @@ class BasicTable {
 
         await this._cloneTable(this.tablePath, tempTablePath);
 
+        //write-ahead log is replayed after recreating
+        const walPath = `${this.tablePath}/wal`;
+        if (await utils.pathExists(walPath))
+            await fs.copyFile(walPath, `${tempTablePath}/wal`);
+
+        const changeLogPath = `${this.tablePath}/changelog`;
+        if (await utils.pathExists(changeLogPath))
+            await fs.cp(changeLogPath, `${tempTablePath}/changelog`, { recursive: true });
+
         await fs.rm(this.tablePath, { recursive: true, force: true });
         await fs.rename(tempTablePath, this.tablePath);
     }
@@ -212,6 +245,9 @@ class BasicTable {
         autoRepair: Boolean, false,
         forceFileClosing: Boolean, false,
         typeCompatMode: Boolean, false,
+        durability: 'none' | 'flush' | 'fsync', 'none'
+        changeLog: Boolean || {maxSize: Number, maxAge: Number}, false, maxSize in bytes (100Mb), maxAge in ms (0 - unlimited),
+            kept in table: applies to next opens without this param, false disables it
     }
     */
     async open(query = {}) {
@@ -239,6 +275,10 @@ class BasicTable {
                 this.recreate = query.recreate || false;
                 this.autoRepair = query.autoRepair || false;
                 this.forceFileClosing = query.forceFileClosing || false;
+                this.durability = query.durability || 'none';
+
+                if (!durabilityModes.includes(this.durability))
+                    throw new Error(`Unknown durability mode '${this.durability}'`);
 
                 let create = true;
                 if (await utils.pathExists(this.tablePath)) {
@@ -285,6 +325,18 @@ class BasicTable {
 
                 this.reducer = new TableReducer(this.inMemory, this.tablePath, this.compressed, this.rowsInterface);
 
+                const syncFiles = (this.durability === 'fsync');
+                this.tableRowsFile.syncFiles = syncFiles;
+                this.reducer._syncFiles = syncFiles;
+
+                this.wal = new TableWal(`${this.tablePath}/wal`);
+
+                const changeLogOpts = await this._changeLogOptions(query.changeLog);
+                if (changeLogOpts) {
+                    this.changeLog = new TableChangeLog(`${this.tablePath}/changelog`, changeLogOpts.maxSize, changeLogOpts.maxAge);
+                    await this.changeLog.load();
+                }
+
                 //load
                 try {
                     if (state === '1') {
@@ -308,6 +360,10 @@ class BasicTable {
             }
 
             this.opened = true;
+
+            //apply changes that have been logged but not saved
+            if (this.wal)
+                await this._replayWal();
         } catch(e) {
             await this.close();
             throw new Error(`Open table (${query.tablePath}): ${e.message}`);
@@ -316,6 +372,29 @@ class BasicTable {
         }
     }
 
+    //change log options saved in table, null if change log is disabled
+    async _changeLogOptions(param) {
+        const optionsPath = `${this.tablePath}/changelog/options`;
+
+        if (param === undefined || param === null) {
+            if (!await utils.pathExists(optionsPath))
+                return null;
+            return mson.decode(await fs.readFile(optionsPath, 'utf8'));
+        }
+
+        if (!param) {
+            await utils.deleteFile(optionsPath);
+            return null;
+        }
+
+        const opts = Object.assign({}, changeLogDefaults, (typeof(param) === 'object' ? param : {}));
+        await fs.mkdir(`${this.tablePath}/changelog`, { recursive: true });
+        await fs.writeFile(`${optionsPath}.tmp`, mson.encode(opts));
+        await fs.rename(`${optionsPath}.tmp`, optionsPath);
+
+        return opts;
+    }
+
     async close() {
         if (this.closing || this.closed)
             return;
@@ -342,6 +421,26 @@ class BasicTable {
                 }
             }
 
+            if (this.wal) {
+                try {
+                    if (!this.fileError && !this.holdChanges)
+                        await this._checkpointWal(true);
+                    await this.wal.close();
+                } catch(e) {
+                    //
+                }
+            }
+            this.wal = null;
+
+            if (this.changeLog) {
+                try {
+                    await this.changeLog.close();
+                } catch(e) {
+                    //
+                }
+            }
+            this.changeLog = null;
+
             //for GC
             if (this.reducer)
                 await this.reducer._destroy();
@@ -362,6 +461,13 @@ class BasicTable {
         flag:  Object || Array, {name: 'flag1', check: '(r) => r.id > 10'}
         hash:  Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
         index: Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
+            compound hash or index: {fields: ['field1', 'field2'], type: ['number', 'string'], name: 'field1,field2'}, index is queried by @@compoundIndex(name, from, to)
+            expression hash or index: {name: 'emailLower', expr: '(r) => r.email.toLowerCase()', type: 'string'}, queried by name as field
+            multi-value hash or index: {field: 'tags', multi: true}, every array element refers to row, @@hash('tags', 'a') finds rows containing 'a'
+        fulltext: Object || Array, {field: 'field1', stemming: false, minLength: 1}, queried by @@fulltext('field1', 'words prefix*')
+        schema: Object, JSON Schema of rows, replaces current one, existing rows must conform
+        references: Object || Array, {field: 'authorId', table: 'authors', onDelete: 'restrict' || 'cascade' || 'setNull'}, enforced by database
+        referrers: Object || Array, {table: 'books', field: 'authorId'}, reference of other table to this one, set by database
     }
     result = {}
     */
@@ -390,6 +496,28 @@ class BasicTable {
                     }
                 }
 
+                if (query.fulltext) {
+                    for (const fulltext of utils.paramToArray(query.fulltext)) {
+                        await this.reducer._addFulltext(fulltext, query.quietIfExists, this.deltaStep);
+                    }
+                }
+
+                if (query.schema) {
+                    await this.reducer._setSchema(query.schema, this.deltaStep);
+                }
+
+                if (query.references) {
+                    for (const reference of utils.paramToArray(query.references)) {
+                        await this.reducer._addReference(reference, query.quietIfExists, this.deltaStep);
+                    }
+                }
+
+                if (query.referrers) {
+                    for (const referrer of utils.paramToArray(query.referrers)) {
+                        await this.reducer._addReferrer(referrer, this.deltaStep);
+                    }
+                }
+
                 this.changes.push([this.deltaStep, 1]);
             } catch(e) {
                 this.changes.push([this.deltaStep, 0]);
@@ -406,8 +534,12 @@ class BasicTable {
     /*
     query = {
         flag:  Object || Array, {name: 'flag1'}
-        hash:  Object || Array, {field: 'field1'}
-        index: Object || Array, {field: 'field1'}
+        hash:  Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'hash1'}
+        index: Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'index1'}
+        fulltext: Object || Array, {field: 'field1'}
+        schema: Boolean, removes schema
+        references: Object || Array, {field: 'authorId'}
+        referrers: Object || Array, {table: 'books', field: 'authorId'}
     }
     result = {}
     */
@@ -426,13 +558,35 @@ class BasicTable {
 
                 if (query.hash) {
                     for (const hash of utils.paramToArray(query.hash)) {
-                        await this.reducer._delHash(hash.field, this.deltaStep);
+                        await this.reducer._delHash(this.reducer._structName(hash), this.deltaStep);
                     }
                 }
 
                 if (query.index) {
                     for (const index of utils.paramToArray(query.index)) {
-                        await this.reducer._delIndex(index.field, this.deltaStep);
+                        await this.reducer._delIndex(this.reducer._structName(index), this.deltaStep);
+                    }
+                }
+
+                if (query.fulltext) {
+                    for (const fulltext of utils.paramToArray(query.fulltext)) {
+                        await this.reducer._delFulltext(fulltext.field, this.deltaStep);
+                    }
+                }
+
+                if (query.schema) {
+                    await this.reducer._setSchema(null, this.deltaStep);
+                }
+
+                if (query.references) {
+                    for (const reference of utils.paramToArray(query.references)) {
+                        await this.reducer._delReference(reference.field, this.deltaStep);
+                    }
+                }
+
+                if (query.referrers) {
+                    for (const referrer of utils.paramToArray(query.referrers)) {
+                        await this.reducer._delReferrer(referrer, this.deltaStep);
                     }
                 }
 
@@ -456,6 +610,10 @@ class BasicTable {
         flag:  Array, [{name: 'flag1', check: '(r) => r.id > 10'}, ...]
         hash:  Array, [{field: 'field1', type: 'string', depth: 11, allowUndef: false}, ...]
         index: Array, [{field: 'field1', type: 'string', depth: 11, allowUndef: false}, ...]
+        fulltext: Array, [{field: 'field1', stemming: false, minLength: 1}, ...]
+        schema: Object || null,
+        references: Array, [{field: 'authorId', table: 'authors', onDelete: 'restrict'}, ...]
+        referrers: Array, [{table: 'books', field: 'authorId'}, ...]
     }
     */
     async getMeta() {
@@ -467,9 +625,21 @@ class BasicTable {
             flag: this.reducer._listFlag(),
             hash: this.reducer._listHash(),
             index: this.reducer._listIndex(),
+            fulltext: this.reducer._listFulltext(),
+            schema: this.reducer._getSchema(),
+            references: this.reducer._listReferences(),
+            referrers: this.reducer._listReferrers(),
         };
     }
 
+    _getReferences() {
+        return this.reducer._listReferences();
+    }
+
+    _getReferrers() {
+        return this.reducer._listReferrers();
+    }
+
     _prepareWhere(where) {
         if (typeof(where) !== 'string')
             throw new Error('query.where must be a string');
@@ -477,32 +647,139 @@ class BasicTable {
         return `async(__tr) => {${where.replace(/@@/g, 'return await __tr.').replace(/@/g, 'await __tr.')}}`;
     }
 
+    //where: String with reducer calls or declarative object, see TableQuery
+    async _reduceWhere(where, explain = null) {
+        const reducer = (explain ? this._explainReducer(explain) : this.reducer);
+
+        if (where && typeof(where) === 'object') {
+            const tableQuery = new TableQuery(where);
+            if (explain)
+                explain.plan = await tableQuery.plan(this.reducer);
+
+            return await tableQuery.reduce(reducer);
+        }
+
+        const whereFunc = new Function(`'use strict'; return ${this._prepareWhere(where)}`)();
+
+        return await whereFunc(reducer);
+    }
+
+    //records public reducer calls to explain.steps: {call, args, count, time},
+    //rows loaded by reducer are counted to explain
+    _explainReducer(explain) {
+        const summary = (value) => {
+            if (value instanceof Set)
+                return `Set(${value.size})`;
+            if (Array.isArray(value))
+                return (value.length > 10 ? `Array(${value.length})` : value.map(summary));
+            if (typeof(value) === 'function')
+                return 'function';
+            return value;
+        };
+
+        const rowsInterface = this.rowsInterface;
+        const queryRows = Object.create(rowsInterface, {
+            getRow: {value: (id) => rowsInterface.getRow(id, explain)},
+        });
+        const queryReducer = Object.create(this.reducer, {
+            _rowsInterface: {value: queryRows},
+        });
+
+        return new Proxy(this.reducer, {
+            get: (target, prop) => {
+                const value = target[prop];
+                if (typeof(value) !== 'function')
+                    return value;
+                if (typeof(prop) !== 'string' || prop[0] === '_')
+                    return value.bind(queryReducer);
+
+                return async(...args) => {
+                    const start = Date.now();
+                    const result = await value.apply(queryReducer, args);
+
+                    let count;
+                    if (result instanceof Set)
+                        count = result.size;
+                    else if (Array.isArray(result))
+                        count = result.length;
+
+                    explain.steps.push({call: prop, args: args.map(summary), count, time: Date.now() - start});
+                    return result;
+                };
+            },
+        });
+    }
+
+    //explain counts rows and blocks loaded by its query only, it is passed to rows interface as stats
+    _beginExplain(where) {
+        return {
+            where: (where ? (typeof(where) === 'object' ? 'declarative' : 'reducer') : 'none'),
+            plan: null,
+            steps: [],
+            candidates: this.rowsInterface.getAllIdsSize(),//full scan unless where reduces it
+            rowsLoaded: 0,
+            blocksLoaded: 0,
+            resultCount: 0,
+            time: Date.now(),
+        };
+    }
+
+    _endExplain(explain, ids, resultCount) {
+        if (ids instanceof Set)
+            explain.candidates = ids.size;
+        else if (Array.isArray(ids))
+            explain.candidates = ids.length;
+
+        explain.resultCount = resultCount;
+        explain.time = Date.now() - explain.time;
+
+        return explain;
+    }
+
     /*
     query = {
         count: Boolean,
         rawResult: Boolean,
-        where: `@@index('field1', 10, 20)`,
+        plan: Boolean, returns [{plan}], access path chosen for declarative where, without selection
+        explain: Boolean, returns [{explain}] instead of rows: reducer calls, id counts, rows and blocks loaded, time
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         distinct: 'fieldName' || Array,
-        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName'},
+        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName',
+            aggregates: {total: {sum: 'price'}, avgAge: {avg: 'age'}, first: {min: 'date'}, last: {max: 'date'}},
+            partial: Boolean, aggregates states {n, sum, value} instead of values, for merging results of shards},
         map: '(r) => ({id1: r.id, ...})',
         sort: '(a, b) => a.id - b.id',
+        orderBy: {field: 'field1', desc: false}, by index of field if exists: only rows of limit&offset page are loaded
         limit: 10,
         offset: 10,
+        cursor: true || String, keyset pagination by query.orderBy and id, or by id, query.limit required,
+            returns [{rows: Array, nextCursor: String || null}], next page is selected with {cursor: nextCursor}
     }
     result = Array
     */
     async select(query = {}) {
         this._checkErrors();
 
+        //chosen access path only
+        if (query.plan) {
+            if (query.where && typeof(query.where) !== 'object')
+                throw new Error(`query.plan param requires declarative query.where`);
+
+            const plan = (query.where ?
+                await (new TableQuery(query.where)).plan(this.reducer) :
+                {type: 'scan', estimate: await this.reducer.allSize()}
+            );
+            return [{plan}];
+        }
+
+        const explain = (query.explain ? this._beginExplain(query.where) : null);
+
         let ids;//iterator
         //where condition
         if (query.where) {
-            const where = this._prepareWhere(query.where);
-            const whereFunc = new Function(`'use strict'; return ${where}`)();
+            ids = await this._reduceWhere(query.where, explain);
 
-            ids = await whereFunc(this.reducer);
-
-            if (query.rawResult)
+            if (query.rawResult && !explain)
                 return [{rawResult: ids}];
         } else {
             if (query.rawResult)
@@ -514,6 +791,8 @@ class BasicTable {
 
         //grouping
         let inGroup = () => false;
+        let groupKey = null;
+        let aggregate = null;
         const groupMap = new Map();
         const doCount = query.group && query.group.countField;
 
@@ -521,32 +800,16 @@ class BasicTable {
             if (query.distinct && query.group)
                 throw new Error(`One of query.distinct or query.qroup params expected, but not both`);
 
-            let groupByField = null;
-            let groupByExpr = null;
-            if (query.distinct)
-                groupByField = (Array.isArray(query.distinct) ? query.distinct : [query.distinct]);
-            
-            if (query.group) {
-                if (query.group.byField && query.group.byExpr)
-                    throw new Error(`One of query.qroup.byField or query.qroup.byExpr params expected, but not both`);
-                if (query.group.byField) {
-                    groupByField = (Array.isArray(query.group.byField) ? query.group.byField : [query.group.byField]);
-                } else if (query.group.byExpr) {
-                    groupByExpr = new Function(`'use strict'; return ${query.group.byExpr}`)();
-                }
-            }
+            groupKey = TableAggregate.groupKeyFunc(query.distinct, query.group);
+            if (query.group && query.group.aggregates)
+                aggregate = new TableAggregate(query.group.aggregates);
 
             //returns (count - 1) group size
             inGroup = (row) => {
-                let groupingValue = '';
-                if (groupByField) {
-                    for (const field of groupByField) {
-                        const value = mson.encode(row[field]);
-                        groupingValue += value.length + value;
-                    }
-                } else if (groupByExpr) {
-                    groupingValue = groupByExpr(row);
-                }
+                const groupingValue = groupKey(row);
+
+                if (aggregate)
+                    aggregate.add(groupingValue, row);
 
                 if (groupMap.has(groupingValue)) {
                     if (doCount) {
@@ -562,8 +825,25 @@ class BasicTable {
             };
         }
 
+        //ordering
+        let orderIndex = null;
+        if (query.orderBy) {
+            if (query.sort)
+                throw new Error(`One of query.sort or query.orderBy params expected, but not both`);
+            if (!query.orderBy.field)
+                throw new Error(`query.orderBy.field param expected`);
+
+            const index = this.reducer._getIndex(query.orderBy.field);
+            if (index && !index.compound && !index.multi)
+                orderIndex = index;
+        }
+
+        //keyset pagination
+        const cursor = (query.cursor ? this._prepareCursor(query, orderIndex) : null);
+
         //selection
         let found = [];
+        let skipped = 0;//rows of offset skipped without loading
         if (query.count && !query.distinct && !query.group) {//optimization
             if (query.where) {
                 let count = 0;
@@ -575,9 +855,94 @@ class BasicTable {
             } else {
                 found = [{count: this.rowsInterface.getAllIdsSize()}];
             }
+        } else if (orderIndex) {//walking index in order, only rows needed for the page are loaded
+            const inIds = (query.where && !(ids instanceof Set) ? new Set(ids) : ids);
+            const hasId = (id) => (query.where ? inIds.has(id) : this.rowsInterface.hasRow(id));
+            const canSkip = (!query.count && !query.distinct && !query.group);
+            const offset = query.offset || 0;
+            let need = (utils.hasProp(query, 'limit') && !query.count && !doCount && !aggregate ? offset + query.limit : Infinity);
+            if (cursor)
+                need = query.limit + 1;//one more row shows if there is next page
+
+            //cursor in rows without indexed value
+            const afterTail = (cursor && cursor.after && cursor.after.value === undefined);
+
+            //row is passed if already loaded
+            const take = async(id, row = null) => {
+                if (canSkip && skipped < offset) {
+                    skipped++;
+                    return;
+                }
+
+                if (!row)
+                    row = await this.rowsInterface.getRow(id, explain);
+                if (row && !inGroup(row)) {
+                    found.push(row);
+                }
+            };
+
+            const walked = new Set();
+            const after = (cursor && cursor.after && !afterTail ? cursor.after : null);
+            const sign = (query.orderBy.desc ? -1 : 1);
+            const from = (after ? orderIndex.prepareValue(after.value) : undefined);
+            for (let [value, ids] of orderIndex.sortedValues(query.orderBy.desc, from)) {
+                if (skipped + found.length >= need)
+                    break;
+
+                for (const id of ids)
+                    walked.add(id);
+                if (afterTail)
+                    continue;
+
+                ids = ids.filter(hasId);
+                //cursor holds full value, rows of its prepared value are compared by full values
+                const atCursor = (after && orderIndex.cmp(value, from) === 0);
+                if (atCursor && !orderIndex.valueAsString)
+                    ids = ids.filter((id) => sign*utils.cmpId(id, after.id) > 0);
+
+                if ((ids.length > 1 || atCursor) && orderIndex.valueAsString) {
+                    for (const row of await this._orderIndexValue(orderIndex, ids, query.orderBy.desc, (atCursor ? after : null), explain)) {
+                        if (skipped + found.length >= need)
+                            break;
+                        await take(row.id, row);
+                    }
+                } else {
+                    for (const id of ids) {
+                        if (skipped + found.length >= need)
+                            break;
+                        await take(id);
+                    }
+                }
+            }
+
+            //rows without indexed value go last
+            if (skipped + found.length < need) {
+                let tail = (query.where ? inIds : this.rowsInterface.getAllIds());
+                if (cursor) {//walked ids are needed for cursor too, as ids before it are not walked
+                    const sign = (cursor.desc ? -1 : 1);
+                    for (const id of orderIndex.sortedIds())
+                        walked.add(id);
+
+                    tail = Array.from(tail).filter((id) => !walked.has(id)).sort((a, b) => sign*utils.cmpId(a, b));
+                    if (afterTail)
+                        tail = tail.filter((id) => sign*utils.cmpId(id, cursor.after.id) > 0);
+                }
+
+                for (const id of tail) {
+                    if (skipped + found.length >= need)
+                        break;
+
+                    if (!walked.has(id))
+                        await take(id);
+                }
+            }
+
+            if (query.count) {
+                found = [{count: found.length}];
+            }
         } else {//full running
             for (const id of ids) {
-                const row = await this.rowsInterface.getRow(id);
+                const row = await this.rowsInterface.getRow(id, explain);
 
                 if (row && !inGroup(row)) {
                     found.push(row);
@@ -589,12 +954,37 @@ class BasicTable {
             }
         }
 
+        //ordering without index
+        if ((query.orderBy || cursor) && !orderIndex && !query.count) {
+            const cmp = (cursor ? utils.orderCmp(cursor.field, cursor.desc) : utils.orderCmp(query.orderBy.field, query.orderBy.desc));
+            found.sort(cmp);
+
+            if (cursor && cursor.after) {
+                const afterRow = {[cursor.field]: cursor.after.value, id: cursor.after.id};
+                found = found.filter((row) => cmp(row, afterRow) > 0);
+            }
+        }
+
+        let nextCursor = null;
+        if (cursor && found.length > query.limit) {
+            found = found.slice(0, query.limit);
+            nextCursor = this._encodeCursor(cursor, found[found.length - 1], orderIndex);
+        }
+
         found = utils.cloneDeep(found);//for safu
 
         //grouping count field
         if (doCount) {
             for (const row of found) {
-                row[query.group.countField] = inGroup(row);
+                row[query.group.countField] = groupMap.get(groupKey(row));
+            }
+        }
+
+        //grouping aggregates, partial states are merged by sharded table
+        if (aggregate) {
+            for (const row of found) {
+                const groupingValue = groupKey(row);
+                Object.assign(row, (query.group.partial ? aggregate.partial(groupingValue) : aggregate.values(groupingValue)));
             }
         }
 
@@ -618,24 +1008,185 @@ class BasicTable {
 
         //limits&offset
         if (utils.hasProp(query, 'limit') || utils.hasProp(query, 'offset')) {
-            const offset = query.offset || 0;
+            const offset = (query.offset || 0) - skipped;
             const limit = (utils.hasProp(query, 'limit') ? query.limit : result.length);
             result = result.slice(offset, offset + limit);
         }
 
+        if (explain)
+            return [{explain: this._endExplain(explain, ids, result.length)}];
+
+        if (cursor)
+            return [{rows: result, nextCursor}];
+
         return result;
     }
 
+    //rows of ids having equal prepared value of index ordered by full values, index keeps strings truncated to its depth,
+    //after = {value, id}: rows right after full value and id only
+    async _orderIndexValue(index, ids, desc, after = null, explain = null) {
+        const rows = [];
+        for (const id of ids) {
+            const row = await this.rowsInterface.getRow(id, explain);
+            if (row)
+                rows.push(row);
+        }
+
+        const cmp = utils.orderCmp('value', desc);
+        let keys = rows.map((row) => ({value: index.rowValue(row), id: row.id, row})).sort(cmp);
+        if (after)
+            keys = keys.filter((key) => cmp(key, after) > 0);
+
+        return keys.map((key) => key.row);
+    }
+
+    //cursor = {field, desc, index: Boolean, after: null || {value, id}}, ordering is by query.orderBy or by id
+    _prepareCursor(query, orderIndex) {
+        if (!utils.hasProp(query, 'limit'))
+            throw new Error(`query.limit param expected if query.cursor is set`);
+        if (query.offset || query.sort || query.distinct || query.group || query.count)
+            throw new Error(`query.cursor param can not be used with query.offset, query.sort, query.distinct, query.group or query.count`);
+
+        const cursor = {
+            field: (query.orderBy ? query.orderBy.field : 'id'),
+            desc: !!(query.orderBy && query.orderBy.desc),
+            index: !!orderIndex,
+            after: null,
+        };
+
+        if (typeof(query.cursor) === 'string') {
+            let after;
+            try {
+                after = JSON.parse(Buffer.from(query.cursor, 'base64').toString());
+            } catch(e) {
+                throw new Error(`Wrong query.cursor`);
+            }
+
+            if (after.field !== cursor.field || after.desc !== cursor.desc || after.index !== cursor.index)
+                throw new Error(`query.cursor does not match query.orderBy or index of the field`);
+
+            cursor.after = {value: after.value, id: after.id};
+        }
+
+        return cursor;
+    }
+
+    //opaque string, value is full value of field (or of expression index), not truncated by index
+    _encodeCursor(cursor, lastRow, orderIndex) {
+        const value = (cursor.index ? orderIndex.rowValue(lastRow) : lastRow[cursor.field]);
+
+        const data = {field: cursor.field, desc: cursor.desc, index: cursor.index, value, id: lastRow.id};
+        return Buffer.from(JSON.stringify(data)).toString('base64');
+    }
+
+    /*
+    query = {
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
+        map: '(r) => ({id1: r.id, ...})',
+        orderBy: {field: 'field1', desc: false}, without index of field only values of field are held in memory
+        limit: 10,
+        offset: 10,
+    }
+    result = async iterator of rows, rows are loaded one by one
+    */
+    async *selectStream(query = {}) {
+        this._checkErrors();
+
+        for (const param of ['count', 'rawResult', 'plan', 'explain', 'distinct', 'group', 'sort', 'cursor']) {
+            if (query[param])
+                throw new Error(`query.${param} param is not supported by selectStream`);
+        }
+
+        let ids;//iterator
+        if (query.where) {
+            ids = await this._reduceWhere(query.where);
+        } else {
+            ids = this.rowsInterface.getAllIds();
+        }
+
+        //ordering
+        if (query.orderBy) {
+            if (!query.orderBy.field)
+                throw new Error(`query.orderBy.field param expected`);
+
+            const field = query.orderBy.field;
+            const index = this.reducer._getIndex(field);
+            if (index && !index.compound && !index.multi) {
+                const inIds = (query.where && !(ids instanceof Set) ? new Set(ids) : ids);
+                const hasId = (id) => (query.where ? inIds.has(id) : this.rowsInterface.hasRow(id));
+                const indexValues = index.sortedValues(query.orderBy.desc);
+                const orderIndexValue = (index.valueAsString ? (ids) => this._orderIndexValue(index, ids, query.orderBy.desc) : null);
+
+                ids = (async function* () {
+                    const walked = new Set();
+                    for (let [, valueIds] of indexValues) {
+                        for (const id of valueIds)
+                            walked.add(id);
+
+                        valueIds = valueIds.filter(hasId);
+                        if (valueIds.length > 1 && orderIndexValue)
+                            valueIds = (await orderIndexValue(valueIds)).map((row) => row.id);
+
+                        yield* valueIds;
+                    }
+
+                    //rows without indexed value go last
+                    for (const id of (query.where ? inIds : this.rowsInterface.getAllIds())) {
+                        if (!walked.has(id))
+                            yield id;
+                    }
+                }).call(this);
+            } else {
+                const keys = [];
+                for (const id of ids) {
+                    const row = await this.rowsInterface.getRow(id);
+                    if (row)
+                        keys.push({[field]: row[field], id});
+                }
+                keys.sort(utils.orderCmp(field, query.orderBy.desc));
+
+                ids = keys.map((key) => key.id);
+            }
+        }
+
+        const mapFunc = (query.map ? new Function(`'use strict'; return ${query.map}`)() : null);
+        const limit = (utils.hasProp(query, 'limit') ? query.limit : Infinity);
+        let offset = query.offset || 0;
+        let count = 0;
+
+        for await (const id of ids) {
+            if (count >= limit)
+                break;
+
+            const row = await this.rowsInterface.getRow(id);
+            if (!row)
+                continue;
+
+            if (offset > 0) {
+                offset--;
+                continue;
+            }
+
+            const rowCopy = utils.cloneDeep(row);//for safu
+            yield (mapFunc ? mapFunc(rowCopy) : rowCopy);
+            count++;
+        }
+    }
+
     /*
     query = {
         ignore: Boolean,
         replace: Boolean,
+        onConflict: {field: 'fieldName', action: 'ignore' || 'replace' || 'merge'}, existing row is found
+            by unique hash or index of field (or by id), replaced row keeps its id, merged row gets all fields of row
     (!) rows: Array,
     }
     result = {
     (!) inserted: Number,
-    (!) replaced: Number,
+    (!) replaced: Number, replaced or merged with query.onConflict
     (!) lastInsertId: Number,
+        conflicts: [{row: Number, id, field: 'fieldName', value, action}], with query.onConflict only,
+            row is index in query.rows, id is id of existing row
     }
     */
     async insert(query = {}) {
@@ -646,6 +1197,20 @@ class BasicTable {
             if (query.ignore && query.replace)
                 throw new Error(`One of query.ignore or query.replace params expected, but not both`);
 
+            if (query.onConflict) {
+                if (query.ignore || query.replace)
+                    throw new Error(`query.onConflict param can not be used with query.ignore or query.replace`);
+
+                const {field, action} = query.onConflict;
+                if (!field)
+                    throw new Error(`query.onConflict.field param expected`);
+                if (!conflictActions.includes(action))
+                    throw new Error(`query.onConflict.action must be one of ${conflictActions.join(', ')}`);
+
+                const result = await this._upsert({rows: query.rows}, field, action);
+                return {inserted: result.inserted, replaced: result.updated, lastInsertId: result.lastInsertId, conflicts: result.conflicts};
+            }
+
             if (!Array.isArray(query.rows)) {
                 throw new Error('query.rows must be an array');
             }
@@ -690,9 +1255,14 @@ class BasicTable {
                 newRowsSer.push(mson.encode([newRow.id, newRow]));//because of serialization errors
             }
 
+            this.reducer._validateRows(newRows);
+            await this._callChangeHook(oldRows, newRows);
+
             const result = {inserted: 0, replaced: 0, lastInsertId: -1};
             this.deltaStep++;
             try {
+                this._journalRows(oldRows, newRows);
+
                 //reducer
                 this.reducer._update(oldRows, newRows, this.deltaStep);
 
@@ -715,9 +1285,12 @@ class BasicTable {
                 this.changes.push([this.deltaStep, 1]);
             } catch(e) {
                 this.changes.push([this.deltaStep, 0]);
+                await this._callChangeHook(newRows, oldRows, true);
                 throw e;
             }
 
+            await this._writeWal(oldRows, newRows, newRowsSer);
+            await this._notifyChanges(oldRows, newRows);
             await this._waitForSaveChanges();
             return result;
         } finally {
@@ -726,16 +1299,283 @@ class BasicTable {
         }
     }
 
+    //mod function from declarative patch params of query
+    _patchFunc(query) {
+        if (!patchOps.some((op) => utils.hasProp(query, op)))
+            throw new Error(`query.mod or patch params (${patchOps.join(', ')}) expected`);
+
+        const set = query.set || {};
+        const unset = (utils.hasProp(query, 'unset') ? utils.paramToArray(query.unset) : []);
+        const inc = query.inc || {};
+        const push = query.push || {};
+
+        for (const op of ['set', 'inc', 'push']) {
+            const fields = query[op];
+            if (fields !== undefined && (!fields || typeof(fields) !== 'object' || Array.isArray(fields)))
+                throw new Error(`query.${op} must be an object`);
+        }
+
+        for (const field of [...Object.keys(set), ...unset, ...Object.keys(inc), ...Object.keys(push)]) {
+            if (typeof(field) !== 'string' || field === '')
+                throw new Error(`Patch field name must be a non-empty string`);
+            if (field === 'id')
+                throw new Error(`Patch can not change row id`);
+        }
+
+        for (const [field, value] of Object.entries(inc)) {
+            if (typeof(value) !== 'number')
+                throw new Error(`query.inc.${field} must be a number`);
+        }
+
+        return (row) => {
+            for (const [field, value] of Object.entries(set))
+                row[field] = utils.cloneDeep(value);
+
+            for (const field of unset)
+                delete row[field];
+
+            for (const [field, value] of Object.entries(inc)) {
+                if (row[field] === undefined)
+                    row[field] = 0;
+                if (typeof(row[field]) !== 'number')
+                    throw new Error(`Can not increment field '${field}' of row ${mson.encode(row.id)}, number expected`);
+                row[field] += value;
+            }
+
+            for (const [field, value] of Object.entries(push)) {
+                if (row[field] === undefined)
+                    row[field] = [];
+                if (!Array.isArray(row[field]))
+                    throw new Error(`Can not push to field '${field}' of row ${mson.encode(row.id)}, array expected`);
+                row[field].push(utils.cloneDeep(value));
+            }
+        };
+    }
+
+    /*
+    query = {
+    (!) rows: Array,
+        key: 'fieldName', unique hash or index to find existing rows by, rows are found by id if not set
+        merge: Array, fields of row merged into existing row, all fields of row by default
+        set: {field1: value}, declarative patch applied to existing row instead of merging, see update
+        unset: 'fieldName' || Array,
+        inc: {field1: 1},
+        push: {field1: value},
+    }
+    result = {
+    (!) inserted: Number,
+    (!) updated: Number,
+    (!) lastInsertId: Number,
+    (!) rows: [{id, inserted: Boolean, updated: Boolean}], for every row of query.rows
+    }
+    */
+    async upsert(query = {}) {
+        this._checkErrors();
+
+        await this.lock.get();
+        try {
+            const result = await this._upsert(query, query.key, 'merge');
+
+            return {inserted: result.inserted, updated: result.updated, lastInsertId: result.lastInsertId, rows: result.rows};
+        } finally {
+            this._saveChanges();//no await
+            this.lock.ret();
+        }
+    }
+
+    //rows are inserted or, if row with same key exists, conflict action is taken:
+    //action = 'ignore' || 'replace' || 'merge', by query.merge fields or patch params
+    async _upsert(query, keyField, action) {
+        if (!Array.isArray(query.rows)) {
+            throw new Error('query.rows must be an array');
+        }
+
+        let patchFunc = null;
+        const mergeFields = query.merge;
+        if (action === 'merge') {
+            const patch = patchOps.some((op) => utils.hasProp(query, op));
+            if (patch && query.merge)
+                throw new Error(`One of query.merge or patch params (${patchOps.join(', ')}) expected, but not both`);
+            if (query.merge && !Array.isArray(query.merge))
+                throw new Error('query.merge must be an array');
+
+            patchFunc = (patch ? this._patchFunc(query) : null);
+        }
+
+        let keyStruct = null;
+        if (keyField && keyField !== 'id') {
+            keyStruct = this.reducer._getHash(keyField) || this.reducer._getIndex(keyField);
+            if (!keyStruct || !keyStruct.unique || keyStruct.multi)
+                throw new Error(`Unique hash or index '${keyField}' not found`);
+        }
+
+        //key of row value, id of existing row by key
+        const rowValue = (row) => (keyStruct ? keyStruct.rowValue(row) : row.id);
+        const rowKey = (row) => {
+            if (!keyStruct)
+                return (row.id !== undefined ? `id:${mson.encode(row.id)}` : undefined);
+
+            const value = keyStruct.rowValue(row);
+            if (keyStruct._isUndef(value))
+                return undefined;
+            keyStruct.checkType(value);
+            return `key:${mson.encode(keyStruct._key(keyStruct.prepareValue(value)))}`;
+        };
+        const findId = (row) => {
+            if (!keyStruct)
+                return row.id;
+
+            const value = keyStruct.rowValue(row);
+            if (keyStruct._isUndef(value))
+                return undefined;
+            return keyStruct.hash.get(keyStruct._key(keyStruct.prepareValue(value)));
+        };
+
+        const newRowsSrc = utils.cloneDeep(query.rows);
+
+        const newRows = [];
+        const oldRows = [];
+        const pending = new Map();//key => index in newRows
+        const rowResults = [];
+        const conflicts = [];
+        //conflicts & checks
+        for (let n = 0; n < newRowsSrc.length; n++) {
+            const row = newRowsSrc[n];
+            const key = rowKey(row);
+
+            let i = (key !== undefined ? pending.get(key) : undefined);
+            let oldRow = null;
+            if (i === undefined) {
+                const id = findId(row);
+                if (id !== undefined) {
+                    i = pending.get(`id:${mson.encode(id)}`);
+                    if (i === undefined)
+                        oldRow = await this.rowsInterface.getRow(id);
+                }
+            }
+
+            let newRow;
+            if (i !== undefined || oldRow) {//conflict
+                const existing = (i !== undefined ? newRows[i] : utils.cloneDeep(oldRow));
+                const id = existing.id;
+
+                conflicts.push({row: n, id, field: keyField || 'id', value: rowValue(row), action});
+
+                if (action === 'ignore') {
+                    rowResults.push({id, inserted: false, updated: false});
+                    continue;
+                }
+
+                if (action === 'replace') {
+                    newRow = row;
+                } else if (patchFunc) {
+                    newRow = existing;
+                    patchFunc(newRow);
+                } else {
+                    newRow = existing;
+                    for (const field of (mergeFields || Object.keys(row))) {
+                        if (field !== 'id' && utils.hasProp(row, field))
+                            newRow[field] = row[field];
+                    }
+                }
+                newRow.id = id;
+
+                rowResults.push({id, inserted: false, updated: true});
+            } else {//inserting
+                newRow = row;
+                if (newRow.id === undefined) {
+                    newRow.id = this.autoIncrement;
+                    this.autoIncrement++;
+                }
+
+                rowResults.push({id: newRow.id, inserted: true, updated: false});
+            }
+
+            const t = typeof(newRow.id);
+            if  (t !== 'number' && t !== 'string') {
+                throw new Error(`Row id bad type, 'number' or 'string' expected, got ${t}`);
+            }
+
+            //autoIncrement correction
+            if (t === 'number' && newRow.id >= this.autoIncrement)
+                this.autoIncrement = newRow.id + 1;
+
+            if (i === undefined) {
+                i = newRows.length;
+                newRows.push(newRow);
+                oldRows.push((oldRow ? oldRow : {}));
+            } else {
+                newRows[i] = newRow;
+            }
+
+            //key of changed row may differ from key of source row
+            for (const k of [key, rowKey(newRow), `id:${mson.encode(newRow.id)}`]) {
+                if (k !== undefined)
+                    pending.set(k, i);
+            }
+        }
+
+        const newRowsSer = [];
+        for (const newRow of newRows)
+            newRowsSer.push(mson.encode([newRow.id, newRow]));//because of serialization errors
+
+        this.reducer._validateRows(newRows);
+        await this._callChangeHook(oldRows, newRows);
+
+        const result = {inserted: 0, updated: 0, lastInsertId: -1, rows: rowResults, conflicts};
+        this.deltaStep++;
+        try {
+            this._journalRows(oldRows, newRows);
+
+            //reducer
+            this.reducer._update(oldRows, newRows, this.deltaStep);
+
+            //upsert
+            for (let i = 0; i < newRows.length; i++) {
+                const newRow = newRows[i];
+                const newRowSer = newRowsSer[i];
+
+                this.rowsInterface.setRow(newRow.id, newRow, newRowSer, this.deltaStep);
+            }
+
+            for (const rowResult of rowResults) {
+                if (rowResult.inserted) {
+                    result.inserted++;
+                    result.lastInsertId = rowResult.id;
+                } else if (rowResult.updated) {
+                    result.updated++;
+                }
+            }
+
+            this.changes.push([this.deltaStep, 1]);
+        } catch(e) {
+            this.changes.push([this.deltaStep, 0]);
+            await this._callChangeHook(newRows, oldRows, true);
+            throw e;
+        }
+
+        await this._writeWal(oldRows, newRows, newRowsSer);
+        await this._notifyChanges(oldRows, newRows);
+        await this._waitForSaveChanges();
+        return result;
+    }
+
     /*
     query = {
-    (!) mod: '(r) => r.count++',
-        where: `@@index('field1', 10, 20)`,
+    (*) mod: '(r) => r.count++',
+    (*) set: {field1: value}, declarative patch instead of query.mod, operators are applied in order set, unset, inc, push
+    (*) unset: 'fieldName' || Array,
+    (*) inc: {field1: 1}, missing field is counted from 0
+    (*) push: {field1: value}, value is appended to array field, missing field becomes an array
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
         offset: 10,
+        explain: Boolean, adds result.explain, see select
     }
     result = {
     (!) updated: Number,
+        explain: Object,
     }
     */
     async update(query = {}) {
@@ -743,18 +1583,25 @@ class BasicTable {
 
         await this.lock.get();
         try {
-            if (typeof(query.mod) !== 'string') {
-                throw new Error('query.mod must be a string');
+            let modFunc;
+            if (utils.hasProp(query, 'mod')) {
+                if (typeof(query.mod) !== 'string') {
+                    throw new Error('query.mod must be a string');
+                }
+                if (patchOps.some((op) => utils.hasProp(query, op)))
+                    throw new Error(`One of query.mod or patch params (${patchOps.join(', ')}) expected, but not both`);
+
+                modFunc = new Function(`'use strict'; return ${query.mod}`)();
+            } else {
+                modFunc = this._patchFunc(query);
             }
-            const modFunc = new Function(`'use strict'; return ${query.mod}`)();
+
+            const explain = (query.explain ? this._beginExplain(query.where) : null);
 
             //where
             let ids;//iterator
             if (query.where) {
-                const where = this._prepareWhere(query.where);
-                const whereFunc = new Function(`'use strict'; return ${where}`)();
-
-                ids = await whereFunc(this.reducer);
+                ids = await this._reduceWhere(query.where, explain);
             } else {
                 ids = this.rowsInterface.getAllIds();
             }
@@ -762,7 +1609,7 @@ class BasicTable {
             //oldRows
             let oldRows = [];
             for (const id of ids) {
-                const oldRow = await this.rowsInterface.getRow(id);
+                const oldRow = await this.rowsInterface.getRow(id, explain);
 
                 if (oldRow) {
                     oldRows.push(oldRow);
@@ -800,9 +1647,14 @@ class BasicTable {
                 newRowsSer.push(mson.encode([newRow.id, newRow]));//because of serialization errors
             }
 
+            this.reducer._validateRows(newRows);
+            await this._callChangeHook(oldRows, newRows);
+
             this.deltaStep++;
             const result = {updated: 0};
             try {
+                this._journalRows(oldRows, newRows);
+
                 //reducer
                 this.reducer._update(oldRows, newRows, this.deltaStep);
 
@@ -820,10 +1672,16 @@ class BasicTable {
                 this.changes.push([this.deltaStep, 1]);
             } catch(e) {
                 this.changes.push([this.deltaStep, 0]);
+                await this._callChangeHook(newRows, oldRows, true);
                 throw e;
             }
 
+            await this._writeWal(oldRows, newRows, newRowsSer);
+            await this._notifyChanges(oldRows, newRows);
             await this._waitForSaveChanges();
+
+            if (explain)
+                result.explain = this._endExplain(explain, ids, result.updated);
             return result;
         } finally {
             this._saveChanges();//no await
@@ -833,13 +1691,15 @@ class BasicTable {
 
     /*
     query = {
-        where: `@@index('field1', 10, 20)`,
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
         offset: 10,
+        explain: Boolean, adds result.explain, see select
     }
     result = {
     (!) deleted: Number,
+        explain: Object,
     }
     */
     async delete(query = {}) {
@@ -847,13 +1707,12 @@ class BasicTable {
 
         await this.lock.get();
         try {
+            const explain = (query.explain ? this._beginExplain(query.where) : null);
+
             //where
             let ids;//iterator
             if (query.where) {
-                const where = this._prepareWhere(query.where);
-                const whereFunc = new Function(`'use strict'; return ${where}`)();
-
-                ids = await whereFunc(this.reducer);
+                ids = await this._reduceWhere(query.where, explain);
             } else {
                 ids = this.rowsInterface.getAllIds();
             }
@@ -862,7 +1721,7 @@ class BasicTable {
             let oldRows = [];
             let newRows = [];
             for (const id of ids) {
-                const oldRow = await this.rowsInterface.getRow(id);
+                const oldRow = await this.rowsInterface.getRow(id, explain);
 
                 if (oldRow) {
                     oldRows.push(oldRow);
@@ -882,9 +1741,13 @@ class BasicTable {
                 oldRows = oldRows.slice(offset, offset + limit);
             }
 
+            await this._callChangeHook(oldRows, newRows);
+
             this.deltaStep++;
             const result = {deleted: 0};
             try {
+                this._journalRows(oldRows, newRows);
+
                 //reducer
                 this.reducer._update(oldRows, newRows, this.deltaStep);
 
@@ -900,10 +1763,16 @@ class BasicTable {
                 this.changes.push([this.deltaStep, 1]);
             } catch(e) {
                 this.changes.push([this.deltaStep, 0]);
+                await this._callChangeHook(newRows, oldRows, true);
                 throw e;
             }
 
+            await this._writeWal(oldRows, newRows);
+            await this._notifyChanges(oldRows, newRows);
             await this._waitForSaveChanges();
+
+            if (explain)
+                result.explain = this._endExplain(explain, ids, result.deleted);
             return result;
         } finally {
             this._saveChanges();//no await
@@ -911,6 +1780,27 @@ class BasicTable {
         }
     }
 
+    /*
+    query = {
+        afterSeq: Number, 0
+        limit: Number, 1000
+    }
+    result = {
+        changes: [{seq, time, event: 'insert' | 'update' | 'delete', id, oldRow, newRow}, ...],
+        lastSeq: Number, cursor for the next call
+        firstSeq: Number, the oldest seq kept by retention
+    }
+    */
+    async readChanges(query = {}) {
+        this._checkErrors();
+
+        if (!this.changeLog)
+            throw new Error('Change log is not enabled for this table');
+
+        const limit = (utils.hasProp(query, 'limit') ? query.limit : 1000);
+        return await this.changeLog.read(query.afterSeq || 0, limit);
+    }
+
     /*
     query = {
         message: String,
@@ -956,13 +1846,289 @@ class BasicTable {
         }
     }
 
+    _journalRows(oldRows, newRows) {
+        if (!this.txJournal)
+            return;
+
+        for (let i = 0; i < oldRows.length; i++) {
+            const oldRow = oldRows[i];
+            const id = (oldRow.id !== undefined ? oldRow.id : newRows[i].id);
+
+            if (!this.txJournal.has(id))
+                this.txJournal.set(id, (oldRow.id !== undefined ? oldRow : null));
+        }
+    }
+
+    //images: Map, id => row (null means row must be deleted), returns {oldRows, newRows} of restored rows
+    async _restoreRows(images) {
+        this._checkErrors();
+
+        await this.lock.get();
+        try {
+            const oldRows = [];
+            const newRows = [];
+            const newRowsSer = [];
+            for (const [id, image] of images) {
+                const oldRow = await this.rowsInterface.getRow(id);
+                if (!oldRow && !image)
+                    continue;
+
+                oldRows.push((oldRow ? oldRow : {}));
+                newRows.push((image ? image : {}));
+                newRowsSer.push((image ? mson.encode([id, image]) : ''));
+
+                //autoIncrement correction, rows replayed from wal may be newer than saved autoIncrement
+                if (image && typeof(id) === 'number' && id >= this.autoIncrement)
+                    this.autoIncrement = id + 1;
+            }
+
+            this.deltaStep++;
+            try {
+                //reducer
+                this.reducer._update(oldRows, newRows, this.deltaStep);
+
+                //restore
+                for (let i = 0; i < newRows.length; i++) {
+                    const newRow = newRows[i];
+
+                    if (newRow.id !== undefined)
+                        this.rowsInterface.setRow(newRow.id, newRow, newRowsSer[i], this.deltaStep);
+                    else
+                        this.rowsInterface.deleteRow(oldRows[i].id, this.deltaStep);
+                }
+
+                this.changes.push([this.deltaStep, 1]);
+            } catch(e) {
+                this.changes.push([this.deltaStep, 0]);
+                throw e;
+            }
+
+            return {oldRows, newRows};
+        } finally {
+            this._saveChanges();//no await
+            this.lock.ret();
+        }
+    }
+
+    async _beginTransaction() {
+        this._checkErrors();
+
+        this.txJournal = new Map();
+        this.txChanges = [];
+        this.holdChanges = true;
+
+        while (this.savingChanges) {
+            await utils.sleep(1);
+        }
+    }
+
+    async _rollbackTransaction() {
+        this.txChanges = [];
+        await this._restoreRows(this.txJournal);
+    }
+
+    //returns change events of the transaction, they are emitted by caller when all tables are saved
+    async _endTransaction() {
+        const changes = this.txChanges;
+
+        this.txJournal = null;
+        this.txChanges = null;
+        this.holdChanges = false;
+
+        await this._flushChanges();
+
+        return changes;
+    }
+
+    async _flushChanges() {
+        do {
+            await this._saveChanges();
+            while (this.savingChanges) {
+                await utils.sleep(1);
+            }
+        } while (this.changes.length && this.opened && !this.holdChanges && !this.fileError);
+
+        if (this.fileError)
+            throw new Error(this.fileError);
+
+        //changes made without logging could be overwritten by replaying older records
+        await this._checkpointWal(true);
+    }
+
+    //changes are rejected if hook throws, reverting = true when changes failed after hook call
+    async _callChangeHook(oldRows, newRows, reverting = false) {
+        if (!this.changeHook)
+            return;
+
+        if (reverting) {
+            try {
+                await this.changeHook(oldRows, newRows);
+            } catch(e) {
+                console.error(e);
+            }
+        } else {
+            await this.changeHook(oldRows, newRows);
+        }
+    }
+
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    delChangeListener(listener) {
+        this.changeListeners.delete(listener);
+    }
+
+    //listener gets change events of one delta: [{event: 'insert' | 'update' | 'delete', id, oldRow, newRow, seq}, ...]
+    //seq is present if change log is enabled
+    async _notifyChanges(oldRows, newRows) {
+        if ((!this.changeListeners.size && !this.changeLog) || !oldRows.length)
+            return;
+
+        const changes = this._changeEvents(oldRows, newRows);
+
+        if (this.txChanges)
+            this.txChanges.push(...changes);
+        else
+            await this._commitChanges(changes);
+    }
+
+    _changeEvents(oldRows, newRows) {
+        const changes = [];
+        for (let i = 0; i < oldRows.length; i++) {
+            const oldRow = oldRows[i];
+            const newRow = newRows[i];
+
+            const change = {event: 'update', id: oldRow.id};
+            if (oldRow.id === undefined) {
+                change.event = 'insert';
+                change.id = newRow.id;
+            } else {
+                change.oldRow = utils.cloneDeep(oldRow);
+            }
+
+            if (newRow.id === undefined)
+                change.event = 'delete';
+            else
+                change.newRow = utils.cloneDeep(newRow);
+
+            changes.push(change);
+        }
+
+        return changes;
+    }
+
+    async _commitChanges(changes) {
+        if (!changes || !changes.length)
+            return;
+
+        if (this.changeLog)
+            await this.changeLog.append(changes, (this.durability === 'fsync'));
+
+        this._emitChanges(changes);
+    }
+
+    _emitChanges(changes) {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(changes);
+            } catch (e) {
+                //listener errors must not affect table
+            }
+        }
+    }
+
+    async _writeWal(oldRows, newRows, newRowsSer = []) {
+        if (!this.wal || this.durability === 'none' || this.holdChanges || !newRows.length)
+            return;
+
+        const recs = [];
+        for (let i = 0; i < newRows.length; i++) {
+            if (newRows[i].id !== undefined)
+                recs.push(newRowsSer[i]);
+            else
+                recs.push(mson.encode([oldRows[i].id]));
+        }
+
+        //with change log, record keeps its last seq: changes of record are logged right after it
+        let rec = `[${recs.join(',')}]`;
+        if (this.changeLog)
+            rec = `{"seq":${this.changeLog.lastSeq},"rows":${rec}}`;
+
+        await this.wal.append(rec, (this.durability === 'fsync'));
+    }
+
+    async _replayWal() {
+        const recs = await this.wal.load();
+        if (!recs.length)
+            return;
+
+        //changes of records not reaching change log are logged while replaying
+        const images = new Map();
+        const unlogged = [];
+        for (const rec of recs) {
+            const recImages = new Map();
+            for (const [id, row] of (Array.isArray(rec) ? rec : rec.rows)) {
+                recImages.set(id, (row ? row : null));
+            }
+
+            if (this.changeLog && !Array.isArray(rec) && rec.seq >= this.changeLog.lastSeq) {
+                unlogged.push(recImages);
+            } else {
+                for (const [id, row] of recImages)
+                    images.set(id, row);
+            }
+        }
+
+        await this._restoreRows(images);
+        for (const recImages of unlogged) {
+            const {oldRows, newRows} = await this._restoreRows(recImages);
+            await this._commitChanges(this._changeEvents(oldRows, newRows));
+        }
+        await this._flushChanges();
+    }
+
+    async _checkpointWal(force = false) {
+        if (!this.wal || this.changes.length)
+            return;
+
+        if (!force && this.wal.size < maxWalSize)
+            return;
+
+        if (this.durability === 'fsync') {
+            await this.tableRowsFile.syncAllFiles();
+            await this.reducer._syncAllFiles();
+        }
+
+        await this.wal.truncate();
+    }
+
+    //consistent snapshot of table files as hard links, see fileUtils.snapshotFiles
+    async _snapshot(destPath) {
+        this._checkErrors();
+
+        await this.lock.get();
+        try {
+            while (this.savingChanges) {
+                await utils.sleep(1);
+            }
+
+            return await fileUtils.snapshotFiles(this.tablePath, destPath, true);
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    //state file is replaced, not rewritten in place: its hard link may belong to a backup snapshot
     async _saveState(state) {
-        await fs.writeFile(`${this.tablePath}/state`, state);
+        const statePath = `${this.tablePath}/state`;
+        await fs.writeFile(`${statePath}.tmp`, state);
+        await fs.rename(`${statePath}.tmp`, statePath);
     }
 
     async _saveChanges() {
         this.needSaveChanges = true;
-        if (this.savingChanges)
+        if (this.savingChanges || this.holdChanges)
             return;
 
         if (this.inMemory) {
@@ -980,11 +2146,11 @@ class BasicTable {
         try {            
             await utils.sleep(0);
 
-            while (this.needSaveChanges) {
+            while (this.needSaveChanges && !this.holdChanges) {
                 this.needSaveChanges = false;
 
                 await this._saveState('0');
-                while (this.changes.length) {
+                while (this.changes.length && !this.holdChanges) {
 
                     const len = this.changes.length;
                     let i = 0;
@@ -1004,6 +2170,7 @@ class BasicTable {
                     this.changes = this.changes.slice(i);
                 }
                 await this._saveState('1');
+                await this._checkpointWal();
 
                 if (this.forceFileClosing) {
                     await this.tableRowsFile.closeAllFiles();
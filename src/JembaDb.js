@@ -1,14 +1,18 @@
 'use strict';
 
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const MemoryTable = require('./MemoryTable');
 const ShardedTable = require('./ShardedTable');
 const BasicTable = require('./BasicTable');
+const TableWatcher = require('./TableWatcher');
 
 const LockQueue = require('./LockQueue');
 const utils = require('./utils');
 const mson = require('./mson');
+const fileUtils = require('./fileUtils');
 
 /* API methods:
 lock
@@ -29,20 +33,55 @@ getDbInfo
 getDbSize
 setMonitoring
 
+backup
+backupIncremental
+restore
+
 select
+selectStream
 insert
+upsert
 update
 delete
 
+begin
+commit
+rollback
+transaction
+
+watch
+unwatch
+readChanges
+
 markCorrupted
 
 freeMemory
 esc
 */
 
+//transaction of current async caller, see begin
+const txContext = new AsyncLocalStorage();
+
+const watchEvents = ['insert', 'update', 'delete'];
+const joinTypes = ['left', 'inner', 'anti'];
+
+//files which are only appended until deleted or replaced by rename,
+//change log segments (.log) are not: torn tail of the last one is cut off in place on load
+function isAppendOnlyFile(fileName) {
+    const name = fileName.split('/').pop();
+    return (name === 'wal' || name.endsWith('.1') || name.endsWith('.jem'));
+}
+
 class JembaDb {
     constructor() {
         this.tableLockMap = new Map();
+        this.txLock = new LockQueue(100);
+        this.tx = null;
+        this.txId = 0;
+
+        this.watchId = 0;
+        this.watchers = new Map();//table => Map(id => TableWatcher)
+        this.watchListeners = new Map();//table => change listener of table instance
 
         this.opened = false;
     }
@@ -65,6 +104,8 @@ class JembaDb {
             autoRepair: Boolean, false,
             forceFileClosing: Boolean, false,
             typeCompatMode: Boolean, false,
+            durability: 'none' | 'flush' | 'fsync', 'none'
+            changeLog: Boolean || {maxSize: Number, maxAge: Number}, false, for basic table only, kept in table, false disables
         },
     }
     */
@@ -112,6 +153,19 @@ class JembaDb {
             this.monCleanTimer = null;
         }
 
+        if (this.tx) {
+            try {
+                await this._txEnd(true);
+            } catch (e) {
+                console.error(e.message);
+            }
+        }
+
+        for (const watchers of Array.from(this.watchers.values())) {
+            for (const watcher of Array.from(watchers.values()))
+                await watcher.close();
+        }
+
         await this.closeAll();
 
         //release file lock
@@ -162,11 +216,22 @@ class JembaDb {
         autoRepair: Boolean, false,
         forceFileClosing: Boolean, false,
         typeCompatMode: Boolean, false,
+        durability: 'none' | 'flush' | 'fsync', 'none'
+        changeLog: Boolean || {maxSize: Number, maxAge: Number}, false, for basic table only, kept in table, false disables
 
     (*) in: 'tableName',
         flag:  Object || Array, {name: 'flag1', check: '(r) => r.id > 10'}
         hash:  Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
         index: Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
+            compound hash or index: {fields: ['field1', 'field2'], type: ['number', 'string'], name: 'field1,field2'}, index is queried by @@compoundIndex(name, from, to)
+            expression hash or index: {name: 'emailLower', expr: '(r) => r.email.toLowerCase()', type: 'string'}, queried by name as field
+            multi-value hash or index: {field: 'tags', multi: true}, every array element refers to row, @@hash('tags', 'a') finds rows containing 'a'
+        fulltext: Object || Array, {field: 'field1', stemming: false, minLength: 1}, queried by @@fulltext('field1', 'words prefix*')
+        schema: Object, JSON Schema of rows, checked on insert and update
+        references: Object || Array, {field: 'authorId', table: 'authors', onDelete: 'restrict' || 'cascade' || 'setNull'},
+            field value (if not undefined or null) is id of existing row of referenced table, checked on insert, upsert and update,
+            onDelete is applied to referring rows on delete from referenced table, 'restrict' by default,
+            existing rows must conform, referenced table is opened, closed referring tables are opened on delete
     }
     result = {}
     */
@@ -208,15 +273,24 @@ class JembaDb {
                 await this.insert({table: query.table, rows})
             }
 
-            if (query.flag || query.hash || query.index) {
+            if (query.flag || query.hash || query.index || query.fulltext || query.schema || query.references) {
                 const tableInstance = this.table.get(query.table);
 
+                if (query.references)
+                    await this._checkTableReferences(query.table, utils.paramToArray(query.references));
+
                 await tableInstance.create({
                     quietIfExists: query.quietIfExists,
                     flag: query.flag,
                     hash: query.hash,
                     index: query.index,
+                    fulltext: query.fulltext,
+                    schema: query.schema,
+                    references: query.references,
                 });
+
+                if (query.references)
+                    await this._addReferrers(query.table, utils.paramToArray(query.references));
             }
 
             return {};
@@ -231,8 +305,11 @@ class JembaDb {
 
     (*) in: 'tableName',
         flag:  Object || Array, {name: 'flag1'}
-        hash:  Object || Array, {field: 'field1'}
-        index: Object || Array, {field: 'field1'}
+        hash:  Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'hash1'}
+        index: Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'index1'}
+        fulltext: Object || Array, {field: 'field1'}
+        schema: Boolean, removes schema
+        references: Object || Array, {field: 'authorId'}
     }
     result = {}
     */
@@ -245,6 +322,23 @@ class JembaDb {
         const table = (query.table ? query.table : query.in);
         await this._tableLock(table).get();
         try {
+            if (query.table)
+                await this._checkReferenced(query.table);
+
+            //references of dropped table or dropped references
+            const tableInstance = this.table.get(table);
+            if (tableInstance && tableInstance.opened && (query.table || query.references)) {
+                let references = tableInstance._getReferences();
+                if (!query.table) {
+                    const fields = new Set(utils.paramToArray(query.references).map((ref) => ref.field));
+                    references = references.filter((ref) => fields.has(ref.field));
+                }
+
+                const result = await this._drop(query);
+                await this._delReferrers(table, references);
+                return result;
+            }
+
             return await this._drop(query);
         } finally {
             this._tableLock(table).ret();
@@ -272,11 +366,14 @@ class JembaDb {
                 const tableInstance = this.table.get(query.in);
 
                 if (tableInstance) {                
-                    if (query.flag || query.hash || query.index) {
+                    if (query.flag || query.hash || query.index || query.fulltext || query.schema || query.references) {
                         await tableInstance.drop({
                             flag: query.flag,
                             hash: query.hash,
                             index: query.index,
+                            fulltext: query.fulltext,
+                            schema: query.schema,
+                            references: query.references,
                         });
                     }
                 } else {
@@ -307,6 +404,8 @@ class JembaDb {
         try {
             const tableInstance = this.table.get(table);
             if (tableInstance) {
+                await this._checkReferenced(table);
+
                 if (tableInstance.type === 'memory') {
                     const newTableInstance = new MemoryTable();
 
@@ -316,6 +415,7 @@ class JembaDb {
                     await tableInstance.clone({toTableInstance: newTableInstance, filter: 'nodata'});
 
                     this.table.set(table, newTableInstance);
+                    this._attachReferences(table, newTableInstance);
                 } else {
                     const toTable = `${table}___temporary_truncating`;
                     await fs.rm(`${this.dbPath}/${toTable}`, { recursive: true, force: true });
@@ -421,6 +521,8 @@ class JembaDb {
         autoRepair: Boolean, false,
         forceFileClosing: Boolean, false,
         typeCompatMode: Boolean, false,
+        durability: 'none' | 'flush' | 'fsync', 'none'
+        changeLog: Boolean || {maxSize: Number, maxAge: Number}, false, for basic table only, kept in table, false disables
     }
     */
     async open(query = {}) {
@@ -450,6 +552,10 @@ class JembaDb {
                 const opts = Object.assign({}, this.tableOpenDefaults, query);
                 opts.tablePath = `${this.dbPath}/${query.table}`;
                 await tableInstance.open(opts);
+
+                await this._txRecover(query.table, tableInstance);
+                this._attachWatchers(query.table);
+                this._attachReferences(query.table, tableInstance);
             }
         } else {
             throw new Error(`Table '${query.table}' does not exist`);
@@ -468,7 +574,8 @@ class JembaDb {
         for (const file of files) {
             if (file.isDirectory()) {
                 if (file.name.indexOf('___temporary_recreating') >= 0 ||
-                    file.name.indexOf('___temporary_truncating') >= 0)
+                    file.name.indexOf('___temporary_truncating') >= 0 ||
+                    file.name.indexOf('___temporary_backup') >= 0)
                     continue;
 
                 const tableInstance = this.table.get(file.name);
@@ -494,6 +601,8 @@ class JembaDb {
         autoRepair: Boolean, false,
         forceFileClosing: Boolean, false,
         typeCompatMode: Boolean, false,
+        durability: 'none' | 'flush' | 'fsync', 'none'
+        changeLog: Boolean || {maxSize: Number, maxAge: Number}, false, for basic table only, kept in table, false disables
     }
     */
     async openAll(query = {}) {
@@ -847,6 +956,213 @@ class JembaDb {
         }
     }
 
+    /*
+    query = {
+    (!) toPath: String, must not exist or be empty
+    }
+    result = {
+        id: String,
+        tables: Array,
+    }
+    */
+    async backup(query = {}) {
+        this._checkOpened();
+
+        if (!query.toPath)
+            throw new Error(`'query.toPath' parameter is required`);
+
+        return await this._backup(query.toPath);
+    }
+
+    /*
+    query = {
+    (!) toPath: String, must not exist or be empty
+    (!) since: String, path of previous backup (full or incremental)
+    }
+    result = {
+        id: String,
+        tables: Array,
+    }
+
+    Only files changed after 'since' backup are copied, append-only files (deltas, blocks, wal) are copied by tails.
+    */
+    async backupIncremental(query = {}) {
+        this._checkOpened();
+
+        if (!query.toPath)
+            throw new Error(`'query.toPath' parameter is required`);
+        if (!query.since)
+            throw new Error(`'query.since' parameter is required`);
+
+        const baseManifest = await this._loadBackupManifest(query.since);
+
+        return await this._backup(query.toPath, baseManifest);
+    }
+
+    async _backup(toPath, baseManifest = null) {
+        if (await utils.pathExists(toPath) && (await fs.readdir(toPath)).length)
+            throw new Error(`Backup path is not empty: ${toPath}`);
+
+        const manifest = {
+            id: crypto.randomBytes(8).toString('hex'),
+            baseId: (baseManifest ? baseManifest.id : ''),
+            time: Date.now(),
+            tables: {},
+        };
+
+        //hard links to table files, writers are blocked only while linking
+        const stagePath = `${this.dbPath}/___temporary_backup_${manifest.id}`;
+        try {
+            for (const table of await this._getTableList()) {
+                const tableInstance = this.table.get(table);
+                const tableStagePath = `${stagePath}/${table}`;
+
+                if (tableInstance && tableInstance.opened) {
+                    manifest.tables[table] = {
+                        type: tableInstance.type,
+                        files: await tableInstance._snapshot(tableStagePath),
+                    };
+                } else if (await utils.pathExists(`${this.dbPath}/${table}`)) {
+                    manifest.tables[table] = {
+                        type: await this._getTableType({table}),
+                        files: await fileUtils.snapshotFiles(`${this.dbPath}/${table}`, tableStagePath, true),
+                    };
+                }
+            }
+
+            //copying
+            for (const [table, tableRec] of Object.entries(manifest.tables)) {
+                const baseTableRec = (baseManifest ? baseManifest.tables[table] : null);
+
+                for (const [fileName, fileRec] of Object.entries(tableRec.files)) {
+                    fileRec.from = 0;
+
+                    //same file which was only appended since base backup
+                    const baseFileRec = (baseTableRec ? baseTableRec.files[fileName] : null);
+                    if (baseFileRec && isAppendOnlyFile(fileName)
+                        && baseFileRec.ino === fileRec.ino && baseFileRec.birth === fileRec.birth
+                        && baseFileRec.size <= fileRec.size
+                    ) {
+                        fileRec.from = baseFileRec.size;
+                    }
+
+                    await fileUtils.copyFilePart(`${stagePath}/${table}/${fileName}`, `${toPath}/${table}/${fileName}`, fileRec.from, fileRec.size);
+                }
+            }
+
+            await fs.writeFile(`${toPath}/manifest`, mson.encode(manifest));
+        } finally {
+            await fs.rm(stagePath, { recursive: true, force: true });
+        }
+
+        return {id: manifest.id, tables: Object.keys(manifest.tables)};
+    }
+
+    async _loadBackupManifest(backupPath) {
+        const manifestPath = `${backupPath}/manifest`;
+        if (!await utils.pathExists(manifestPath))
+            throw new Error(`Backup manifest not found: ${manifestPath}`);
+
+        return mson.decode(await fs.readFile(manifestPath, 'utf8'));
+    }
+
+    /*
+    query = {
+    (!) fromPath: String, full backup path
+        incremental: Array, incremental backup paths in order of creation, applied on top of full backup
+    }
+    result = {
+        tables: Array,
+    }
+
+    Tables from backup replace existing tables with the same name, other tables are left untouched.
+    Restored tables are closed, except memory tables.
+    */
+    async restore(query = {}) {
+        this._checkOpened();
+
+        if (!query.fromPath)
+            throw new Error(`'query.fromPath' parameter is required`);
+
+        //backup chain
+        const chain = [];
+        for (const backupPath of [query.fromPath, ...(query.incremental || [])]) {
+            const manifest = await this._loadBackupManifest(backupPath);
+            const prev = chain[chain.length - 1];
+
+            if (!prev && manifest.baseId)
+                throw new Error(`Backup is incremental, full backup expected: ${backupPath}`);
+            if (prev && manifest.baseId !== prev.manifest.id)
+                throw new Error(`Backup chain is broken, base of ${backupPath} is not ${prev.path}`);
+
+            chain.push({path: backupPath, manifest});
+        }
+
+        //state of the last backup in chain
+        const {manifest} = chain[chain.length - 1];
+
+        for (const [table, tableRec] of Object.entries(manifest.tables)) {
+            await this._tableLock(table).get();
+            try {
+                if (await this.tableExists({table}))
+                    await this._drop({table});
+
+                if (tableRec.type === 'memory') {
+                    const [part] = this._backupFileParts(chain, table, 'rows');
+
+                    await this.open({table, type: 'memory', create: true});
+
+                    //rows are restored as is, without reference checks
+                    const tableInstance = this.table.get(table);
+                    tableInstance.changeHook = null;
+                    await tableInstance._loadSnapshot(`${part.path}/${table}`);
+                    this._attachReferences(table, tableInstance);
+                } else {
+                    for (const fileName of Object.keys(tableRec.files)) {
+                        const destFile = `${this.dbPath}/${table}/${fileName}`;
+
+                        let append = false;
+                        for (const part of this._backupFileParts(chain, table, fileName)) {
+                            await fileUtils.copyFilePart(`${part.path}/${table}/${fileName}`, destFile, 0, part.length, append);
+                            append = true;
+                        }
+                    }
+                }
+            } finally {
+                this._tableLock(table).ret();
+            }
+        }
+
+        //journal records of replaced tables are obsolete
+        const journal = await this._loadTxJournal();
+        for (const table of Object.keys(manifest.tables))
+            delete journal[table];
+        await this._saveTxJournal(journal);
+
+        return {tables: Object.keys(manifest.tables)};
+    }
+
+    //returns [{path, length}, ...], parts of file to concatenate, starting from its full copy
+    _backupFileParts(chain, table, fileName) {
+        const result = [];
+
+        for (let i = chain.length - 1; i >= 0; i--) {
+            const {path, manifest} = chain[i];
+            const fileRec = manifest.tables[table].files[fileName];
+
+            result.unshift({path, length: fileRec.size - fileRec.from});
+
+            if (!fileRec.from)
+                return result;
+
+            const prevFileRec = (i > 0 ? chain[i - 1].manifest.tables[table] : null);
+            if (!prevFileRec || !prevFileRec.files[fileName] || prevFileRec.files[fileName].size !== fileRec.from)
+                throw new Error(`Backup chain is broken, file ${table}/${fileName} does not continue previous backup: ${path}`);
+        }
+
+        throw new Error(`Full copy of file ${table}/${fileName} not found`);
+    }
+
     /*
     query = {
     (!) table: 'tableName',
@@ -854,14 +1170,31 @@ class JembaDb {
         persistent: Boolean,//for sharded table only, do not unload shard while persistent == true
         count: Boolean,
         rawResult: Boolean,
-        where: `@@index('field1', 10, 20)`,
+        plan: Boolean, returns [{plan}], access path chosen for declarative where, without selection
+        explain: Boolean, returns [{explain}] instead of rows: reducer calls, id counts, rows and blocks loaded, time
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         distinct: 'fieldName' || Array,
-        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName'},
+        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName',
+            aggregates: {total: {sum: 'price'}, avgAge: {avg: 'age'}, first: {min: 'date'}, last: {max: 'date'}}},
         map: '(r) => ({id1: r.id, ...})',
         sort: '(a, b) => a.id - b.id',
+        orderBy: {field: 'field1', desc: false}, by index of field if exists: only rows of limit&offset page are loaded
         limit: 10,
         offset: 10,
+        cursor: true || String, keyset pagination by query.orderBy and id (shard by shard for sharded table), query.limit required,
+            returns [{rows: Array, nextCursor: String || null}], next page is selected with {cursor: nextCursor}
         joinById: {table: 'tableName', on: 'fieldNameToJoinOn', out: 'fieldNameToPutJoinResult', map: '(r) => r.name'} || Array,
+        join: {
+            (!) table: 'tableName',
+            (!) on: 'fieldNameToJoinOn',
+                field: 'fieldNameOfJoinedTable', 'id' by default, hash or index of field is used if exists
+                type: 'left' || 'inner' || 'anti', 'left' by default, inner and anti joins filter rows before limit&offset
+                many: Boolean, false, out is an array of all joined rows
+                out: 'fieldNameToPutJoinResult', `table_${table}` by default
+                map: '(r) => r.name',
+                shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')', //for joined sharded table only
+                join: Object || Array, nested join to joined rows
+        } || Array, applied after joinById
     }
     result = Array
     */
@@ -873,48 +1206,185 @@ class JembaDb {
 
         const tableInstance = this.table.get(query.table);
         if (tableInstance) {
-            //select
-            const resultRows = await tableInstance.select(query);
+            if ((!query.joinById && !query.join) || query.plan || query.explain)
+                return await tableInstance.select(query);
+
+            //rows filtered by joins are selected until limit&offset page is filled
+            const filtering = utils.paramToArray(query.join).some((join) => join && ['inner', 'anti'].includes(join.type));
+            if (filtering && (query.offset || (utils.hasProp(query, 'limit') && query.limit > 0)))
+                return await this._selectJoinedPage(tableInstance, query);
+
+            return await this._joinResult(await tableInstance.select(query), query);
+        } else {
+            await this._checkTable(query.table);
+        }
+    }
 
-            //joinById
-            if (query.joinById) {
-                const joinList = (Array.isArray(query.joinById) ? query.joinById : [query.joinById]);
+    //joins of query applied to result of table select
+    async _joinResult(resultRows, query) {
+        let rows = (query.cursor ? resultRows[0].rows : resultRows);
 
-                for (const join of joinList) {
-                    if (!join.table)
-                        throw new Error(`'joinById.table' parameter is required`);
-                    if (!join.on)
-                        throw new Error(`'joinById.on' parameter is required`);
+        if (query.joinById) {
+            const joinList = utils.paramToArray(query.joinById).map((join) => Object.assign({}, join, {field: 'id', type: 'left', many: false}));
+            rows = await this._join(rows, joinList, 'joinById');
+        }
 
+        if (query.join)
+            rows = await this._join(rows, query.join, 'join');
 
-                    const joinTableInstance = this.table.get(join.table);
-                    if (joinTableInstance) {
-                        const on = join.on;
-                        const ids = resultRows.map((r) => r[on]);
+        if (query.cursor) {
+            resultRows[0].rows = rows;
+            return resultRows;
+        }
 
-                        const joinRows = await joinTableInstance.select({where: `@@id(${this.esc(ids)})`});
+        return rows;
+    }
 
-                        let mapFunc = null;
-                        if (join.map) {
-                            mapFunc = new Function(`'use strict'; return ${join.map}`)();
-                        }
+    //table rows are selected in parts no longer than rows left to fill the page,
+    //so nextCursor of the last part points right after the last returned row
+    async _selectJoinedPage(tableInstance, query) {
+        const limit = (utils.hasProp(query, 'limit') ? query.limit : Infinity);
+        let skip = query.offset || 0;
+        let tableOffset = 0;
+        let cursor = query.cursor;
+
+        const rows = [];
+        let nextCursor = null;
+        while (rows.length < limit) {
+            const partQuery = Object.assign({}, query, {limit: skip + limit - rows.length});
+            if (cursor)
+                partQuery.cursor = cursor;
+            else
+                partQuery.offset = tableOffset;
+            if (partQuery.limit === Infinity)
+                delete partQuery.limit;
+
+            const result = await tableInstance.select(partQuery);
+            const partRows = (cursor ? result[0].rows : result);
+            const joined = await this._joinResult(result, partQuery);
+            let joinedRows = (cursor ? joined[0].rows : joined);
+
+            if (skip) {
+                const skipped = Math.min(skip, joinedRows.length);
+                joinedRows = joinedRows.slice(skipped);
+                skip -= skipped;
+            }
+            rows.push(...joinedRows);
 
-                        const idMap = new Map();
-                        for (const row of joinRows) {
-                            idMap.set(row.id, (mapFunc ? mapFunc(row) : row));
-                        }
+            if (cursor) {
+                cursor = nextCursor = result[0].nextCursor;
+                if (!cursor)
+                    break;
+            } else {
+                if (!utils.hasProp(partQuery, 'limit') || partRows.length < partQuery.limit)
+                    break;
+                tableOffset += partRows.length;
+            }
+        }
 
-                        const out = (join.out ? join.out : `table_${join.table}`);
-                        for (const row of resultRows) {
-                            row[out] = idMap.get(row[on]);
-                        }
-                    } else {
-                        await this._checkTable(join.table);
-                    }
+        return (query.cursor ? [{rows, nextCursor}] : rows);
+    }
+
+    //rows are joined in place, rows left by inner and anti joins are returned
+    async _join(rows, joinList, param) {
+        for (const join of utils.paramToArray(joinList)) {
+            if (!join.table)
+                throw new Error(`'${param}.table' parameter is required`);
+            if (!join.on)
+                throw new Error(`'${param}.on' parameter is required`);
+
+            const type = join.type || 'left';
+            if (!joinTypes.includes(type))
+                throw new Error(`Unknown '${param}.type': ${type}, one of ${joinTypes.join(', ')} expected`);
+
+            const joinTableInstance = this.table.get(join.table);
+            if (!joinTableInstance)
+                await this._checkTable(join.table);
+
+            const on = join.on;
+            const field = join.field || 'id';
+
+            //hash or index of field is used by declarative where if exists
+            let joinRows = [];
+            const values = Array.from(new Set(rows.map((r) => r[on]))).filter((v) => v !== undefined);
+            if (values.length) {
+                const joinQuery = {where: {[field]: {$in: values}}};
+                if (join.shards)
+                    joinQuery.shards = join.shards;
+
+                joinRows = await joinTableInstance.select(joinQuery);
+            }
+
+            if (join.join)
+                joinRows = await this._join(joinRows, join.join, `${param}.join`);
+
+            let mapFunc = null;
+            if (join.map) {
+                mapFunc = new Function(`'use strict'; return ${join.map}`)();
+            }
+
+            const valueMap = new Map();//value => joined rows
+            for (const row of joinRows) {
+                const value = row[field];
+                if (!valueMap.has(value))
+                    valueMap.set(value, []);
+                valueMap.get(value).push(mapFunc ? mapFunc(row) : row);
+            }
+
+            const out = (join.out ? join.out : `table_${join.table}`);
+            const result = [];
+            for (const row of rows) {
+                const joined = valueMap.get(row[on]);
+
+                if (type === 'anti') {
+                    if (!joined)
+                        result.push(row);
+                    continue;
                 }
+
+                if (type === 'inner' && !joined)
+                    continue;
+
+                if (join.many)
+                    row[out] = joined || [];
+                else
+                    row[out] = (joined ? joined[0] : undefined);
+
+                result.push(row);
             }
 
-            return resultRows;
+            rows = result;
+        }
+
+        return rows;
+    }
+
+    /*
+    query = {
+    (!) table: 'tableName',
+        shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')', //for sharded table only
+        persistent: Boolean,//for sharded table only, do not unload shard while persistent == true
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
+        map: '(r) => ({id1: r.id, ...})',
+        orderBy: {field: 'field1', desc: false}, rows of shards are merged by order for sharded table
+        limit: 10,
+        offset: 10,
+        chunkSize: Number, 1000, rows sent from worker at once, for JembaDbThread only
+    }
+    result = async iterator of rows, rows are loaded lazily and never held in memory all at once,
+        for await (const row of db.selectStream(query)) {...}
+    */
+    async *selectStream(query = {}) {
+        this._checkOpened();
+
+        if (!query.table)
+            throw new Error(`'query.table' parameter is required`);
+        if (query.joinById)
+            throw new Error(`query.joinById param is not supported by selectStream`);
+
+        const tableInstance = this.table.get(query.table);
+        if (tableInstance) {
+            yield* tableInstance.selectStream(query);
         } else {
             await this._checkTable(query.table);
         }
@@ -925,13 +1395,18 @@ class JembaDb {
     (!) table: 'tableName',
         ignore: Boolean,
         replace: Boolean,
+        onConflict: {field: 'fieldName', action: 'ignore' || 'replace' || 'merge'}, existing row is found
+            by unique hash or index of field (or by id), replaced row keeps its id, merged row gets all fields of row,
+            for sharded table existing row is found across all shards by unique hash or index only
         shardGen: '(r) => r.date',//for sharded table only
     (!) rows: Array,
     }
     result = {
     (!) inserted: Number,
-    (!) replaced: Number,
+    (!) replaced: Number, replaced or merged with query.onConflict
     (!) lastInsertId: Number,
+        conflicts: [{row: Number, id, field: 'fieldName', value, action}], with query.onConflict only,
+            row is index in query.rows, id is id of existing row
     }
     */
     async insert(query = {}) {
@@ -942,6 +1417,8 @@ class JembaDb {
 
         const tableInstance = this.table.get(query.table);
         if (tableInstance) {
+            await this._txJoin(query.table, tableInstance);
+
             return await tableInstance.insert(query);
         } else {
             await this._checkTable(query.table);
@@ -951,15 +1428,58 @@ class JembaDb {
     /*
     query = {
     (!) table: 'tableName',
-    (!) mod: '(r) => r.count++',
+        key: 'fieldName', unique hash or index to find existing rows by, rows are found by id if not set,
+            rows of sharded table are found across all shards
+        merge: Array, fields of row merged into existing row, all fields of row by default
+        set: {field1: value}, declarative patch applied to existing row instead of merging, see update
+        unset: 'fieldName' || Array,
+        inc: {field1: 1},
+        push: {field1: value},
+        shardGen: '(r) => r.date',//for sharded table only
+    (!) rows: Array, row is inserted if absent, or merged into existing one,
+            rows of sharded table with id are merged into rows of shard the id belongs to
+    }
+    result = {
+    (!) inserted: Number,
+    (!) updated: Number,
+    (!) lastInsertId: Number,
+    (!) rows: [{id, inserted: Boolean, updated: Boolean}], for every row of query.rows
+    }
+    */
+    async upsert(query = {}) {
+        this._checkOpened();
+
+        if (!query.table)
+            throw new Error(`'query.table' parameter is required`);
+
+        const tableInstance = this.table.get(query.table);
+        if (tableInstance) {
+            await this._txJoin(query.table, tableInstance);
+
+            return await tableInstance.upsert(query);
+        } else {
+            await this._checkTable(query.table);
+        }
+    }
+
+    /*
+    query = {
+    (!) table: 'tableName',
+    (*) mod: '(r) => r.count++',
+    (*) set: {field1: value}, declarative patch instead of query.mod, operators are applied in order set, unset, inc, push
+    (*) unset: 'fieldName' || Array,
+    (*) inc: {field1: 1}, missing field is counted from 0
+    (*) push: {field1: value}, value is appended to array field, missing field becomes an array
         shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')', //for sharded table only
-        where: `@@index('field1', 10, 20)`,
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
         offset: 10,
+        explain: Boolean, adds result.explain (shardList[].explain for sharded table), see select
     }
     result = {
     (!) updated: Number,
+        explain: Object,
     }
     */
     async update(query = {}) {
@@ -970,6 +1490,8 @@ class JembaDb {
 
         const tableInstance = this.table.get(query.table);
         if (tableInstance) {
+            await this._txJoin(query.table, tableInstance);
+
             return await tableInstance.update(query);
         } else {
             await this._checkTable(query.table);
@@ -979,14 +1501,20 @@ class JembaDb {
     /*
     query = {
     (!) table: 'tableName',
-        where: `@@index('field1', 10, 20)`,
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
         offset: 10,
+        explain: Boolean, adds result.explain (shardList[].explain for sharded table), see select
     }
     result = {
     (!) deleted: Number,
+        explain: Object,
     }
+
+    Rows referring to deleted rows (see create references) are deleted or set to null after deleting,
+    restricted ones are checked before deleting for all rows deleted by cascade. Closed referring tables are opened.
+    Not atomic outside of transaction.
     */
     async delete(query = {}) {
         this._checkOpened();
@@ -996,12 +1524,640 @@ class JembaDb {
 
         const tableInstance = this.table.get(query.table);
         if (tableInstance) {
+            await this._txJoin(query.table, tableInstance);
+
+            const referring = await this._referringTables(query.table);
+            if (referring.length)
+                return await this._deleteReferred(query, tableInstance, referring);
+
+            return await tableInstance.delete(query);
+        } else {
+            await this._checkTable(query.table);
+        }
+    }
+
+    _attachReferences(table, tableInstance) {
+        tableInstance.changeHook = (oldRows, newRows) => this._checkReferences(table, oldRows, newRows);
+    }
+
+    //opens closed table, null if table does not exist
+    async _openedTable(table) {
+        const tableInstance = this.table.get(table);
+        if (tableInstance && tableInstance.opened)
+            return tableInstance;
+
+        if (!await this.tableExists({table}))
+            return null;
+
+        await this.open({table});
+        return this.table.get(table);
+    }
+
+    //referenced tables keep list of referring ones (referrers), so referring tables are found even if closed
+    async _addReferrers(table, references) {
+        for (const reference of references) {
+            const refInstance = await this._openedTable(reference.table);
+            if (!refInstance)
+                throw new Error(`Referenced table '${reference.table}' does not exist`);
+
+            await refInstance.create({referrers: {table, field: reference.field}});
+        }
+    }
+
+    //closed referenced tables keep stale referrers, they are skipped by _referringTables
+    async _delReferrers(table, references) {
+        for (const reference of references) {
+            const refInstance = this.table.get(reference.table);
+            if (refInstance && refInstance.opened)
+                await refInstance.drop({referrers: {table, field: reference.field}});
+        }
+    }
+
+    //references to table, [{table, field, onDelete}], referring tables are opened
+    async _referringTables(table) {
+        //referrers and opened tables, references created before referrers were kept have no referrers
+        const tables = new Set();
+        const tableInstance = this.table.get(table);
+        if (tableInstance && tableInstance.opened) {
+            for (const referrer of tableInstance._getReferrers())
+                tables.add(referrer.table);
+        }
+        for (const [refTable, refInstance] of this.table) {
+            if (refInstance.opened)
+                tables.add(refTable);
+        }
+
+        const result = [];
+        for (const refTable of tables) {
+            const refInstance = await this._openedTable(refTable);
+            if (!refInstance)
+                continue;
+
+            for (const reference of refInstance._getReferences()) {
+                if (reference.table === table)
+                    result.push({table: refTable, field: reference.field, onDelete: reference.onDelete});
+            }
+        }
+
+        return result;
+    }
+
+    async _checkReferenced(table) {
+        for (const reference of await this._referringTables(table)) {
+            if (reference.table !== table)
+                throw new Error(`Table '${table}' is referenced by table '${reference.table}' (${reference.field})`);
+        }
+    }
+
+    //values refer to existing rows of reference.table, it is opened if closed
+    async _checkReferenceValues(table, reference, values) {
+        if (!values.size)
+            return;
+
+        const refInstance = await this._openedTable(reference.table);
+        if (!refInstance)
+            throw new Error(`Referenced table '${reference.table}' does not exist`);
+
+        const valueList = Array.from(values);
+        for (let i = 0; i < valueList.length; i += 1000) {
+            const part = valueList.slice(i, i + 1000);
+            const found = new Set(await refInstance.select({where: `@@id(${utils.esc(part)})`, map: '(r) => r.id'}));
+
+            for (const value of part) {
+                if (!found.has(value))
+                    throw new Error(`Foreign key violation: ${table}.${reference.field} = ${mson.encode(value)}, row of table '${reference.table}' with this id does not exist`);
+            }
+        }
+    }
+
+    //existing rows of table, params of references are checked by table
+    async _checkTableReferences(table, references) {
+        const tableInstance = this.table.get(table);
+
+        for (const reference of references) {
+            if (!reference.field || !reference.table)
+                continue;
+
+            if (!await this._openedTable(reference.table))
+                throw new Error(`Referenced table '${reference.table}' does not exist`);
+
+            const values = new Set();
+            for await (const row of tableInstance.selectStream()) {
+                const value = row[reference.field];
+                if (value !== undefined && value !== null)
+                    values.add(value);
+            }
+
+            await this._checkReferenceValues(table, reference, values);
+        }
+    }
+
+    //change hook of table, changed values of new rows
+    async _checkReferences(table, oldRows, newRows) {
+        const tableInstance = this.table.get(table);
+        if (!tableInstance || !newRows.length)
+            return;
+
+        const references = tableInstance._getReferences();
+        if (!references.length)
+            return;
+
+        const oldRowMap = new Map(oldRows.map((row) => [row.id, row]));
+        for (const reference of references) {
+            const values = new Set();
+            for (const row of newRows) {
+                const value = row[reference.field];
+                const oldRow = oldRowMap.get(row.id);
+
+                if (value !== undefined && value !== null && (!oldRow || oldRow[reference.field] !== value))
+                    values.add(value);
+            }
+
+            //rows referring to rows changed along with them
+            if (reference.table === table) {
+                for (const row of newRows)
+                    values.delete(row.id);
+            }
+
+            await this._checkReferenceValues(table, reference, values);
+        }
+    }
+
+    async _referringIds(reference, ids) {
+        return await this.table.get(reference.table).select({
+            where: {[reference.field]: {$in: ids}},
+            map: '(r) => r.id',
+        });
+    }
+
+    //rows deleted along with rows of table by cascade, table => Set of ids
+    async _cascadeClosure(table, ids) {
+        const result = new Map([[table, new Set(ids)]]);
+
+        const queue = [[table, ids]];
+        while (queue.length) {
+            const [curTable, curIds] = queue.shift();
+
+            for (const reference of await this._referringTables(curTable)) {
+                if (reference.onDelete !== 'cascade')
+                    continue;
+
+                if (!result.has(reference.table))
+                    result.set(reference.table, new Set());
+                const deleted = result.get(reference.table);
+
+                const refIds = (await this._referringIds(reference, curIds)).filter((id) => !deleted.has(id));
+                for (const id of refIds)
+                    deleted.add(id);
+
+                if (refIds.length)
+                    queue.push([reference.table, refIds]);
+            }
+        }
+
+        return result;
+    }
+
+    async _deleteReferred(query, tableInstance, referring) {
+        //ids of deleted rows, map is applied before sort
+        const selectQuery = {};
+        for (const param of ['shards', 'where', 'sort', 'limit', 'offset']) {
+            if (utils.hasProp(query, param))
+                selectQuery[param] = query[param];
+        }
+        if (!query.sort)
+            selectQuery.map = '(r) => r.id';
+
+        let ids = await tableInstance.select(selectQuery);
+        if (query.sort)
+            ids = ids.map((row) => row.id);
+
+        if (!ids.length)
             return await tableInstance.delete(query);
+
+        //restrict
+        const deleting = await this._cascadeClosure(query.table, ids);
+        for (const [table, tableIds] of deleting) {
+            for (const reference of await this._referringTables(table)) {
+                if (reference.onDelete !== 'restrict')
+                    continue;
+
+                const deleted = deleting.get(reference.table);
+                const refIds = (await this._referringIds(reference, Array.from(tableIds))).filter((id) => !(deleted && deleted.has(id)));
+
+                if (refIds.length)
+                    throw new Error(`Delete restricted: ${refIds.length} row(s) of table '${reference.table}' refer to deleted rows of table '${table}' by '${reference.field}'`);
+            }
+        }
+
+        const deleteQuery = Object.assign({}, query, {where: `@@id(${utils.esc(ids)})`});
+        delete deleteQuery.sort;
+        delete deleteQuery.limit;
+        delete deleteQuery.offset;
+
+        const result = await tableInstance.delete(deleteQuery);
+
+        //cascade & setNull
+        for (const reference of referring) {
+            const where = {[reference.field]: {$in: ids}};
+
+            if (reference.onDelete === 'cascade')
+                await this.delete({table: reference.table, where});
+            else if (reference.onDelete === 'setNull')
+                await this.update({table: reference.table, where, set: {[reference.field]: null}});
+        }
+
+        return result;
+    }
+
+    _txJournalPath() {
+        return `${this.dbPath}/__txjournal`;
+    }
+
+    async _loadTxJournal() {
+        const journalPath = this._txJournalPath();
+        if (!await utils.pathExists(journalPath))
+            return {};
+
+        return mson.decode(await fs.readFile(journalPath, 'utf8'));
+    }
+
+    async _saveTxJournal(journal) {
+        const journalPath = this._txJournalPath();
+
+        if (Object.keys(journal).length) {
+            const tempPath = `${journalPath}.tmp`;
+            await fs.writeFile(tempPath, mson.encode(journal));
+            await fs.rename(tempPath, journalPath);
+        } else {
+            await utils.deleteFile(journalPath);
+        }
+    }
+
+    //rolls back a transaction that was interrupted while committing
+    async _txRecover(table, tableInstance) {
+        if (tableInstance.type !== 'basic')
+            return;
+
+        const journal = await this._loadTxJournal();
+        if (!journal[table])
+            return;
+
+        await tableInstance._restoreRows(new Map(journal[table]));
+        await tableInstance._flushChanges();
+
+        delete journal[table];
+        await this._saveTxJournal(journal);
+    }
+
+    //data changes of other callers wait until active transaction is finished
+    async _txJoin(table, tableInstance) {
+        while (this.tx && txContext.getStore() !== this.tx)
+            await this.tx.finished;
+
+        if (this.tx)
+            await this._txAddTable(table, tableInstance);
+    }
+
+    //runs func in context of transaction txId, used by worker wrapper to pass transaction between messages
+    _txRun(txId, func) {
+        const tx = (this.tx && this.tx.id === txId ? this.tx : undefined);
+        return txContext.run(tx, func);
+    }
+
+    async _txAddTable(table, tableInstance) {
+        if (this.tx.tables.has(table))
+            return;
+
+        if (tableInstance.type === 'sharded')
+            throw new Error(`Transactions are not supported for this table type (${tableInstance.type})`);
+
+        await tableInstance._beginTransaction();
+        this.tx.tables.set(table, tableInstance);
+    }
+
+    async _txFinish(rollback) {
+        const tables = this.tx.tables;
+
+        let closedTable = '';
+        for (const [table, tableInstance] of tables) {
+            if (!tableInstance.opened) {
+                closedTable = table;
+                rollback = true;
+                tables.delete(table);
+            }
+        }
+
+        if (rollback) {
+            for (const tableInstance of tables.values())
+                await tableInstance._rollbackTransaction();
+        }
+
+        //write journal, all tables are rolled back on next open if the commit is interrupted
+        const journal = await this._loadTxJournal();
+        const journalTables = [];
+        for (const [table, tableInstance] of tables) {
+            if (tableInstance.type === 'basic' && tableInstance.txJournal.size) {
+                journal[table] = Array.from(tableInstance.txJournal);
+                journalTables.push(table);
+            }
+        }
+
+        if (journalTables.length)
+            await this._saveTxJournal(journal);
+
+        //save changes
+        let error = null;
+        const saved = [];
+        for (const [table, tableInstance] of tables) {
+            const images = tableInstance.txJournal;
+            try {
+                const changes = await tableInstance._endTransaction();
+                saved.push([table, tableInstance, images, changes]);
+            } catch (e) {
+                error = e;
+            }
+        }
+
+        if (error) {
+            //saving failed for some table, roll back the others right now
+            for (const [table, tableInstance, images] of saved) {
+                await tableInstance._restoreRows(images);
+                await tableInstance._flushChanges();
+                delete journal[table];
+            }
+        } else {
+            for (const table of journalTables)
+                delete journal[table];
+
+            for (const [, tableInstance, , changes] of saved)
+                await tableInstance._commitChanges(changes);
+        }
+
+        if (journalTables.length)
+            await this._saveTxJournal(journal);
+
+        if (error)
+            throw new Error(`Transaction failed: ${error.message}`);
+
+        if (closedTable)
+            throw new Error(`Transaction rolled back: table '${closedTable}' has been closed`);
+    }
+
+    /*
+    query = {
+    (!) table: 'tableName',
+        where: '(r) => r.count > 10', //row filter, for update old row is checked too
+        events: ['insert', 'update', 'delete'], default all
+    }
+    result = TableWatcher, EventEmitter ('change' event) and async iterator of changes:
+    change = {
+        table: 'tableName',
+        event: 'insert' | 'update' | 'delete',
+        id: Number | String,
+        oldRow: Object, //for update, delete
+        newRow: Object, //for insert, update
+    }
+
+    Changes are emitted once their delta is committed, changes made in a transaction are emitted on commit.
+    Watching survives table reopening, use watcher.close() or unwatch to stop it.
+    */
+    async watch(query = {}) {
+        this._checkOpened();
+
+        if (!query.table)
+            throw new Error(`'query.table' parameter is required`);
+
+        const events = query.events || watchEvents;
+        if (!Array.isArray(events))
+            throw new Error('query.events must be an array');
+        for (const event of events) {
+            if (!watchEvents.includes(event))
+                throw new Error(`Unknown event '${event}', one of ${watchEvents.join(', ')} expected`);
+        }
+
+        let filter = null;
+        if (query.where) {
+            if (typeof(query.where) !== 'string')
+                throw new Error('query.where must be a string');
+            filter = new Function(`'use strict'; return ${query.where}`)();
+        }
+
+        this.watchId++;
+        const watcher = new TableWatcher(this.watchId, query.table, filter, new Set(events));
+        watcher.onClose = async() => this._delWatcher(watcher);
+
+        let watchers = this.watchers.get(query.table);
+        if (!watchers) {
+            watchers = new Map();
+            this.watchers.set(query.table, watchers);
+        }
+        watchers.set(watcher.id, watcher);
+
+        this._attachWatchers(query.table);
+
+        return watcher;
+    }
+
+    /*
+    query = {
+    (!) id: Number, watcher id
+    }
+    result = {}
+    */
+    async unwatch(query = {}) {
+        for (const watchers of this.watchers.values()) {
+            const watcher = watchers.get(query.id);
+            if (watcher)
+                await watcher.close();
+        }
+
+        return {};
+    }
+
+    /*
+    query = {
+    (!) table: 'tableName',
+        afterSeq: Number, 0
+        limit: Number, 1000
+    }
+    result = {
+        changes: [{seq, time, event: 'insert' | 'update' | 'delete', id, oldRow, newRow}, ...],
+        lastSeq: Number, cursor for the next call
+        firstSeq: Number, the oldest seq kept by retention
+    }
+
+    change log must be enabled by 'changeLog' option of table, now or on one of previous opens
+    */
+    async readChanges(query = {}) {
+        this._checkOpened();
+
+        if (!query.table)
+            throw new Error(`'query.table' parameter is required`);
+
+        const tableInstance = this.table.get(query.table);
+        if (tableInstance) {
+            if (!tableInstance.readChanges)
+                throw new Error(`Change log is not supported for this table type (${tableInstance.type})`);
+
+            return await tableInstance.readChanges(query);
         } else {
             await this._checkTable(query.table);
         }
     }
 
+    _attachWatchers(table) {
+        if (!this.watchers.has(table))
+            return;
+
+        let listener = this.watchListeners.get(table);
+        if (!listener) {
+            listener = (changes) => this._dispatchChanges(table, changes);
+            this.watchListeners.set(table, listener);
+        }
+
+        const tableInstance = this.table.get(table);
+        if (tableInstance && tableInstance.opened)
+            tableInstance.addChangeListener(listener);
+    }
+
+    _delWatcher(watcher) {
+        const watchers = this.watchers.get(watcher.table);
+        if (!watchers)
+            return;
+
+        watchers.delete(watcher.id);
+
+        if (!watchers.size) {
+            this.watchers.delete(watcher.table);
+
+            const listener = this.watchListeners.get(watcher.table);
+            const tableInstance = this.table.get(watcher.table);
+            if (listener && tableInstance)
+                tableInstance.delChangeListener(listener);
+            this.watchListeners.delete(watcher.table);
+        }
+    }
+
+    _dispatchChanges(table, changes) {
+        const watchers = this.watchers.get(table);
+        if (!watchers)
+            return;
+
+        for (const change of changes) {
+            change.table = table;
+            for (const watcher of watchers.values())
+                watcher._push(change);
+        }
+    }
+
+    /*
+    starts a transaction, all data changes made until commit or rollback belong to it
+    result = {
+    (!) txId: Number,
+    }
+
+    Transaction belongs to async context of its caller: data changes made by the caller (and by async
+    calls it starts after begin) are journaled, data changes of other callers wait until commit or rollback.
+    Selects of other callers are not isolated and see uncommitted changes.
+    Other transactions are queued, nested transactions are not supported.
+    */
+    async begin() {
+        this._checkOpened();
+        this._checkTxNested();
+
+        const tx = this._newTx();
+        //before await, so the caller continues in context of tx
+        txContext.enterWith(tx);
+
+        return await this._begin(tx);
+    }
+
+    _newTx() {
+        this.txId++;
+        const tx = {id: this.txId, tables: new Map()};
+        tx.finished = new Promise((resolve) => tx.finish = resolve);
+        return tx;
+    }
+
+    async _begin(tx) {
+        await this.txLock.get();
+        this.tx = tx;
+
+        return {txId: tx.id};
+    }
+
+    //caller would wait for itself
+    _checkTxNested() {
+        if (this.tx && txContext.getStore() === this.tx)
+            throw new Error('Transaction already active');
+    }
+
+    _checkTxOwner() {
+        if (!this.tx || txContext.getStore() !== this.tx)
+            throw new Error('No active transaction');
+    }
+
+    async _txEnd(rollback) {
+        const tx = this.tx;
+        try {
+            await this._txFinish(rollback);
+        } finally {
+            this.tx = null;
+            tx.finish();
+            this.txLock.ret();
+        }
+    }
+
+    /*
+    result = {}
+    */
+    async commit() {
+        this._checkOpened();
+        this._checkTxOwner();
+
+        await this._txEnd(false);
+
+        return {};
+    }
+
+    /*
+    result = {}
+    */
+    async rollback() {
+        this._checkOpened();
+        this._checkTxOwner();
+
+        await this._txEnd(true);
+
+        return {};
+    }
+
+    /*
+    func = async(db) => {...}, runs between begin and commit, rollback on error, see begin
+    result = func result
+    */
+    async transaction(func) {
+        this._checkOpened();
+        this._checkTxNested();
+
+        const tx = this._newTx();
+        return await txContext.run(tx, async() => {
+            await this._begin(tx);
+
+            let result;
+            try {
+                result = await func(this);
+            } catch (e) {
+                await this.rollback();
+                throw e;
+            }
+
+            await this.commit();
+            return result;
+        });
+    }
+
     /*
     query = {
     (!) table: 'tableName',
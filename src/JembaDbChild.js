@@ -5,13 +5,56 @@ const { parentPort } = require('worker_threads');
 const JembaDb = require('./JembaDb');
 
 const db = new JembaDb();
+const streams = new Map();//id => {iter, chunkSize}
+let streamId = 0;
 
 if (parentPort) {
     parentPort.on('message', async(mes) => {
         let result = {};
         try {
-            if (db[mes.action])
-                result.result = await db[mes.action](mes.query);
+            if (mes.action === 'watch') {
+                const watcher = await db.watch(mes.query);
+                watcher.on('change', (change) => {
+                    parentPort.postMessage({watchId: watcher.id, change});
+                });
+                result.result = {id: watcher.id};
+            } else if (mes.action === 'selectStream') {
+                streamId++;
+                streams.set(streamId, {iter: db.selectStream(mes.query), chunkSize: mes.query.chunkSize || 1000});
+                result.result = {id: streamId};
+            } else if (mes.action === 'readStream') {
+                const stream = streams.get(mes.query.id);
+                if (!stream)
+                    throw new Error('Stream not found: ' + mes.query.id);
+
+                const rows = [];
+                let done = false;
+                try {
+                    while (rows.length < stream.chunkSize) {
+                        const next = await stream.iter.next();
+                        if (next.done) {
+                            done = true;
+                            break;
+                        }
+                        rows.push(next.value);
+                    }
+                } catch (e) {
+                    streams.delete(mes.query.id);
+                    throw e;
+                }
+
+                if (done)
+                    streams.delete(mes.query.id);
+                result.result = {rows, done};
+            } else if (mes.action === 'closeStream') {
+                const stream = streams.get(mes.query.id);
+                if (stream) {
+                    streams.delete(mes.query.id);
+                    await stream.iter.return();
+                }
+                result.result = {};
+            } else if (db[mes.action])
+                result.result = await db._txRun(mes.txId, () => db[mes.action](mes.query));
             else
                 result = {error: 'Action not found: ' + mes.action};
         } catch (e) {
@@ -31,13 +74,56 @@ const { parentPort } = require('worker_threads');
 const JembaDb = require('./JembaDb');
 
 const db = new JembaDb();
+const streams = new Map();//id => {iter, chunkSize}
+let streamId = 0;
 
 if (parentPort) {
     parentPort.on('message', async(mes) => {
         let result = {};
         try {
-            if (db[mes.action])
-                result.result = await db[mes.action](mes.query);
+            if (mes.action === 'watch') {
+                const watcher = await db.watch(mes.query);
+                watcher.on('change', (change) => {
+                    parentPort.postMessage({watchId: watcher.id, change});
+                });
+                result.result = {id: watcher.id};
+            } else if (mes.action === 'selectStream') {
+                streamId++;
+                streams.set(streamId, {iter: db.selectStream(mes.query), chunkSize: mes.query.chunkSize || 1000});
+                result.result = {id: streamId};
+            } else if (mes.action === 'readStream') {
+                const stream = streams.get(mes.query.id);
+                if (!stream)
+                    throw new Error('Stream not found: ' + mes.query.id);
+
+                const rows = [];
+                let done = false;
+                try {
+                    while (rows.length < stream.chunkSize) {
+                        const next = await stream.iter.next();
+                        if (next.done) {
+                            done = true;
+                            break;
+                        }
+                        rows.push(next.value);
+                    }
+                } catch (e) {
+                    streams.delete(mes.query.id);
+                    throw e;
+                }
+
+                if (done)
+                    streams.delete(mes.query.id);
+                result.result = {rows, done};
+            } else if (mes.action === 'closeStream') {
+                const stream = streams.get(mes.query.id);
+                if (stream) {
+                    streams.delete(mes.query.id);
+                    await stream.iter.return();
+                }
+                result.result = {};
+            } else if (db[mes.action])
+                result.result = await db._txRun(mes.txId, () => db[mes.action](mes.query));
             else
                 result = {error: 'Action not found: ' + mes.action};
         } catch (e) {
@@ -3,6 +3,11 @@
 const { Worker } = require('worker_threads');
 const utils = require('./utils');
 const JembaDbChild = require('./JembaDbChild');
+const TableWatcher = require('./TableWatcher');
+const { AsyncLocalStorage } = require('async_hooks');
+
+//transaction of current async caller, see JembaDb.begin
+const txContext = new AsyncLocalStorage();
 /* API methods:
 lock
 unlock
@@ -22,11 +27,26 @@ getDbInfo
 getDbSize
 setMonitoring
 
+backup
+backupIncremental
+restore
+
 select
+selectStream
 insert
+upsert
 update
 delete
 
+begin
+commit
+rollback
+transaction
+
+watch
+unwatch
+readChanges
+
 markCorrupted
 
 freeMemory
@@ -37,13 +57,16 @@ class JembaDbThread {
     constructor() {
         this.worker = null;
         this.listeners = new Map();
+        this.watchers = new Map();
         this.requestId = 0;
 
         const apiMethods = [
-            //lock, unlock,
+            //lock, unlock, begin, commit, rollback, transaction,
             'create', 'drop', 'truncate', 'clone', 'open', 'openAll', 'close', 'closeAll',
             'tableExists', 'getDbInfo', 'getDbSize', 'setMonitoring',
-            'select', 'insert', 'update', 'delete',
+            'backup', 'backupIncremental', 'restore',
+            'select', 'insert', 'upsert', 'update', 'delete',
+            'readChanges',
             'markCorrupted', 'freeMemory',
         ];
 
@@ -60,6 +83,12 @@ class JembaDbThread {
             this.worker.terminate();
         }
         this.worker = null;
+
+        for (const watcher of this.watchers.values()) {
+            watcher.onClose = null;
+            watcher.close();//no await
+        }
+        this.watchers.clear();
     }
 
     _runWoker() {
@@ -67,6 +96,13 @@ class JembaDbThread {
         const worker = new Worker(JembaDbChild, {eval: true});
 
         worker.on('message', (mes) => {
+            if (mes.watchId) {
+                const watcher = this.watchers.get(mes.watchId);
+                if (watcher)
+                    watcher._push(mes.change);
+                return;
+            }
+
             const listener = this.listeners.get(mes.requestId);
             if (listener)
                 listener(mes);
@@ -98,7 +134,8 @@ class JembaDbThread {
             });
 
             if (this.worker) {
-                this.worker.postMessage({requestId: this.requestId, action, query});
+                const tx = txContext.getStore();
+                this.worker.postMessage({requestId: this.requestId, action, query, txId: (tx ? tx.id : undefined)});
             } else {
                 reject(new Error('Worker does not exist (database closed?)'));
             }
@@ -127,6 +164,108 @@ class JembaDbThread {
         //console.log('DB closed');
     }
 
+    _checkTxNested() {
+        const tx = txContext.getStore();
+        if (tx && tx.id)
+            throw new Error('Transaction already active');
+    }
+
+    //transaction id is passed to worker with every request made in context of begin caller
+    async begin() {
+        this._checkTxNested();
+
+        const tx = {};
+        txContext.enterWith(tx);
+
+        return await this._begin(tx);
+    }
+
+    async _begin(tx) {
+        const result = await this._action('begin');
+        tx.id = result.txId;
+
+        return result;
+    }
+
+    async _txEnd(action) {
+        const tx = txContext.getStore();
+        try {
+            return await this._action(action);
+        } finally {
+            if (tx)
+                tx.id = undefined;
+        }
+    }
+
+    async commit() {
+        return await this._txEnd('commit');
+    }
+
+    async rollback() {
+        return await this._txEnd('rollback');
+    }
+
+    async transaction(func) {
+        this._checkTxNested();
+
+        const tx = {};
+        return await txContext.run(tx, async() => {
+            await this._begin(tx);
+
+            let result;
+            try {
+                result = await func(this);
+            } catch (e) {
+                await this.rollback();
+                throw e;
+            }
+
+            await this.commit();
+            return result;
+        });
+    }
+
+    //changes are filtered in worker
+    async watch(query = {}) {
+        const {id} = await this._action('watch', query);
+
+        const watcher = new TableWatcher(id, query.table);
+        watcher.onClose = async() => {
+            this.watchers.delete(id);
+            if (this.worker)
+                await this._action('unwatch', {id});
+        };
+        this.watchers.set(id, watcher);
+
+        return watcher;
+    }
+
+    async unwatch(query = {}) {
+        const watcher = this.watchers.get(query.id);
+        if (watcher)
+            await watcher.close();
+
+        return {};
+    }
+
+    //rows are read from worker in chunks of query.chunkSize
+    async *selectStream(query = {}) {
+        const {id} = await this._action('selectStream', query);
+
+        let done = false;
+        try {
+            while (!done) {
+                const chunk = await this._action('readStream', {id});
+                done = chunk.done;
+
+                yield* chunk.rows;
+            }
+        } finally {
+            if (!done && this.worker)
+                await this._action('closeStream', {id});
+        }
+    }
+
     esc(obj) {
         return utils.esc(obj);
     }
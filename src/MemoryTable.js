@@ -1,5 +1,8 @@
 'use strict';
 
+const fs = require('fs').promises;
+const fileUtils = require('./fileUtils');
+
 const BasicTable = require('./BasicTable');
 
 class MemoryTable extends BasicTable {
@@ -53,7 +56,36 @@ class MemoryTable extends BasicTable {
         }
     }
 
+    async _snapshot(destPath) {
+        this._checkErrors();
+
+        await this.lock.get();
+        try {
+            const meta = await this.getMeta();
+            const rows = await this.select();
+
+            await fs.mkdir(destPath, { recursive: true });
+            await fs.writeFile(`${destPath}/type`, this.type);
+            await fileUtils.writeFinal(`${destPath}/rows`, {meta, rows});
+
+            const result = {};
+            for (const fileName of ['type', 'rows']) {
+                const stat = await fs.stat(`${destPath}/${fileName}`);
+                result[fileName] = {size: stat.size, ino: stat.ino, birth: stat.birthtimeMs};
+            }
 
+            return result;
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    async _loadSnapshot(srcPath) {
+        const {meta, rows} = await fileUtils.loadFile(`${srcPath}/rows`);
+
+        await this.create(meta);
+        await this.insert({rows});
+    }
 }
 
 module.exports = MemoryTable;
\ No newline at end of file
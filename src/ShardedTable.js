@@ -5,20 +5,25 @@
     Limitations:
     - no rec.id while insert
     - rec.shard field required while insert
-    - no unique hashes and indexes
+    - unique hashes and indexes are checked table-wide by keys directory, not for multi-value ones
     - maximum rec count per one shard is ~16000000 (limitation of JS Map)
-    - seeming unexpected behavior for select|update|delete with sort,limit,offset params, but it is not
 */
 const fs = require('fs').promises;
+const path = require('path');
 const utils = require('./utils');
 const mson = require('./mson');
+const fileUtils = require('./fileUtils');
 const LockQueue = require('./LockQueue');
 
 const BasicTable = require('./BasicTable');
+const TableAggregate = require('./TableAggregate');
+const TableHash = require('./TableHash');
+const TableIndex = require('./TableIndex');
 
 const shardRowCountStep = 20*1000*1000;//must be greater than 16M, do not change
 const maxFreeShardNumsLength = 100;
 const maxAutoShardListLength = 1000;
+const streamPageSize = 1000;//rows of shard read at once by ordered selectStream
 const autoShardName = '___auto';
 
 class ShardedTable {
@@ -53,6 +58,20 @@ class ShardedTable {
 
         this.freeShardNums = [];
 
+        this.changeListeners = new Set();
+        this.shardChangeListener = (changes) => this._emitChanges(changes);
+
+        //unique keys directory, key => {id: key, rowId}
+        this.keysTable = null;//basic table
+        this.uniqueStructs = [];//[{name, struct}]
+        this.uniqueLock = new LockQueue(100);
+        this.changeHook = null;//async (oldRows, newRows), set by database, called before rows of any shard are changed
+        this.shardChangeHook = async(oldRows, newRows) => {
+            if (this.changeHook)
+                await this.changeHook(oldRows, newRows);
+            await this._updateUniqueKeys(oldRows, newRows);
+        };
+
         this.autoShard = {
             step: 0,
             list: [],//{shard: String, count: Number}
@@ -399,6 +418,7 @@ class ShardedTable {
             }
 
             const table = new BasicTable();
+            table.changeHook = this.shardChangeHook;
 
             const query = utils.cloneDeep(this.openQuery);
             query.tablePath = this._shardTablePath(shardRec.num);
@@ -417,11 +437,17 @@ class ShardedTable {
                 await this._saveShardRec(shardRec);
             } else {
                 await table.open(query);
+
+                //autoIncrement is restored from ids of rows, shard may be empty
+                table.autoIncrement = Math.max(table.autoIncrement, shardRowCountStep*shardRec.num);
             }
 
             this.openedShardTables.set(shard, table);
             this._updateOpenedShardLockList(shard, 1, 0);
 
+            if (this.changeListeners.size)
+                table.addChangeListener(this.shardChangeListener);
+
             return table;
         } finally {
             shdLock.ret();
@@ -445,6 +471,7 @@ class ShardedTable {
         autoRepair: Boolean, false,
         forceFileClosing: Boolean, false,
         typeCompatMode: Boolean, false,
+        durability: 'none' | 'flush' | 'fsync', 'none', for shards only
     }
     */
     async open(query = {}) {
@@ -472,6 +499,7 @@ class ShardedTable {
 
             this.openQuery = utils.cloneDeep(query);
             this.openQuery.recreate = false;
+            delete this.openQuery.changeLog;//not supported for shards
 
             let create = true;
             if (await utils.pathExists(this.tablePath)) {
@@ -531,6 +559,8 @@ class ShardedTable {
             }
 
             this.opened = true;
+
+            await this._loadUniqueKeys();
         } catch(e) {
             await this.close();
             throw new Error(`Open table (${query.tablePath}): ${e.message}`);
@@ -553,6 +583,9 @@ class ShardedTable {
         if (this.shardListTable)
             await this.shardListTable.close();
 
+        if (this.keysTable)
+            await this.keysTable.close();
+
         while (this.checkingTables) {
             await utils.sleep(10);
         }
@@ -566,35 +599,35 @@ class ShardedTable {
         }
     }
 
-    _checkUniqueMeta(query) {
-        if (query.hash) {
-            for (const hash of utils.paramToArray(query.hash)) {
-                if (hash.unique)
-                    throw new Error(`Unique hashes are forbidden for this table type (${this.type})`);
-            }
-        }
-
-        if (query.index) {
-            for (const index of utils.paramToArray(query.index)) {
-                if (index.unique)
-                    throw new Error(`Unique indexes are forbidden for this table type (${this.type})`);
-            }
-        }
-    }
-
     /*
     query = {
         quietIfExists: Boolean,
         flag:  Object || Array, {name: 'flag1', check: '(r) => r.id > 10'}
         hash:  Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
         index: Object || Array, {field: 'field1', type: 'string', depth: 11, allowUndef: false}
+            compound hash or index: {fields: ['field1', 'field2'], type: ['number', 'string'], name: 'field1,field2'}, index is queried by @@compoundIndex(name, from, to)
+            expression hash or index: {name: 'emailLower', expr: '(r) => r.email.toLowerCase()', type: 'string'}, queried by name as field
+            multi-value hash or index: {field: 'tags', multi: true}, every array element refers to row, @@hash('tags', 'a') finds rows containing 'a'
+            unique hash or index: {field: 'field1', unique: true}, values are unique across all shards, not for multi-value ones
+        fulltext: Object || Array, {field: 'field1', stemming: false, minLength: 1}, queried by @@fulltext('field1', 'words prefix*')
+        schema: Object, JSON Schema of rows
+        references: Object || Array, {field: 'authorId', table: 'authors', onDelete: 'restrict' || 'cascade' || 'setNull'}, enforced by database
+        referrers: Object || Array, {table: 'books', field: 'authorId'}, reference of other table to this one, set by database
     }
     result = {}
     */
     async create(query) {
         this._checkErrors();
 
-        this._checkUniqueMeta(query);
+        //rows of all shards are checked for collisions before creating
+        let uniqueKeys = null;
+        const uniqueStructs = this._uniqueStructs(query);
+        if (uniqueStructs.length) {
+            if (uniqueStructs.some(({struct}) => struct.multi))
+                throw new Error(`Unique multi-value hashes and indexes are forbidden for this table type (${this.type})`);
+
+            uniqueKeys = await this._scanUniqueKeys(this.uniqueStructs.concat(uniqueStructs));
+        }
 
         for (const shard of this.shardList.keys()) {
             const table = await this._lockShard(shard);
@@ -613,14 +646,21 @@ class ShardedTable {
         this.changedTables.push(this.metaTable);
         this._checkTables(); //no await
 
+        if (uniqueKeys)
+            await this._loadUniqueKeys(uniqueKeys);
+
         return result;
     }
 
     /*
     query = {
         flag:  Object || Array, {name: 'flag1'}
-        hash:  Object || Array, {field: 'field1'}
-        index: Object || Array, {field: 'field1'}
+        hash:  Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'hash1'}
+        index: Object || Array, {field: 'field1'} || {fields: ['field1', 'field2']} || {name: 'index1'}
+        fulltext: Object || Array, {field: 'field1'}
+        schema: Boolean, removes schema
+        references: Object || Array, {field: 'authorId'}
+        referrers: Object || Array, {table: 'books', field: 'authorId'}
     }
     result = {}
     */
@@ -644,9 +684,243 @@ class ShardedTable {
         this.changedTables.push(this.metaTable);
         this._checkTables(); //no await
 
+        //keys of dropped unique hashes and indexes
+        const uniqueNames = this._uniqueStructs(await this.metaTable.getMeta()).map(({name}) => name).join();
+        if (uniqueNames !== this.uniqueStructs.map(({name}) => name).join()) {
+            if (this.keysTable)
+                await this.keysTable.close();
+            this.keysTable = null;
+            await fs.rm(`${this.tablePath}/keys`, { recursive: true, force: true });
+
+            await this._loadUniqueKeys();
+        }
+
+        return result;
+    }
+
+    //unique hashes and indexes of meta (or of create query)
+    _uniqueStructs(meta) {
+        const result = [];
+        for (const [kind, Struct] of [['hash', TableHash], ['index', TableIndex]]) {
+            if (!meta[kind])
+                continue;
+
+            for (const opts of utils.paramToArray(meta[kind])) {
+                if (opts.unique)
+                    result.push({name: `${kind}:${this.metaTable.reducer._structName(opts)}`, struct: new Struct(opts)});
+            }
+        }
+        return result;
+    }
+
+    //key of unique value in keys directory
+    _uniqueKey(name, struct, value) {
+        struct.checkType(value);
+        return `${name}:${mson.encode(struct._key(struct.prepareValue(value)))}`;
+    }
+
+    //keys of unique values of row, key => value
+    _rowUniqueKeys(row, uniqueStructs = this.uniqueStructs) {
+        const result = new Map();
+        if (row.id === undefined)
+            return result;
+
+        for (const {name, struct} of uniqueStructs) {
+            const value = struct.rowValue(row);
+            if (struct._isUndef(value))
+                continue;
+
+            result.set(this._uniqueKey(name, struct, value), value);
+        }
+        return result;
+    }
+
+    //existing rows by unique hash or index of field, [{key, id}] for every row, id is undefined if not found
+    async _findByKey(rows, field) {
+        const unique = this.uniqueStructs.find(({name}) => (name === `hash:${field}` || name === `index:${field}`));
+        if (!unique)
+            throw new Error(`Unique hash or index '${field}' not found`);
+
+        const {name, struct} = unique;
+        const result = rows.map((row) => {
+            const value = struct.rowValue(row);
+            return {key: (struct._isUndef(value) ? undefined : this._uniqueKey(name, struct, value)), id: undefined};
+        });
+
+        const keys = new Set(result.map(({key}) => key).filter((key) => key !== undefined));
+        if (keys.size) {
+            const rowIds = new Map();
+            const keyRows = await this.keysTable.select({where: `@@id(${utils.esc(Array.from(keys))})`});
+            for (const keyRow of keyRows)
+                rowIds.set(keyRow.id, keyRow.rowId);
+
+            for (const rec of result)
+                rec.id = rowIds.get(rec.key);
+        }
+
+        return result;
+    }
+
+    //shard name of row id, undefined if row id does not belong to any shard
+    _shardOfId(id) {
+        if (typeof(id) !== 'number')
+            return undefined;
+
+        const num = Math.floor(id/shardRowCountStep);
+        for (const shardRec of this.shardList.values()) {
+            if (shardRec.num === num)
+                return shardRec.id;
+        }
+        return undefined;
+    }
+
+    _uniqueCollision(key, value, id1, id2) {
+        const [kind, name] = key.split(':', 2);
+        return new Error(`Collision for unique ${kind} '${name}' detected: value:${mson.encode(value)}, id1:${id1}, id2:${id2}`);
+    }
+
+    //unique values of new rows, rows have no ids yet, rowIds[i] is id of existing row replaced by rows[i]
+    async _checkUniqueRows(rows, rowIds = []) {
+        if (!this.uniqueStructs.length)
+            return;
+
+        const keys = new Map();//key => {value, rowId}
+        for (let i = 0; i < rows.length; i++) {
+            for (const [key, value] of this._rowUniqueKeys(Object.assign({}, rows[i], {id: null}))) {
+                if (keys.has(key))
+                    throw this._uniqueCollision(key, value, 'new', 'new');
+                keys.set(key, {value, rowId: rowIds[i]});
+            }
+        }
+
+        if (keys.size) {
+            const keyRows = await this.keysTable.select({where: `@@id(${utils.esc(Array.from(keys.keys()))})`});
+            for (const keyRow of keyRows) {
+                const {value, rowId} = keys.get(keyRow.id);
+                if (keyRow.rowId !== rowId)
+                    throw this._uniqueCollision(keyRow.id, value, keyRow.rowId, 'new');
+            }
+        }
+    }
+
+    //keys of rows of all shards, key => rowId, throws on collision
+    async _scanUniqueKeys(uniqueStructs) {
+        const result = new Map();
+        for (const shard of this.shardList.keys()) {
+            const table = await this._lockShard(shard);
+            try {
+                for await (const row of table.selectStream()) {
+                    for (const [key, value] of this._rowUniqueKeys(row, uniqueStructs)) {
+                        if (result.has(key) && result.get(key) !== row.id)
+                            throw this._uniqueCollision(key, value, result.get(key), row.id);
+                        result.set(key, row.id);
+                    }
+                }
+            } finally {
+                await this._unlockShard(shard);
+            }
+        }
+
         return result;
     }
 
+    //opens keys directory, it is rebuilt from rows of shards if absent, or from uniqueKeys if set
+    async _loadUniqueKeys(uniqueKeys = null) {
+        this.uniqueStructs = this._uniqueStructs(await this.metaTable.getMeta());
+        if (!this.uniqueStructs.length)
+            return;
+
+        const keysPath = `${this.tablePath}/keys`;
+        if (!uniqueKeys && !this.keysTable && await utils.pathExists(keysPath)) {
+            this.keysTable = new BasicTable();
+            await this.keysTable.open({tablePath: keysPath, autoRepair: this.autoRepair});
+            return;
+        }
+
+        if (!uniqueKeys)
+            uniqueKeys = await this._scanUniqueKeys(this.uniqueStructs);
+
+        await this.uniqueLock.get();
+        try {
+            if (this.keysTable)
+                await this.keysTable.close();
+            this.keysTable = null;
+            await fs.rm(keysPath, { recursive: true, force: true });
+
+            const keysTable = new BasicTable();
+            await keysTable.open({tablePath: keysPath});
+
+            let rows = [];
+            for (const [key, rowId] of uniqueKeys) {
+                rows.push({id: key, rowId});
+                if (rows.length >= 1000) {
+                    await keysTable.insert({rows});
+                    rows = [];
+                }
+            }
+            if (rows.length)
+                await keysTable.insert({rows});
+
+            this.keysTable = keysTable;
+            this.changedTables.push(this.keysTable);
+            this._checkTables(); //no await
+        } finally {
+            this.uniqueLock.ret();
+        }
+    }
+
+    //shard change hook, keys of changed rows are checked and updated in keys directory
+    async _updateUniqueKeys(oldRows, newRows) {
+        if (!this.uniqueStructs.length)
+            return;
+
+        await this.uniqueLock.get();
+        try {
+            const delKeys = new Set();
+            const addKeys = new Map();//key => {id, value}
+            for (let i = 0; i < oldRows.length; i++) {
+                const oldKeys = this._rowUniqueKeys(oldRows[i]);
+                const newKeys = this._rowUniqueKeys(newRows[i]);
+
+                for (const key of oldKeys.keys()) {
+                    if (!newKeys.has(key))
+                        delKeys.add(key);
+                }
+
+                for (const [key, value] of newKeys) {
+                    if (oldKeys.has(key))
+                        continue;
+                    if (addKeys.has(key))
+                        throw this._uniqueCollision(key, value, addKeys.get(key).id, newRows[i].id);
+                    addKeys.set(key, {id: newRows[i].id, value});
+                }
+            }
+
+            if (addKeys.size) {
+                const keyRows = await this.keysTable.select({where: `@@id(${utils.esc(Array.from(addKeys.keys()))})`});
+                for (const keyRow of keyRows) {
+                    const add = addKeys.get(keyRow.id);
+                    if (!delKeys.has(keyRow.id) && keyRow.rowId !== add.id)
+                        throw this._uniqueCollision(keyRow.id, add.value, keyRow.rowId, add.id);
+                }
+            }
+
+            const delList = Array.from(delKeys).filter((key) => !addKeys.has(key));
+            if (delList.length)
+                await this.keysTable.delete({where: `@@id(${utils.esc(delList)})`});
+
+            if (addKeys.size) {
+                const rows = Array.from(addKeys, ([key, add]) => ({id: key, rowId: add.id}));
+                await this.keysTable.insert({rows, replace: true});
+            }
+
+            if (delList.length || addKeys.size)
+                this.changedTables.push(this.keysTable);
+        } finally {
+            this.uniqueLock.ret();
+        }
+    }
+
     /*
     result = {
         type: String,
@@ -654,6 +928,10 @@ class ShardedTable {
         flag:  Array, [{name: 'flag1', check: '(r) => r.id > 10'}, ...]
         hash:  Array, [{field: 'field1', type: 'string', depth: 11, allowUndef: false}, ...]
         index: Array, [{field: 'field1', type: 'string', depth: 11, allowUndef: false}, ...]
+        fulltext: Array, [{field: 'field1', stemming: false, minLength: 1}, ...]
+        schema: Object || null,
+        references: Array, [{field: 'authorId', table: 'authors', onDelete: 'restrict'}, ...]
+        referrers: Array, [{table: 'books', field: 'authorId'}, ...]
         shardList: [{shard: 'string', num: 1, open: false, persistent: false, count: 10}, ...]
     }
     */
@@ -677,6 +955,14 @@ class ShardedTable {
         return result;
     }
 
+    _getReferences() {
+        return this.metaTable._getReferences();
+    }
+
+    _getReferrers() {
+        return this.metaTable._getReferrers();
+    }
+
     _getOpenedShardsFirst(shardsIter) {
         const shards = [];
         const tailShards = [];
@@ -724,13 +1010,19 @@ class ShardedTable {
         persistent: Boolean,//do not unload query.shards while persistent == true
         count: Boolean,
         rawResult: Boolean,
-        where: `@@index('field1', 10, 20)`,
+        plan: Boolean, returns [{plan}], access path chosen for declarative where, without selection
+        explain: Boolean, returns [{explain}] instead of rows: reducer calls, id counts, rows and blocks loaded, time
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         distinct: 'fieldName' || Array,
-        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName'},
+        group: {byField: 'fieldName' || Array, byExpr: '(r) => groupingValue', countField: 'fieldName',
+            aggregates: {total: {sum: 'price'}, avgAge: {avg: 'age'}, first: {min: 'date'}, last: {max: 'date'}}},
         map: '(r) => ({id1: r.id, ...})',
         sort: '(a, b) => a.id - b.id',
+        orderBy: {field: 'field1', desc: false}, by index of field if exists: only rows of limit&offset page are loaded
         limit: 10,
         offset: 10,
+        cursor: true || String, keyset pagination shard by shard for sharded table, query.limit required,
+            returns [{rows: Array, nextCursor: String || null}], next page is selected with {cursor: nextCursor}
     }
     result = Array
     */
@@ -741,6 +1033,33 @@ class ShardedTable {
         const selectedShards = this._parseQueryShards(query);
         const queryHasPersistent = utils.hasProp(query, 'persistent');
 
+        if (query.cursor)
+            return await this._selectByCursor(query, selectedShards);
+
+        const special = (query.rawResult || query.plan || query.explain);
+        //distinct rows & groups of shards are merged, so mapping, sorting and limits are applied after merging
+        const mergeGroups = ((query.distinct || query.group) && !special);
+        //ordered rows of shards are merged k-way, limit + offset is pushed down to shards
+        const mergeRows = (!mergeGroups && !query.count && !special);
+
+        const shardQuery = Object.assign({}, query);
+        if (mergeGroups) {
+            if (query.group)
+                shardQuery.group = Object.assign({}, query.group, {partial: true});
+            delete shardQuery.count;
+            delete shardQuery.map;
+            delete shardQuery.sort;
+            delete shardQuery.limit;
+            delete shardQuery.offset;
+        } else if (mergeRows) {
+            if (utils.hasProp(query, 'limit'))
+                shardQuery.limit = (query.offset || 0) + query.limit;
+            delete shardQuery.offset;
+            //rows are mapped after merging by query.orderBy field
+            if (query.orderBy)
+                delete shardQuery.map;
+        }
+
         const shardResult = [];
 
         let totalCount = 0;
@@ -755,9 +1074,12 @@ class ShardedTable {
                         this._updateOpenedShardLockList(shard, 0, -1);
                 }
 
-                const rows = await table.select(query);//select
+                const rows = await table.select(shardQuery);//select
 
-                if (query.count) {
+                if (query.plan || query.explain) {
+                    for (const row of rows)
+                        row.shard = shard;
+                } else if (query.count && !mergeGroups) {
                     for (const row of rows) {
                         row.shard = shard;
                         totalCount += row.count;
@@ -770,14 +1092,26 @@ class ShardedTable {
             }
         }
 
-        if (query.count) {
-            shardResult.unshift({count: totalCount});
-        }
+        if (query.plan || query.explain)
+            return [].concat(...shardResult);
 
-        let result = [].concat(...shardResult);
+        let result;
+        if (mergeGroups) {
+            result = this._mergeGroups(query, [].concat(...shardResult));
+
+            if (query.count)
+                return [{count: result.length}];
+        } else if (mergeRows) {
+            result = this._mergeRows(query, shardResult);
+        } else {
+            if (query.count)
+                shardResult.unshift({count: totalCount});
+
+            result = [].concat(...shardResult);
+        }
 
         //sorting
-        if (query.sort) {
+        if (query.sort && !mergeRows) {
             const sortFunc = new Function(`'use strict'; return ${query.sort}`)();
             result.sort(sortFunc);
         }
@@ -792,6 +1126,232 @@ class ShardedTable {
         return result;
     }
 
+    //rows of shards ordered by query.sort or query.orderBy are merged k-way, only rows up to limit + offset are taken
+    _mergeRows(query, shardResult) {
+        const count = (utils.hasProp(query, 'limit') ? (query.offset || 0) + query.limit : Infinity);
+
+        if (query.sort) {
+            const sortFunc = new Function(`'use strict'; return ${query.sort}`)();
+            return utils.mergeSorted(shardResult, sortFunc, count);
+        }
+
+        if (query.orderBy) {
+            const rows = utils.mergeSorted(shardResult, utils.orderCmp(query.orderBy.field, query.orderBy.desc), count);
+            if (!query.map)
+                return rows;
+
+            const mapFunc = new Function(`'use strict'; return ${query.map}`)();
+            return rows.map((row) => mapFunc(row));
+        }
+
+        return [].concat(...shardResult).slice(0, count);
+    }
+
+    //one row per distinct value or group from rows of shards, counts and partial aggregates are merged
+    _mergeGroups(query, rows) {
+        const groupKey = TableAggregate.groupKeyFunc(query.distinct, query.group);
+        const aggregate = (query.group && query.group.aggregates ? new TableAggregate(query.group.aggregates) : null);
+        const countField = (query.group ? query.group.countField : null);
+
+        const groups = new Map();
+        for (const row of rows) {
+            const groupingValue = groupKey(row);
+            const groupRow = groups.get(groupingValue);
+            if (groupRow) {
+                if (countField)
+                    groupRow[countField] += row[countField];
+            } else {
+                groups.set(groupingValue, row);
+            }
+
+            if (aggregate)
+                aggregate.merge(groupingValue, row);
+        }
+
+        let mapFunc = null;
+        if (query.map)
+            mapFunc = new Function(`'use strict'; return ${query.map}`)();
+
+        const result = [];
+        for (const [groupingValue, row] of groups) {
+            if (aggregate)
+                Object.assign(row, aggregate.values(groupingValue));
+
+            result.push(mapFunc ? mapFunc(row) : row);
+        }
+
+        return result;
+    }
+
+    //keyset pagination shard by shard in order of shard numbers,
+    //cursor = {num: shard number, cursor: cursor of shard table || null for shard start}
+    async _selectByCursor(query, selectedShards) {
+        if (!utils.hasProp(query, 'limit'))
+            throw new Error(`query.limit param expected if query.cursor is set`);
+
+        let after = null;
+        if (typeof(query.cursor) === 'string') {
+            try {
+                after = JSON.parse(Buffer.from(query.cursor, 'base64').toString());
+            } catch(e) {
+                throw new Error(`Wrong query.cursor`);
+            }
+        }
+
+        const shardNum = (shard) => this.shardList.get(shard).num;
+        const shards = Array.from(selectedShards).sort((a, b) => shardNum(a) - shardNum(b));
+        const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64');
+
+        const rows = [];
+        let nextCursor = null;
+        //shards before cursor are passed, cursor shard may be deleted already
+        for (let i = (after ? shards.findIndex((shard) => shardNum(shard) >= after.num) : 0); i >= 0 && i < shards.length; i++) {
+            const shard = shards[i];
+            const num = shardNum(shard);
+
+            let shardResult;
+            const table = await this._lockShard(shard);
+            try {
+                if (utils.hasProp(query, 'persistent'))
+                    this._updateOpenedShardLockList(shard, 0, (query.persistent ? 1 : -1));
+
+                const cursor = (after && after.num === num && after.cursor ? after.cursor : true);
+                shardResult = (await table.select(Object.assign({}, query, {cursor, limit: query.limit - rows.length})))[0];//select
+            } finally {
+                await this._unlockShard(shard);
+            }
+
+            rows.push(...shardResult.rows);
+
+            if (shardResult.nextCursor) {
+                nextCursor = encode({num, cursor: shardResult.nextCursor});
+                break;
+            }
+
+            if (rows.length >= query.limit) {
+                if (i + 1 < shards.length)
+                    nextCursor = encode({num: shardNum(shards[i + 1]), cursor: null});
+                break;
+            }
+        }
+
+        return [{rows, nextCursor}];
+    }
+
+    /*
+    query = {
+        shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')',
+        persistent: Boolean,//do not unload query.shards while persistent == true
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
+        map: '(r) => ({id1: r.id, ...})',
+        orderBy: {field: 'field1', desc: false}, rows of shards are merged by order
+        limit: 10,
+        offset: 10,
+    }
+    result = async iterator of rows, shard by shard, shard is locked while its rows are read,
+        with query.orderBy shards are read by pages in turn and locked only while page is read
+    */
+    async *selectStream(query = {}) {
+        this._checkErrors();
+
+        //query.shards
+        const selectedShards = this._parseQueryShards(query);
+        if (query.orderBy) {
+            yield* this._selectStreamOrdered(query, selectedShards);
+            return;
+        }
+
+        const limit = (utils.hasProp(query, 'limit') ? query.limit : Infinity);
+        let offset = query.offset || 0;
+        let count = 0;
+
+        const shardQuery = Object.assign({}, query);
+        delete shardQuery.limit;
+        delete shardQuery.offset;
+
+        for (const shard of selectedShards) {
+            if (count >= limit)
+                break;
+
+            const table = await this._lockShard(shard);
+            try {
+                if (utils.hasProp(query, 'persistent'))
+                    this._updateOpenedShardLockList(shard, 0, (query.persistent ? 1 : -1));
+
+                for await (const row of table.selectStream(shardQuery)) {
+                    if (offset > 0) {
+                        offset--;
+                        continue;
+                    }
+
+                    yield row;
+                    count++;
+
+                    if (count >= limit)
+                        break;
+                }
+            } finally {
+                await this._unlockShard(shard);
+            }
+        }
+    }
+
+    //rows of shards are merged k-way, every shard is read by pages of keyset pagination (query.cursor),
+    //rows are mapped after merging by query.orderBy field
+    async *_selectStreamOrdered(query, selectedShards) {
+        const limit = (utils.hasProp(query, 'limit') ? query.limit : Infinity);
+        let offset = query.offset || 0;
+        let count = 0;
+
+        const pageQuery = {where: query.where, orderBy: query.orderBy, limit: Math.min(offset + limit, streamPageSize)};
+        const readers = Array.from(selectedShards).map((shard) => ({shard, cursor: true, rows: [], pos: 0}));
+
+        const readPage = async(reader) => {
+            const table = await this._lockShard(reader.shard);
+            try {
+                if (reader.cursor === true && utils.hasProp(query, 'persistent'))
+                    this._updateOpenedShardLockList(reader.shard, 0, (query.persistent ? 1 : -1));
+
+                const [{rows, nextCursor}] = await table.select(Object.assign({}, pageQuery, {cursor: reader.cursor}));//select
+                reader.rows = rows;
+                reader.pos = 0;
+                reader.cursor = nextCursor;
+            } finally {
+                await this._unlockShard(reader.shard);
+            }
+        };
+
+        for (const reader of readers)
+            await readPage(reader);
+
+        const cmp = utils.orderCmp(query.orderBy.field, query.orderBy.desc);
+        const mapFunc = (query.map ? new Function(`'use strict'; return ${query.map}`)() : null);
+
+        while (count < limit) {
+            let best = null;
+            for (const reader of readers) {
+                if (reader.pos < reader.rows.length && (!best || cmp(reader.rows[reader.pos], best.rows[best.pos]) < 0))
+                    best = reader;
+            }
+
+            if (!best)
+                break;
+
+            const row = best.rows[best.pos];
+            best.pos++;
+            if (best.pos >= best.rows.length && best.cursor)
+                await readPage(best);
+
+            if (offset > 0) {
+                offset--;
+                continue;
+            }
+
+            yield (mapFunc ? mapFunc(row) : row);
+            count++;
+        }
+    }
+
     _genAutoShard() {
         const a = this.autoShard;
         while (a.list.length) {
@@ -851,13 +1411,17 @@ class ShardedTable {
     /*
     query = {
         shardGen: '(r) => r.date',
+        onConflict: {field: 'fieldName', action: 'ignore' || 'replace' || 'merge'}, existing row is found by unique hash or index
+            of field across all shards (see keys directory), conflicting rows are inserted into shard of existing row,
+            rows with same new key into shard of the first of them
     (!) rows: Array,
     }
     result = {
     (!) inserted: Number,
-    (!) replaced: Number,//always 0
+    (!) replaced: Number, replaced or merged with query.onConflict
     (!) lastInsertId: Number,
-    (!) shardList: [{shard: 'name', inserted: Number}]
+    (!) shardList: [{shard: 'name', inserted: Number}], {shard, inserted, replaced} with query.onConflict
+        conflicts: [{row: Number, id, field: 'fieldName', value, action}], with query.onConflict only, see BasicTable.insert
     }
     */
     async insert(query = {}) {
@@ -873,13 +1437,32 @@ class ShardedTable {
                 shardGen = new Function(`'use strict'; return ${query.shardGen}`)();
 
             const rows = utils.cloneDeep(query.rows);
-            //checks & shardedRows
-            const shardedRows = new Map();
             for (const row of rows) {
                 if (utils.hasProp(row, 'id'))
                     throw new Error(`row.id (${row.id}) use is not allowed for this table type (${this.type}) while insert`);
+            }
+
+            //existing rows by key
+            let found = null;
+            const keyShards = new Map();//key => shard
+            if (query.onConflict) {
+                if (query.ignore || query.replace)
+                    throw new Error(`query.onConflict param can not be used with query.ignore or query.replace`);
+                if (!query.onConflict.field)
+                    throw new Error(`query.onConflict.field param expected`);
+
+                found = await this._findByKey(rows, query.onConflict.field);
+            }
 
-                if (!utils.hasProp(row, 'shard')) {
+            //checks & shardedRows
+            const shardedRows = new Map();//shard => {rows, positions}
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+
+                if (found && found[i].id !== undefined) {
+                    //shard of existing row
+                    row.shard = this._shardOfId(found[i].id);
+                } else if (!utils.hasProp(row, 'shard')) {
                     if (shardGen)
                         row.shard = shardGen(row);
                     else
@@ -893,15 +1476,49 @@ class ShardedTable {
                 if (row.shard === autoShardName)
                     row.shard = this._genAutoShard();
 
+                //same new key
+                const key = (found ? found[i].key : undefined);
+                if (key !== undefined) {
+                    if (keyShards.has(key))
+                        row.shard = keyShards.get(key);
+                    else
+                        keyShards.set(key, row.shard);
+                }
+
                 let r = shardedRows.get(row.shard);
                 if (!r) {
-                    r = [];
+                    r = {rows: [], positions: []};
                     shardedRows.set(row.shard, r);
                 }
-                r.push(row);
+                r.rows.push(row);
+                r.positions.push(i);
+            }
+
+            //unique values are checked for all rows before inserting into shards,
+            //ignored rows and rows with repeated new key are resolved by shard
+            if (found) {
+                const checkRows = [];
+                const rowIds = [];
+                const seen = new Set();
+                for (let i = 0; i < rows.length; i++) {
+                    const {key, id} = found[i];
+                    if (id !== undefined ? query.onConflict.action === 'ignore' : seen.has(key))
+                        continue;
+                    if (key !== undefined)
+                        seen.add(key);
+
+                    checkRows.push(rows[i]);
+                    rowIds.push(id);
+                }
+
+                await this._checkUniqueRows(checkRows, rowIds);
+            } else {
+                await this._checkUniqueRows(rows);
             }
 
             const result = {inserted: 0, replaced: 0, lastInsertId: -1, shardList: []};
+            if (found)
+                result.conflicts = [];
 
             //opened shards first
             const shards = this._getOpenedShardsFirst(shardedRows.keys());
@@ -912,18 +1529,171 @@ class ShardedTable {
                 await duiLock.get();
                 try {
                     let shardRowCount = 0;
-                    const rows = shardedRows.get(shard);
+                    const {rows, positions} = shardedRows.get(shard);
 
                     const table = await this._lockShard(shard);
                     try {
-                        const insResult = await table.insert({rows});//insert
+                        const insResult = await table.insert({rows, onConflict: query.onConflict});//insert
 
                         this.changedTables.push(table);
                         
                         result.inserted += insResult.inserted;
-                        result.lastInsertId = insResult.lastInsertId;
+                        if (insResult.inserted || !found)
+                            result.lastInsertId = insResult.lastInsertId;
+
+                        if (found) {
+                            result.replaced += insResult.replaced;
+                            for (const conflict of insResult.conflicts)
+                                result.conflicts.push(Object.assign(conflict, {row: positions[conflict.row]}));
+
+                            result.shardList.push({shard, inserted: insResult.inserted, replaced: insResult.replaced});
+                        } else {
+                            result.shardList.push({shard, inserted: insResult.inserted});
+                        }
+                        shardRowCount = table.rowsInterface.getAllIdsSize();
+                    } finally {
+                        await this._unlockShard(shard);
+                    }
+
+                    const shardRec = this.shardList.get(shard);
+                    this.infoShard.count -= shardRec.count;
+                    shardRec.count = shardRowCount;
+                    this.infoShard.count += shardRowCount;
+                    await this._saveShardRec(shardRec);
+                    await this._saveShardRec(this.infoShard);
+                } finally {
+                    duiLock.ret();
+                }
+            }
+
+            return result;
+        } finally {
+            this._checkTables(); //no await
+        }
+    }
+
+    /*
+    query = {
+        shardGen: '(r) => r.date',
+        key: 'fieldName', unique hash or index to find existing rows by (see keys directory), rows are found by id if not set
+    (!) rows: Array, rows with id (or with key of existing row) are merged into rows of shard the existing row belongs to,
+            rows with same new key are inserted into shard of the first of them
+        merge: Array, fields of row merged into existing row, all fields of row by default
+        set: {field1: value}, declarative patch applied to existing row instead of merging, see update
+        unset: 'fieldName' || Array,
+        inc: {field1: 1},
+        push: {field1: value},
+    }
+    result = {
+    (!) inserted: Number,
+    (!) updated: Number,
+    (!) lastInsertId: Number,
+    (!) rows: [{id, inserted: Boolean, updated: Boolean}], for every row of query.rows
+    (!) shardList: [{shard: 'name', inserted: Number, updated: Number}]
+    }
+    */
+    async upsert(query = {}) {
+        this._checkErrors();
+
+        try {
+            if (!Array.isArray(query.rows)) {
+                throw new Error('query.rows must be an array');
+            }
+            let shardGen = null;
+            if (query.shardGen)
+                shardGen = new Function(`'use strict'; return ${query.shardGen}`)();
+
+            const rows = utils.cloneDeep(query.rows);
+
+            //existing rows by key
+            let found = null;
+            const keyShards = new Map();//key => shard
+            if (query.key && query.key !== 'id') {
+                for (const row of rows) {
+                    if (utils.hasProp(row, 'id'))
+                        throw new Error(`row.id (${row.id}) use is not allowed for this table type (${this.type}) while upsert by key`);
+                }
+
+                found = await this._findByKey(rows, query.key);
+            }
+
+            //checks & shardedRows
+            const shardedRows = new Map();//shard => {rows, positions}
+            for (let i = 0; i < rows.length; i++) {
+                const row = rows[i];
+
+                if (found && found[i].id !== undefined) {
+                    //shard of existing row
+                    row.shard = this._shardOfId(found[i].id);
+                } else if (utils.hasProp(row, 'id')) {
+                    //shard of row is defined by id
+                    const shard = this._shardOfId(row.id);
+                    if (shard === undefined)
+                        throw new Error(`row.id (${row.id}) does not belong to any shard`);
+                    if (utils.hasProp(row, 'shard') && row.shard !== shard)
+                        throw new Error(`row.shard '${row.shard}' does not match shard '${shard}' of row.id (${row.id})`);
+
+                    row.shard = shard;
+                } else if (!utils.hasProp(row, 'shard')) {
+                    if (shardGen)
+                        row.shard = shardGen(row);
+                    else
+                        throw new Error(`No row.shard field found for row: ${mson.encode(row)}`);
+                }
+
+                if (row.shard === '' || typeof(row.shard) !== 'string') 
+                    throw new Error(`Wrong row.shard field value: '${row.shard}' for row: ${mson.encode(row)}`);
+
+                //auto sharding
+                if (row.shard === autoShardName)
+                    row.shard = this._genAutoShard();
 
-                        result.shardList.push({shard, inserted: insResult.inserted});
+                //same new key
+                const key = (found ? found[i].key : undefined);
+                if (key !== undefined) {
+                    if (keyShards.has(key))
+                        row.shard = keyShards.get(key);
+                    else
+                        keyShards.set(key, row.shard);
+                }
+
+                let r = shardedRows.get(row.shard);
+                if (!r) {
+                    r = {rows: [], positions: []};
+                    shardedRows.set(row.shard, r);
+                }
+                r.rows.push(row);
+                r.positions.push(i);
+            }
+
+            const result = {inserted: 0, updated: 0, lastInsertId: -1, rows: new Array(rows.length), shardList: []};
+
+            //opened shards first
+            const shards = this._getOpenedShardsFirst(shardedRows.keys());
+
+            //upserting
+            for (const shard of shards) {
+                const duiLock = this._getDUILock(shard);
+                await duiLock.get();
+                try {
+                    let shardRowCount = 0;
+                    const {rows, positions} = shardedRows.get(shard);
+
+                    const table = await this._lockShard(shard);
+                    try {
+                        const upsResult = await table.upsert(Object.assign({}, query, {rows}));//upsert
+
+                        this.changedTables.push(table);
+
+                        result.inserted += upsResult.inserted;
+                        result.updated += upsResult.updated;
+                        if (upsResult.inserted)
+                            result.lastInsertId = upsResult.lastInsertId;
+                        upsResult.rows.forEach((rowResult, i) => {
+                            result.rows[positions[i]] = rowResult;
+                        });
+
+                        result.shardList.push({shard, inserted: upsResult.inserted, updated: upsResult.updated});
                         shardRowCount = table.rowsInterface.getAllIdsSize();
                     } finally {
                         await this._unlockShard(shard);
@@ -946,18 +1716,74 @@ class ShardedTable {
         }
     }
 
+    //ids of rows of the page by query.sort, query.limit and query.offset taken from all shards, Map(shard => ids),
+    //null if there is no such params
+    async _selectPageIds(query, selectedShards) {
+        if (!query.sort && !utils.hasProp(query, 'limit') && !utils.hasProp(query, 'offset'))
+            return null;
+
+        const offset = query.offset || 0;
+        const count = (utils.hasProp(query, 'limit') ? offset + query.limit : Infinity);
+
+        const shardQuery = {where: query.where, sort: query.sort};
+        if (count < Infinity)
+            shardQuery.limit = count;
+
+        const shardResult = [];
+        for (const shard of selectedShards) {
+            const table = await this._lockShard(shard);
+            try {
+                const rows = await table.select(shardQuery);//select
+                shardResult.push(rows.map((row) => ({shard, row})));
+            } finally {
+                await this._unlockShard(shard);
+            }
+        }
+
+        let cmp = () => 0;
+        if (query.sort) {
+            const sortFunc = new Function(`'use strict'; return ${query.sort}`)();
+            cmp = (a, b) => sortFunc(a.row, b.row);
+        }
+
+        const result = new Map();
+        for (const {shard, row} of utils.mergeSorted(shardResult, cmp, count).slice(offset)) {
+            if (!result.has(shard))
+                result.set(shard, []);
+            result.get(shard).push(row.id);
+        }
+
+        return result;
+    }
+
+    //query for shard restricted to ids of the page
+    _pageQuery(query, pageIds, shard) {
+        if (!pageIds)
+            return query;
+
+        const result = Object.assign({}, query, {where: `@@id(${utils.esc(pageIds.get(shard))})`});
+        delete result.limit;
+        delete result.offset;
+        return result;
+    }
+
     /*
     query = {
-    (!) mod: '(r) => r.count++',
+    (*) mod: '(r) => r.count++',
+    (*) set: {field1: value}, declarative patch instead of query.mod, operators are applied in order set, unset, inc, push
+    (*) unset: 'fieldName' || Array,
+    (*) inc: {field1: 1}, missing field is counted from 0
+    (*) push: {field1: value}, value is appended to array field, missing field becomes an array
         shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')',
-        where: `@@index('field1', 10, 20)`,
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
-        offset: 10,
+        offset: 10, sort, limit and offset are applied to rows of all shards
+        explain: Boolean, adds shardList[].explain
     }
     result = {
     (!) updated: Number,
-    (!) shardList: [{shard: 'name', updated: Number}]
+    (!) shardList: [{shard: 'name', updated: Number, explain: Object}]
     }
     */
     async update(query = {}) {
@@ -966,19 +1792,23 @@ class ShardedTable {
         //query.shards
         const selectedShards = this._parseQueryShards(query);
         const result = {updated: 0, shardList: []};
+        const pageIds = await this._selectPageIds(query, selectedShards);
 
         //update shards
         for (const shard of selectedShards) {
+            if (pageIds && !pageIds.has(shard))
+                continue;
+
             const duiLock = this._getDUILock(shard);
             await duiLock.get();
             try {
 
                 const table = await this._lockShard(shard);
                 try {
-                    const updResult = await table.update(query);//update
+                    const updResult = await table.update(this._pageQuery(query, pageIds, shard));//update
 
                     result.updated += updResult.updated;
-                    result.shardList.push({shard, updated: updResult.updated});
+                    result.shardList.push({shard, updated: updResult.updated, explain: updResult.explain});
                 } finally {
                     await this._unlockShard(shard);
                 }
@@ -993,14 +1823,15 @@ class ShardedTable {
     /*
     query = {
         shards: ['shard1', 'shard2', ...] || '(s) => (s == 'shard1')',
-        where: `@@index('field1', 10, 20)`,
+        where: `@@index('field1', 10, 20)` || {field1: {$gt: 10, $lt: 20}},
         sort: '(a, b) => a.id - b.id',
         limit: 10,
-        offset: 10,
+        offset: 10, sort, limit and offset are applied to rows of all shards
+        explain: Boolean, adds shardList[].explain
     }
     result = {
     (!) deleted: Number,
-    (!) shardList: [{shard: 'name', deleted: Number}]
+    (!) shardList: [{shard: 'name', deleted: Number, explain: Object}]
     }
     */
     async delete(query = {}) {
@@ -1011,8 +1842,13 @@ class ShardedTable {
 
         const shardsToDelete = [];
         const result = {deleted: 0, shardList: []};
+        const pageIds = await this._selectPageIds(query, selectedShards);
+
         //delete from shards
         for (const shard of selectedShards) {
+            if (pageIds && !pageIds.has(shard))
+                continue;
+
             const duiLock = this._getDUILock(shard);
             await duiLock.get();
             try {
@@ -1021,10 +1857,10 @@ class ShardedTable {
 
                 const table = await this._lockShard(shard);
                 try {
-                    delResult = await table.delete(query);//delete
+                    delResult = await table.delete(this._pageQuery(query, pageIds, shard));//delete
 
                     result.deleted += delResult.deleted;
-                    result.shardList.push({shard, deleted: delResult.deleted});
+                    result.shardList.push({shard, deleted: delResult.deleted, explain: delResult.explain});
                     shardRowCount = table.rowsInterface.getAllIdsSize();
                 } finally {
                     await this._unlockShard(shard);
@@ -1087,8 +1923,88 @@ class ShardedTable {
         return {};
     }
 
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+
+        for (const table of this.openedShardTables.values())
+            table.addChangeListener(this.shardChangeListener);
+    }
+
+    delChangeListener(listener) {
+        this.changeListeners.delete(listener);
+
+        if (!this.changeListeners.size) {
+            for (const table of this.openedShardTables.values())
+                table.delChangeListener(this.shardChangeListener);
+        }
+    }
+
+    _emitChanges(changes) {
+        for (const listener of this.changeListeners) {
+            try {
+                listener(changes);
+            } catch (e) {
+                //listener errors must not affect table
+            }
+        }
+    }
+
+    async _snapshot(destPath) {
+        this._checkErrors();
+
+        const result = {};
+        const addFiles = (prefix, files) => {
+            for (const [fileName, fileRec] of Object.entries(files))
+                result[`${prefix}/${fileName}`] = fileRec;
+        };
+
+        //data changes are locked in all shards during snapshot
+        //shards created meanwhile are not included
+        const shards = Array.from(this.shardList.keys());
+        const duiLocks = shards.map((shard) => this._getDUILock(shard));
+
+        for (const duiLock of duiLocks)
+            await duiLock.get();
+        try {
+            Object.assign(result, await fileUtils.snapshotFiles(this.tablePath, destPath));
+            addFiles('shards', await this.shardListTable._snapshot(`${destPath}/shards`));
+            addFiles('meta', await this.metaTable._snapshot(`${destPath}/meta`));
+            if (this.keysTable)
+                addFiles('keys', await this.keysTable._snapshot(`${destPath}/keys`));
+
+            for (const shard of shards) {
+                const shardRec = this.shardList.get(shard);
+                if (!shardRec)
+                    continue;
+
+                const shardPath = this._shardTablePath(shardRec.num);
+                const shardName = path.basename(shardPath);
+
+                const shdLock = this._getShardLock(shard);
+                await shdLock.get();
+                try {
+                    const table = this.openedShardTables.get(shard);
+                    if (table)
+                        addFiles(shardName, await table._snapshot(`${destPath}/${shardName}`));
+                    else
+                        addFiles(shardName, await fileUtils.snapshotFiles(shardPath, `${destPath}/${shardName}`));
+                } finally {
+                    shdLock.ret();
+                }
+            }
+        } finally {
+            for (const duiLock of duiLocks)
+                duiLock.ret();
+        }
+
+        return result;
+    }
+
+    //state file is replaced, not rewritten in place: its hard link may belong to a backup snapshot
     async _saveState(state) {
-        await fs.writeFile(`${this.tablePath}/state`, state);
+        const statePath = `${this.tablePath}/state`;
+        await fs.writeFile(`${statePath}.tmp`, state);
+        await fs.rename(`${statePath}.tmp`, statePath);
     }
 
     async _checkTables() {
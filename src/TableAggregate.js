@@ -0,0 +1,133 @@
+'use strict';
+
+const mson = require('./mson');
+
+const aggregateOps = ['sum', 'avg', 'min', 'max'];
+
+function cmp(x, y) {
+    if (typeof(x) === 'number' && typeof(y) === 'number')
+        return x - y;
+    return (x < y ? -1 : (x > y ? 1 : 0));
+}
+
+//group aggregates, computed per row and mergeable by partial states (for sharded tables)
+class TableAggregate {
+    //aggregates = {total: {sum: 'price'}, avgAge: {avg: 'age'}, first: {min: 'date'}}
+    constructor(aggregates = {}) {
+        this.list = [];//[{name, op, field}]
+        for (const [name, aggregate] of Object.entries(aggregates)) {
+            const ops = Object.keys(aggregate || {});
+            if (ops.length !== 1 || !aggregateOps.includes(ops[0]))
+                throw new Error(`Wrong query.group.aggregates.${name} param, one of ${aggregateOps.join(', ')} expected`);
+
+            this.list.push({name, op: ops[0], field: aggregate[ops[0]]});
+        }
+
+        this.groups = new Map();//groupingValue => {name: state}
+    }
+
+    //groupingValue of row, null if no grouping
+    static groupKeyFunc(distinct, group) {
+        let groupByField = null;
+        let groupByExpr = null;
+        if (distinct)
+            groupByField = (Array.isArray(distinct) ? distinct : [distinct]);
+
+        if (group) {
+            if (group.byField && group.byExpr)
+                throw new Error(`One of query.qroup.byField or query.qroup.byExpr params expected, but not both`);
+            if (group.byField) {
+                groupByField = (Array.isArray(group.byField) ? group.byField : [group.byField]);
+            } else if (group.byExpr) {
+                groupByExpr = new Function(`'use strict'; return ${group.byExpr}`)();
+            }
+        }
+
+        return (row) => {
+            let groupingValue = '';
+            if (groupByField) {
+                for (const field of groupByField) {
+                    const value = mson.encode(row[field]);
+                    groupingValue += value.length + value;
+                }
+            } else if (groupByExpr) {
+                groupingValue = groupByExpr(row);
+            }
+
+            return groupingValue;
+        };
+    }
+
+    _states(key) {
+        let states = this.groups.get(key);
+        if (!states) {
+            states = {};
+            for (const {name} of this.list)
+                states[name] = {n: 0, sum: 0, value: null};
+            this.groups.set(key, states);
+        }
+        return states;
+    }
+
+    add(key, row) {
+        const states = this._states(key);
+
+        for (const {name, op, field} of this.list) {
+            const value = row[field];
+            if (value === undefined || value === null)
+                continue;
+
+            const state = states[name];
+            if (op === 'sum' || op === 'avg') {
+                if (typeof(value) !== 'number')
+                    continue;
+                state.sum += value;
+            } else if (state.n === 0 || (op === 'min' ? cmp(value, state.value) < 0 : cmp(value, state.value) > 0)) {
+                state.value = value;
+            }
+            state.n++;
+        }
+    }
+
+    //partial states of other aggregate with same aggregates
+    merge(key, partialStates) {
+        const states = this._states(key);
+
+        for (const {name, op} of this.list) {
+            const state = states[name];
+            const partial = partialStates[name];
+            if (!partial || !partial.n)
+                continue;
+
+            if (op === 'sum' || op === 'avg') {
+                state.sum += partial.sum;
+            } else if (state.n === 0 || (op === 'min' ? cmp(partial.value, state.value) < 0 : cmp(partial.value, state.value) > 0)) {
+                state.value = partial.value;
+            }
+            state.n += partial.n;
+        }
+    }
+
+    partial(key) {
+        return this._states(key);
+    }
+
+    //{name: value}, sum of no values is 0, avg, min, max of no values are null
+    values(key) {
+        const states = this._states(key);
+
+        const result = {};
+        for (const {name, op} of this.list) {
+            const state = states[name];
+            if (op === 'sum')
+                result[name] = state.sum;
+            else if (op === 'avg')
+                result[name] = (state.n ? state.sum/state.n : null);
+            else
+                result[name] = state.value;
+        }
+        return result;
+    }
+}
+
+module.exports = TableAggregate;
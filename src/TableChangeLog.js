@@ -0,0 +1,189 @@
+'use strict';
+
+const fs = require('fs').promises;
+
+const utils = require('./utils');
+const mson = require('./mson');
+const LockQueue = require('./LockQueue');
+
+const maxSegmentSize = 1024*1024;
+
+/*
+    Persistent log of table changes, one record per line:
+    {seq, time, event, id, oldRow, newRow}
+
+    Records are kept in segment files named by the first seq of segment,
+    retention (maxSize, maxAge) removes whole segments, the last one is always kept.
+*/
+class TableChangeLog {
+    constructor(logPath, maxSize = 0, maxAge = 0) {
+        this.logPath = logPath;
+        this.maxSize = maxSize;//bytes, 0 - unlimited
+        this.maxAge = maxAge;//ms, 0 - unlimited
+        this.segmentSize = (maxSize ? Math.min(Math.ceil(maxSize/4), maxSegmentSize) : maxSegmentSize);
+
+        this.segments = [];//{firstSeq: Number, size: Number, time: Number}
+        this.lastSeq = 0;
+        this.fd = null;
+
+        this.lock = new LockQueue(1000);
+    }
+
+    segmentPath(firstSeq) {
+        return `${this.logPath}/${firstSeq.toString().padStart(12, '0')}.log`;
+    }
+
+    async load() {
+        await fs.mkdir(this.logPath, { recursive: true });
+
+        const files = await fs.readdir(this.logPath);
+        for (const file of files.sort()) {
+            if (!file.endsWith('.log'))
+                continue;
+
+            const stat = await fs.stat(`${this.logPath}/${file}`);
+            this.segments.push({firstSeq: parseInt(file, 10), size: stat.size, time: stat.mtimeMs});
+        }
+
+        //lastSeq from the last record, torn record is cut off
+        const last = this.segments[this.segments.length - 1];
+        if (last) {
+            const segPath = this.segmentPath(last.firstSeq);
+            const data = await fs.readFile(segPath, 'utf8');
+
+            let validSize = data.lastIndexOf('\n') + 1;
+            const lines = data.substring(0, validSize).split('\n');
+            lines.pop();
+
+            this.lastSeq = last.firstSeq - 1;
+            for (let i = lines.length - 1; i >= 0; i--) {
+                try {
+                    this.lastSeq = mson.decode(lines[i]).seq;
+                    break;
+                } catch(e) {
+                    validSize -= Buffer.byteLength(lines[i]) + 1;
+                }
+            }
+
+            if (Buffer.byteLength(data) !== validSize) {
+                await fs.truncate(segPath, validSize);
+                last.size = validSize;
+            }
+        }
+    }
+
+    //changes: [{event, id, oldRow, newRow}, ...], seq is assigned to every change
+    async append(changes, sync = false) {
+        if (!changes.length)
+            return;
+
+        await this.lock.get();
+        try {
+            const time = Date.now();
+            let data = '';
+            for (const change of changes) {
+                this.lastSeq++;
+                change.seq = this.lastSeq;
+                data += `${mson.encode(Object.assign({seq: change.seq, time}, change))}\n`;
+            }
+
+            let last = this.segments[this.segments.length - 1];
+            if (!last || last.size >= this.segmentSize) {
+                await this._closeFd();
+                last = {firstSeq: changes[0].seq, size: 0, time};
+                this.segments.push(last);
+            }
+
+            if (!this.fd)
+                this.fd = await fs.open(this.segmentPath(last.firstSeq), 'a');
+
+            await this.fd.write(data);
+            if (sync)
+                await this.fd.sync();
+
+            last.size += Buffer.byteLength(data);
+            last.time = time;
+
+            await this._applyRetention();
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    async _applyRetention() {
+        let totalSize = 0;
+        for (const segment of this.segments)
+            totalSize += segment.size;
+
+        const now = Date.now();
+        while (this.segments.length > 1) {
+            const first = this.segments[0];
+            const tooBig = (this.maxSize && totalSize > this.maxSize);
+            const tooOld = (this.maxAge && now - first.time > this.maxAge);
+            if (!tooBig && !tooOld)
+                break;
+
+            await utils.deleteFile(this.segmentPath(first.firstSeq));
+            totalSize -= first.size;
+            this.segments.shift();
+        }
+    }
+
+    /*
+    result = {
+        changes: Array, records with seq > afterSeq
+        lastSeq: Number, seq of the last returned record, pass it as afterSeq to continue
+        firstSeq: Number, the oldest seq available, records before it are removed by retention
+    }
+    */
+    async read(afterSeq = 0, limit = 1000) {
+        await this.lock.get();
+        try {
+            const changes = [];
+
+            for (let i = 0; i < this.segments.length && changes.length < limit; i++) {
+                const next = this.segments[i + 1];
+                if (next && next.firstSeq <= afterSeq + 1)
+                    continue;
+
+                const lines = (await fs.readFile(this.segmentPath(this.segments[i].firstSeq), 'utf8')).split('\n');
+                lines.pop();
+
+                for (const line of lines) {
+                    const rec = mson.decode(line);
+                    if (rec.seq > afterSeq) {
+                        changes.push(rec);
+                        if (changes.length >= limit)
+                            break;
+                    }
+                }
+            }
+
+            return {
+                changes,
+                lastSeq: (changes.length ? changes[changes.length - 1].seq : Math.max(afterSeq, 0)),
+                firstSeq: (this.segments.length ? this.segments[0].firstSeq : this.lastSeq + 1),
+            };
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    async _closeFd() {
+        if (this.fd) {
+            await this.fd.close();
+            this.fd = null;
+        }
+    }
+
+    async close() {
+        await this.lock.get();
+        try {
+            await this._closeFd();
+        } finally {
+            this.lock.ret();
+        }
+    }
+}
+
+module.exports = TableChangeLog;
@@ -0,0 +1,190 @@
+'use strict';
+
+//BM25 ranking params
+const k1 = 1.2;
+const b = 0.75;
+
+const minStemLength = 3;
+const ruSuffixes = [
+    'иями', 'ями', 'ами', 'ией', 'иях', 'иям', 'ием', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ших', 'щих',
+    'ая', 'яя', 'ое', 'ее', 'ие', 'ые', 'ой', 'ей', 'ий', 'ый', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях', 'ую', 'юю',
+    'ия', 'ья', 'ов', 'ев', 'ью', 'ть', 'ся',
+    'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й',
+];
+const enSuffixes = [
+    'ational', 'ations', 'ation', 'nesses', 'ness', 'ments', 'ment', 'ings', 'ing', 'edly', 'ies', 'ed', 'es', 'ly', 's',
+];
+
+for (const list of [ruSuffixes, enSuffixes])
+    list.sort((x, y) => y.length - x.length);
+
+//light suffix stripping, longest suffix first
+function stem(word) {
+    const suffixes = (/[а-я]/.test(word) ? ruSuffixes : enSuffixes);
+    for (const suffix of suffixes) {
+        if (word.length - suffix.length >= minStemLength && word.endsWith(suffix))
+            return word.substring(0, word.length - suffix.length);
+    }
+    return word;
+}
+
+class TableFulltext {
+    //opts = {field: 'field1', stemming: false, minLength: 1}
+    constructor(opts = {}) {
+        this.field = opts.field;
+        this.stemming = opts.stemming || false;
+        this.minLength = opts.minLength || 1;
+
+        this.terms = new Map();//term => Map(id => term frequency)
+        this.docLen = new Map();//id => count of terms
+        this.totalLen = 0;
+    }
+
+    //lowercase, 'ё' as 'е', diacritics of latin letters removed
+    normalize(text) {
+        return text.toLowerCase()
+            .replace(/ё/g, 'е')
+            .normalize('NFKD')
+            .replace(/([a-z])[\u0300-\u036f]+/g, '$1')
+            .normalize('NFC');
+    }
+
+    _term(word) {
+        if (word.length < this.minLength)
+            return null;
+        return (this.stemming ? stem(word) : word);
+    }
+
+    //term => frequency
+    tokenize(text) {
+        const result = new Map();
+        const words = this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+        for (const word of words) {
+            const term = this._term(word);
+            if (term)
+                result.set(term, (result.get(term) || 0) + 1);
+        }
+        return result;
+    }
+
+    rowTerms(row) {
+        const value = (row.id !== undefined ? row[this.field] : undefined);
+        if (value === undefined || value === null)
+            return new Map();
+
+        return this.tokenize(Array.isArray(value) ? value.join(' ') : String(value));
+    }
+
+    //terms to del and to add on row change: [[term, ...], [[term, frequency], ...]]
+    diff(oldRow, newRow) {
+        const oldTerms = this.rowTerms(oldRow);
+        const newTerms = this.rowTerms(newRow);
+
+        const delTerms = [];
+        const addTerms = [];
+        for (const term of oldTerms.keys()) {
+            if (!newTerms.has(term))
+                delTerms.push(term);
+        }
+        for (const [term, tf] of newTerms) {
+            if (oldTerms.get(term) !== tf)
+                addTerms.push([term, tf]);
+        }
+        return [delTerms, addTerms];
+    }
+
+    add(term, id, tf) {
+        let postings = this.terms.get(term);
+        if (!postings) {
+            postings = new Map();
+            this.terms.set(term, postings);
+        }
+
+        const len = (this.docLen.get(id) || 0) - (postings.get(id) || 0) + tf;
+        this.totalLen += len - (this.docLen.get(id) || 0);
+        this.docLen.set(id, len);
+        postings.set(id, tf);
+    }
+
+    del(term, id) {
+        const postings = this.terms.get(term);
+        if (!postings || !postings.has(id))
+            return;
+
+        const len = this.docLen.get(id) - postings.get(id);
+        this.totalLen -= postings.get(id);
+        if (len > 0)
+            this.docLen.set(id, len);
+        else
+            this.docLen.delete(id);
+
+        postings.delete(id);
+        if (!postings.size)
+            this.terms.delete(term);
+    }
+
+    //[{term, prefix}], 'word*' is a prefix
+    _queryTerms(query) {
+        const result = new Map();
+        const words = this.normalize(query).match(/[\p{L}\p{N}]+\*?/gu) || [];
+        for (const word of words) {
+            const prefix = word.endsWith('*');
+            const term = (prefix ? word.substring(0, word.length - 1) : this._term(word));
+            if (term)
+                result.set(`${term}${prefix ? '*' : ''}`, {term, prefix});
+        }
+        return Array.from(result.values());
+    }
+
+    //ids of rows having all query terms, ranked by relevance (BM25)
+    search(query) {
+        const queryTerms = this._queryTerms(query);
+        if (!queryTerms.length)
+            return new Set();
+
+        const count = this.docLen.size;
+        const avgLen = (count ? this.totalLen/count : 1);
+
+        let scores = null;//id => score
+        for (const {term, prefix} of queryTerms) {
+            const postingsList = [];
+            if (prefix) {
+                for (const [t, postings] of this.terms) {
+                    if (t.startsWith(term))
+                        postingsList.push(postings);
+                }
+            } else if (this.terms.has(term)) {
+                postingsList.push(this.terms.get(term));
+            }
+
+            const termScores = new Map();
+            for (const postings of postingsList) {
+                const idf = Math.log(1 + (count - postings.size + 0.5)/(postings.size + 0.5));
+                for (const [id, tf] of postings) {
+                    const len = this.docLen.get(id);
+                    const score = idf*tf*(k1 + 1)/(tf + k1*(1 - b + b*len/avgLen));
+                    termScores.set(id, (termScores.get(id) || 0) + score);
+                }
+            }
+
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                for (const [id, score] of scores) {
+                    if (termScores.has(id))
+                        scores.set(id, score + termScores.get(id));
+                    else
+                        scores.delete(id);
+                }
+            }
+
+            if (!scores.size)
+                break;
+        }
+
+        const ranked = Array.from(scores).sort((x, y) => y[1] - x[1]);
+        return new Set(ranked.map((rec) => rec[0]));
+    }
+}
+
+module.exports = TableFulltext;
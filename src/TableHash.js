@@ -2,20 +2,133 @@
 
 class TableHash {
     //opts.type = 'string' || 'number' || 'number_as_string'
+    //compound hash: opts.fields = ['field1', 'field2'], opts.type = type || [type1, type2]
+    //expression hash: opts.expr = '(r) => r.email.toLowerCase()', value is computed from row
+    //multi-value hash: opts.multi = true, every element of array value is hashed separately
     constructor(opts = {}) {
         const type = opts.type || 'string';
         this.depth = opts.depth || 11;
         this.allowUndef = opts.allowUndef || false;
         this.unique = opts.unique || false;
+        this.field = opts.field;
+        this.fields = opts.fields || null;
+        this.compound = Array.isArray(this.fields);
+
+        this.multi = opts.multi || false;
+        if (this.multi && this.compound)
+            throw new Error(`Multi-value hash can not be compound`);
+
+        this.expr = opts.expr || null;
+        this.exprFunc = null;
+        if (this.expr) {
+            if (this.compound)
+                throw new Error(`Expression hash can not be compound`);
+            this.exprFunc = new Function(`'use strict'; return ${this.expr}`)();
+        }
 
         this.hash = new Map();
 
+        if (this.compound) {
+            const types = (Array.isArray(type) ? type : this.fields.map(() => type));
+            if (!this.fields.length || types.length !== this.fields.length)
+                throw new Error(`Compound hash fields and types must be non-empty arrays of equal length`);
+
+            this.parts = types.map((t) => new TableHash({type: t, depth: this.depth}));
+            return;
+        }
+
         this.isNumber = (type === 'number' || type === 'number_as_string');
         this.numberAsString = (type === 'number_as_string');
         this.valueAsString = !this.isNumber || this.numberAsString;
     }
 
+    rowValue(row) {
+        //empty row stands for absent one in updates, it has no computed value
+        if (this.exprFunc)
+            return (row.id !== undefined ? this.exprFunc(row) : undefined);
+        if (this.compound)
+            return this.fields.map((field) => row[field]);
+        return row[this.field];
+    }
+
+    //values to add for row: elements for multi-value hash
+    rowValues(row) {
+        if (this.multi)
+            return Array.from(this._elements(this.rowValue(row)).values());
+        return [this.rowValue(row)];
+    }
+
+    //row has value, one of elements for multi-value hash
+    hasValue(row, value) {
+        if (this.multi)
+            return this.rowValues(row).some((v) => v === value);
+        return this.isEqual(this.rowValue(row), value);
+    }
+
+    //values to del and to add on row change: [[oldValue, ...], [newValue, ...]]
+    diff(oldRow, newRow) {
+        const oldValue = this.rowValue(oldRow);
+        const newValue = this.rowValue(newRow);
+
+        if (!this.multi)
+            return (this.isEqual(oldValue, newValue) ? [[], []] : [[oldValue], [newValue]]);
+
+        const oldElements = this._elements(oldValue);
+        const newElements = this._elements(newValue);
+        const delValues = [];
+        const addValues = [];
+        for (const [key, v] of oldElements) {
+            if (!newElements.has(key))
+                delValues.push(v);
+        }
+        for (const [key, v] of newElements) {
+            if (!oldElements.has(key))
+                addValues.push(v);
+        }
+        return [delValues, addValues];
+    }
+
+    //elements of multi value by keys of their prepared values, so elements equal after preparing are counted once
+    _elements(value) {
+        const result = new Map();
+        if (value === undefined)
+            return result;
+
+        for (const v of (Array.isArray(value) ? value : [value])) {
+            this.checkType(v);
+            const key = this._key(this.prepareValue(v));
+            if (!result.has(key))
+                result.set(key, v);
+        }
+        return result;
+    }
+
+    isEqual(a, b) {
+        if (this.compound)
+            return a.length === b.length && a.every((v, i) => v === b[i]);
+        return a === b;
+    }
+
+    _isUndef(value) {
+        if (this.compound)
+            return value.some((v) => v === undefined);
+        return value === undefined;
+    }
+
+    //key of prepared value in this.hash
+    _key(value) {
+        return (this.compound ? JSON.stringify(value) : value);
+    }
+
     checkType(v) {
+        if (this.compound) {
+            if (!Array.isArray(v) || v.length !== this.parts.length)
+                throw new Error(`Hashed value must be an array of ${this.parts.length} elements, got value:${v}`);
+
+            v.forEach((part, i) => this.parts[i].checkType(part));
+            return;
+        }
+
         if (typeof(v) != 'number' && this.isNumber)
             throw new Error(`Hashed value must be a number, got type:${typeof(v)}, value:${v}`);
 
@@ -24,6 +137,9 @@ class TableHash {
     }
 
     prepareValue(v) {
+        if (this.compound)
+            return v.map((part, i) => this.parts[i].prepareValue(part));
+
         let result = v;
         if (this.numberAsString) {
             result = v.toString().padStart(this.depth, '0');
@@ -34,28 +150,29 @@ class TableHash {
     }
 
     add(value, id) {
-        if (value === undefined && this.allowUndef)
+        if (this.allowUndef && this._isUndef(value))
             return;
 
         this.checkType(value);
 
         value = this.prepareValue(value);
-        if (this.hash.has(value)) {
+        const key = this._key(value);
+        if (this.hash.has(key)) {
             if (this.unique) {
-                const id_ = this.hash.get(value);
+                const id_ = this.hash.get(key);
                 if (id_ !== id) {
-                    throw new Error(`Collision for unique hash detected: value:${value}, id1:${id_}, id2:${id}`);
+                    throw new Error(`Collision for unique hash detected: value:${key}, id1:${id_}, id2:${id}`);
                 }
             } else {
-                const ids = this.hash.get(value);
+                const ids = this.hash.get(key);
                 ids.add(id);
             }
         } else {
             if (this.unique) {
-                this.hash.set(value, id);
+                this.hash.set(key, id);
             } else {
                 const ids = new Set();
-                this.hash.set(value, ids);
+                this.hash.set(key, ids);
                 ids.add(id);
             }
         }
@@ -64,24 +181,25 @@ class TableHash {
     }
 
     del(value, id) {
-        if (value === undefined && this.allowUndef)
+        if (this.allowUndef && this._isUndef(value))
             return;
 
         this.checkType(value);
 
         value = this.prepareValue(value);
-        if (this.hash.has(value)) {
+        const key = this._key(value);
+        if (this.hash.has(key)) {
             if (this.unique) {
-                const id_ = this.hash.get(value);
+                const id_ = this.hash.get(key);
                 if (id_ === id)
-                    this.hash.delete(value);
+                    this.hash.delete(key);
             } else {
-                const ids = this.hash.get(value);
+                const ids = this.hash.get(key);
 
                 ids.delete(id);
 
                 if (!ids.size) {
-                    this.hash.delete(value);
+                    this.hash.delete(key);
                 }
             }
         }
@@ -92,14 +210,14 @@ class TableHash {
     reduce(value) {
         this.checkType(value);
 
-        value = this.prepareValue(value);
+        const key = this._key(this.prepareValue(value));
         let result;
-        if (this.hash.has(value)) {
+        if (this.hash.has(key)) {
             if (this.unique) {
                 result = new Set();
-                result.add(this.hash.get(value));
+                result.add(this.hash.get(key));
             } else {
-                result = this.hash.get(value);
+                result = this.hash.get(key);
             }
         } else {
             result = new Set();
@@ -108,6 +226,14 @@ class TableHash {
         return result;
     }
 
+    //number of ids reduce(value) would return
+    estimate(value) {
+        const ids = this.hash.get(this._key(this.prepareValue(value)));
+        if (ids === undefined)
+            return 0;
+        return (this.unique ? 1 : ids.size);
+    }
+
     min() {
         let result = new Set();
 
@@ -154,8 +280,8 @@ class TableHash {
 
     iter(checkFunc) {
         const result = new Set();
-        for (const [value, ids] of this.hash.entries()) {
-            const checkResult = checkFunc(value);
+        for (const [key, ids] of this.hash.entries()) {
+            const checkResult = checkFunc(this.compound ? JSON.parse(key) : key);
             if (checkResult === undefined)
                 break;
             if (checkResult) {
@@ -4,16 +4,53 @@ const utils = require('./utils');
 
 class TableIndex {
     //opts.type = 'string' || 'number' || 'number_as_string'
+    //compound index: opts.fields = ['field1', 'field2'], opts.type = type || [type1, type2]
+    //expression index: opts.expr = '(r) => r.email.toLowerCase()', value is computed from row
+    //multi-value index: opts.multi = true, every element of array value is indexed separately
     constructor(opts = {}) {
         const type = opts.type || 'string';
         this.depth = opts.depth || 11;
         this.allowUndef = opts.allowUndef || false;
         this.unique = opts.unique || false;
+        this.field = opts.field;
+        this.fields = opts.fields || null;
+        this.compound = Array.isArray(this.fields);
+
+        this.multi = opts.multi || false;
+        if (this.multi && this.compound)
+            throw new Error(`Multi-value index can not be compound`);
+
+        this.expr = opts.expr || null;
+        this.exprFunc = null;
+        if (this.expr) {
+            if (this.compound)
+                throw new Error(`Expression index can not be compound`);
+            this.exprFunc = new Function(`'use strict'; return ${this.expr}`)();
+        }
 
         this.hash = new Map();
         this.sorted = [[]];
         this.delCount = 0;
 
+        if (this.compound) {
+            const types = (Array.isArray(type) ? type : this.fields.map(() => type));
+            if (!this.fields.length || types.length !== this.fields.length)
+                throw new Error(`Compound index fields and types must be non-empty arrays of equal length`);
+
+            //compound values are arrays of prepared parts, compared lexicographically
+            this.parts = types.map((t) => new TableIndex({type: t, depth: this.depth}));
+            this.cmp = (a, b) => {
+                const len = Math.min(a.length, b.length);
+                for (let i = 0; i < len; i++) {
+                    const c = this.parts[i].cmp(a[i], b[i]);
+                    if (c)
+                        return c;
+                }
+                return 0;//equal prefixes, so range bounds may be prefixes of values
+            };
+            return;
+        }
+
         this.isNumber = (type === 'number' || type === 'number_as_string');
         this.numberAsString = (type === 'number_as_string');
         this.valueAsString = !this.isNumber || this.numberAsString;
@@ -26,7 +63,104 @@ class TableIndex {
         }
     }
 
-    checkType(v) {
+    rowValue(row) {
+        //empty row stands for absent one in updates, it has no computed value
+        if (this.exprFunc)
+            return (row.id !== undefined ? this.exprFunc(row) : undefined);
+        if (this.compound)
+            return this.fields.map((field) => row[field]);
+        return row[this.field];
+    }
+
+    //values to add for row: elements for multi-value index
+    rowValues(row) {
+        if (this.multi)
+            return Array.from(this._elements(this.rowValue(row)).values());
+        return [this.rowValue(row)];
+    }
+
+    //row has value, one of elements for multi-value index
+    hasValue(row, value) {
+        if (this.multi)
+            return this.rowValues(row).some((v) => v === value);
+        return this.isEqual(this.rowValue(row), value);
+    }
+
+    //values to del and to add on row change: [[oldValue, ...], [newValue, ...]]
+    diff(oldRow, newRow) {
+        const oldValue = this.rowValue(oldRow);
+        const newValue = this.rowValue(newRow);
+
+        if (!this.multi)
+            return (this.isEqual(oldValue, newValue) ? [[], []] : [[oldValue], [newValue]]);
+
+        const oldElements = this._elements(oldValue);
+        const newElements = this._elements(newValue);
+        const delValues = [];
+        const addValues = [];
+        for (const [key, v] of oldElements) {
+            if (!newElements.has(key))
+                delValues.push(v);
+        }
+        for (const [key, v] of newElements) {
+            if (!oldElements.has(key))
+                addValues.push(v);
+        }
+        return [delValues, addValues];
+    }
+
+    //elements of multi value by keys of their prepared values, so elements equal after preparing are counted once
+    _elements(value) {
+        const result = new Map();
+        if (value === undefined)
+            return result;
+
+        for (const v of (Array.isArray(value) ? value : [value])) {
+            this.checkType(v);
+            const key = this._key(this.prepareValue(v));
+            if (!result.has(key))
+                result.set(key, v);
+        }
+        return result;
+    }
+
+    isEqual(a, b) {
+        if (this.compound)
+            return a.length === b.length && a.every((v, i) => v === b[i]);
+        return a === b;
+    }
+
+    //compares not prepared values (or their prefixes) of compound index
+    compareRaw(a, b) {
+        const len = Math.min(a.length, b.length);
+        for (let i = 0; i < len; i++) {
+            const c = (typeof(a[i]) === 'number' ? a[i] - b[i] : a[i].localeCompare(b[i], 'en'));
+            if (c)
+                return c;
+        }
+        return 0;
+    }
+
+    _isUndef(value) {
+        if (this.compound)
+            return value.some((v) => v === undefined);
+        return value === undefined;
+    }
+
+    //key of prepared value in this.hash
+    _key(value) {
+        return (this.compound ? JSON.stringify(value) : value);
+    }
+
+    checkType(v, prefix = false) {
+        if (this.compound) {
+            if (!Array.isArray(v) || (prefix ? v.length > this.parts.length : v.length !== this.parts.length))
+                throw new Error(`Indexed value must be an array of ${this.parts.length} elements, got value:${v}`);
+
+            v.forEach((part, i) => this.parts[i].checkType(part));
+            return;
+        }
+
         if (typeof(v) != 'number' && this.isNumber)
             throw new Error(`Indexed value must be a number, got type:${typeof(v)}, value:${v}`);
 
@@ -35,6 +169,9 @@ class TableIndex {
     }
 
     prepareValue(v) {
+        if (this.compound)
+            return v.map((part, i) => this.parts[i].prepareValue(part));
+
         let result = v;
         if (this.numberAsString) {
             result = v.toString().padStart(this.depth, '0');
@@ -45,28 +182,29 @@ class TableIndex {
     }
 
     add(value, id) {
-        if (value === undefined && this.allowUndef)
+        if (this.allowUndef && this._isUndef(value))
             return;
 
         this.checkType(value);
 
         value = this.prepareValue(value);
-        if (this.hash.has(value)) {
+        const key = this._key(value);
+        if (this.hash.has(key)) {
             if (this.unique) {
-                const id_ = this.hash.get(value);
+                const id_ = this.hash.get(key);
                 if (id_ !== id) {
-                    throw new Error(`Collision for unique index detected: value:${value}, id1:${id_}, id2:${id}`);
+                    throw new Error(`Collision for unique index detected: value:${key}, id1:${id_}, id2:${id}`);
                 }
             } else {
-                const ids = this.hash.get(value);
+                const ids = this.hash.get(key);
                 ids.add(id);
             }
         } else {
             if (this.unique) {
-                this.hash.set(value, id);
+                this.hash.set(key, id);
             } else {
                 const ids = new Set();
-                this.hash.set(value, ids);
+                this.hash.set(key, ids);
                 ids.add(id);
             }
 
@@ -113,26 +251,27 @@ class TableIndex {
     }
 
     del(value, id, forceClean = false) {
-        if (value === undefined && this.allowUndef)
+        if (this.allowUndef && this._isUndef(value))
             return;
 
         this.checkType(value);
 
         value = this.prepareValue(value);
-        if (this.hash.has(value)) {
+        const key = this._key(value);
+        if (this.hash.has(key)) {
             if (this.unique) {
-                const id_ = this.hash.get(value);
+                const id_ = this.hash.get(key);
                 if (id_ === id) {
-                    this.hash.delete(value);
+                    this.hash.delete(key);
                     this.delCount++;
                 }
             } else {
-                const ids = this.hash.get(value);
+                const ids = this.hash.get(key);
 
                 ids.delete(id);
 
                 if (!ids.size) {
-                    this.hash.delete(value);
+                    this.hash.delete(key);
                     this.delCount++;
                 }
             }
@@ -143,7 +282,7 @@ class TableIndex {
                 const a = this.sorted[s];
                 const b = [];
                 for (let i = 0; i < a.length; i++) {
-                    if (this.hash.has(a[i]))
+                    if (this.hash.has(this._key(a[i])))
                         b.push(a[i]);
                 }
                 this.sorted[s] = b;
@@ -162,16 +301,57 @@ class TableIndex {
         return value;        
     }
 
+    //[leftIndex, rightIndex) of values in sorted array 'a' between 'from' and 'to' (prepared values)
+    _bounds(a, from, to, useFrom, useTo) {
+        let leftIndex = 0;
+        if (useFrom) {
+            //dichotomy
+            let left = 0;
+            let right = a.length - 1;
+            while (left < right) {
+                let mid = left + ((right - left) >> 1);
+                if (this.cmp(from, a[mid]) <= 0)
+                    right = mid;
+                else
+                    left = mid + 1;
+            }
+
+            leftIndex = right;
+            if (this.cmp(from, a[right]) > 0)
+                leftIndex++;
+        }
+
+        let rightIndex = a.length;
+        if (useTo) {
+            //dichotomy
+            let left = 0;
+            let right = a.length - 1;
+            while (left < right) {
+                let mid = right - ((right - left) >> 1);
+                if (this.cmp(to, a[mid]) >= 0)
+                    left = mid;
+                else
+                    right = mid - 1;
+            }
+
+            rightIndex = left;
+            if (this.cmp(to, a[left]) >= 0)
+                rightIndex++;
+        }
+
+        return [leftIndex, rightIndex];
+    }
+
     reduce(from, to) {
         const useFrom = (from !== undefined);
         const useTo = (to !== undefined);
 
         if (useFrom) {
-            this.checkType(from);
+            this.checkType(from, true);
             from = this.prepareValue(from);
         }
         if (useTo) {
-            this.checkType(to);
+            this.checkType(to, true);
             to = this.prepareValue(to);
         }
 
@@ -181,56 +361,22 @@ class TableIndex {
             if (!a.length) // just in case
                 continue;
 
-            let leftIndex = 0;
-            if (useFrom) {
-                //dichotomy
-                let left = 0;
-                let right = a.length - 1;
-                while (left < right) {
-                    let mid = left + ((right - left) >> 1);
-                    if (this.cmp(from, a[mid]) <= 0)
-                        right = mid;
-                    else
-                        left = mid + 1;
-                }
-
-                leftIndex = right;
-                if (this.cmp(from, a[right]) > 0)
-                    leftIndex++;
-            }
-
-            let rightIndex = a.length;
-            if (useTo) {
-                //dichotomy
-                let left = 0;
-                let right = a.length - 1;
-                while (left < right) {
-                    let mid = right - ((right - left) >> 1);
-                    if (this.cmp(to, a[mid]) >= 0)
-                        left = mid;
-                    else
-                        right = mid - 1;
-                }
-
-                rightIndex = left;
-                if (this.cmp(to, a[left]) >= 0)
-                    rightIndex++;
-            }
+            const [leftIndex, rightIndex] = this._bounds(a, from, to, useFrom, useTo);
 //console.log(a, leftIndex, rightIndex);
             if (this.unique) {
                 const ids = new Set();
                 for (let i = leftIndex; i < rightIndex; i++) {
-                    const value = a[i];
-                    if (this.hash.has(value)) {
-                        ids.add(this.hash.get(value));
+                    const key = this._key(a[i]);
+                    if (this.hash.has(key)) {
+                        ids.add(this.hash.get(key));
                     }
                 }
                 result.push(ids);
             } else {
                 for (let i = leftIndex; i < rightIndex; i++) {
-                    const value = a[i];
-                    if (this.hash.has(value)) {
-                        result.push(this.hash.get(value));
+                    const key = this._key(a[i]);
+                    if (this.hash.has(key)) {
+                        result.push(this.hash.get(key));
                     }
                 }
             }
@@ -239,17 +385,102 @@ class TableIndex {
         return utils.unionSet(result);
     }
 
+    //number of ids reduce(from, to) would return, without building the set
+    estimate(from, to) {
+        const useFrom = (from !== undefined);
+        const useTo = (to !== undefined);
+
+        if (useFrom)
+            from = this.prepareValue(from);
+        if (useTo)
+            to = this.prepareValue(to);
+
+        let result = 0;
+        for (const a of this.sorted) {
+            if (!a.length)
+                continue;
+
+            const [leftIndex, rightIndex] = this._bounds(a, from, to, useFrom, useTo);
+            for (let i = leftIndex; i < rightIndex; i++) {
+                const ids = this.hash.get(this._key(a[i]));
+                if (ids !== undefined)
+                    result += (this.unique ? 1 : ids.size);
+            }
+        }
+
+        return result;
+    }
+
+    //yields [value, ids] in order of prepared values, ids of equal values in order of ids,
+    //from = prepared value: starts from it
+    *sortedValues(desc = false, from = undefined) {
+        const sign = (desc ? -1 : 1);
+        const pos = this.sorted.map((a) => {
+            if (from === undefined || !a.length)
+                return (desc ? a.length - 1 : 0);
+
+            const [leftIndex, rightIndex] = this._bounds(a, from, from, true, true);
+            return (desc ? rightIndex - 1 : leftIndex);
+        });
+        const done = new Set();//keys, value may be in several sorted arrays after deletion and adding again
+
+        while (1) {//eslint-disable-line no-constant-condition
+            let s = -1;
+            for (let i = 0; i < this.sorted.length; i++) {
+                const a = this.sorted[i];
+                if (pos[i] < 0 || pos[i] >= a.length)
+                    continue;
+                if (s < 0 || sign*this.cmp(a[pos[i]], this.sorted[s][pos[s]]) < 0)
+                    s = i;
+            }
+
+            if (s < 0)
+                break;
+
+            const value = this.sorted[s][pos[s]];
+            const key = this._key(value);
+            pos[s] += sign;
+
+            if (done.has(key) || !this.hash.has(key))
+                continue;
+            done.add(key);
+
+            yield [value, (this.unique ? [this.hash.get(key)] : Array.from(this.hash.get(key)).sort((a, b) => sign*utils.cmpId(a, b)))];
+        }
+    }
+
+    //yields ids in order of index values, ids of equal values in order of ids,
+    //after = {value, id}: starts right after prepared value and id
+    *sortedIds(desc = false, after = null) {
+        const sign = (desc ? -1 : 1);
+
+        for (let [value, ids] of this.sortedValues(desc, (after ? after.value : undefined))) {
+            if (after && this.cmp(value, after.value) === 0)
+                ids = ids.filter((id) => sign*utils.cmpId(id, after.id) > 0);
+
+            for (const id of ids)
+                yield id;
+        }
+    }
+
+    estimateHash(value) {
+        const ids = this.hash.get(this._key(this.prepareValue(value)));
+        if (ids === undefined)
+            return 0;
+        return (this.unique ? 1 : ids.size);
+    }
+
     reduceHash(value) {
         this.checkType(value);
 
-        value = this.prepareValue(value);
+        const key = this._key(this.prepareValue(value));
         let result;
-        if (this.hash.has(value)) {
+        if (this.hash.has(key)) {
             if (this.unique) {
                 result = new Set();
-                result.add(this.hash.get(value));
+                result.add(this.hash.get(key));
             } else {
-                result = this.hash.get(value);
+                result = this.hash.get(key);
             }
         } else {
             result = new Set();
@@ -269,9 +500,10 @@ class TableIndex {
                 continue;
 
             for (let i = 0; i < a.length; i++) {
-                if (this.hash.has(a[i]) && (a[i] < min || min === null)) {
+                const key = this._key(a[i]);
+                if (this.hash.has(key) && (min === null || (this.compound ? this.cmp(a[i], min) < 0 : a[i] < min))) {
                     min = a[i];
-                    id = this.hash.get(min);
+                    id = this.hash.get(key);
                     break;
                 }
             }
@@ -298,9 +530,10 @@ class TableIndex {
                 continue;
 
             for (let i = a.length - 1; i >= 0; i--) {
-                if (this.hash.has(a[i]) && (a[i] > max || max === null)) {
+                const key = this._key(a[i]);
+                if (this.hash.has(key) && (max === null || (this.compound ? this.cmp(a[i], max) > 0 : a[i] > max))) {
                     max = a[i];
-                    id = this.hash.get(max);
+                    id = this.hash.get(key);
                     break;
                 }
             }
@@ -318,8 +551,8 @@ class TableIndex {
 
     iter(checkFunc) {
         const result = new Set();
-        for (const [value, ids] of this.hash.entries()) {
-            const checkResult = checkFunc(value);
+        for (const [key, ids] of this.hash.entries()) {
+            const checkResult = checkFunc(this.compound ? JSON.parse(key) : key);
             if (checkResult === undefined)
                 break;
             if (checkResult) {
@@ -0,0 +1,423 @@
+'use strict';
+
+const mson = require('./mson');
+
+const rangeOps = ['$gt', '$gte', '$lt', '$lte'];
+const setOpCost = 0.1;//cost of one id in set operations relative to one row check
+const fieldOps = ['$eq', '$ne', '$in', '$nin', '$exists', ...rangeOps];
+
+/*
+    Declarative where condition:
+    {
+        field1: value, //same as {$eq: value}
+        field2: {$gte: 18, $lt: 30},
+        field3: {$in: [1, 2, 3]},
+        $or: [{field4: 'a'}, {field5: {$exists: false}}],
+        $and: [...],
+        $flag: 'flagName',
+    }
+
+    Operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists.
+    Strings are compared by localeCompare('en') as in indexes, values of different types are not comparable.
+
+    Planner estimates count of ids for every access path by hashes, indexes and flags,
+    takes the cheapest one for $and (other conditions are checked on its rows) or intersects several of them
+    when it is expected to leave less rows to check, unites paths for $or,
+    and falls back to scanning all rows if there is no cheaper path.
+*/
+class TableQuery {
+    constructor(where) {
+        this.root = this._compile(where, 'where');
+    }
+
+    //node: {type: 'and' | 'or', items: [node, ...]} || {type: 'cond', field, op, value} || {type: 'flag', name}
+    _compile(where, path) {
+        if (!where || typeof(where) !== 'object' || Array.isArray(where))
+            throw new Error(`Query ${path} must be an object`);
+
+        const items = [];
+        for (const [key, value] of Object.entries(where)) {
+            if (key === '$and' || key === '$or') {
+                if (!Array.isArray(value) || !value.length)
+                    throw new Error(`Query ${path}.${key} must be a non-empty array`);
+
+                items.push({
+                    type: key.substring(1),
+                    items: value.map((w, i) => this._compile(w, `${path}.${key}[${i}]`)),
+                });
+            } else if (key === '$flag') {
+                items.push({type: 'flag', name: value});
+            } else if (key[0] === '$') {
+                throw new Error(`Query ${path}: unknown operator '${key}'`);
+            } else {
+                items.push(...this._compileField(key, value, `${path}.${key}`));
+            }
+        }
+
+        return (items.length === 1 ? items[0] : {type: 'and', items});
+    }
+
+    _compileField(field, spec, path) {
+        const isOps = (spec && typeof(spec) === 'object' && !Array.isArray(spec)
+            && Object.keys(spec).length && Object.keys(spec).every((k) => k[0] === '$'));
+
+        if (!isOps)
+            return [{type: 'cond', field, op: '$eq', value: spec}];
+
+        const result = [];
+        const range = {};
+        for (const [op, value] of Object.entries(spec)) {
+            if (!fieldOps.includes(op))
+                throw new Error(`Query ${path}: unknown operator '${op}'`);
+
+            if ((op === '$in' || op === '$nin') && !Array.isArray(value))
+                throw new Error(`Query ${path}.${op} must be an array`);
+
+            if (rangeOps.includes(op)) {
+                const t = typeof(value);
+                if (t !== 'number' && t !== 'string')
+                    throw new Error(`Query ${path}.${op} must be a number or a string`);
+                range[op] = value;
+            } else {
+                result.push({type: 'cond', field, op, value});
+            }
+        }
+
+        //range ops of one field make one range condition
+        if (Object.keys(range).length)
+            result.push({type: 'cond', field, op: '$range', value: range});
+
+        return result;
+    }
+
+    //------------------------------------------------------------------------------------------
+    //row matching
+
+    _getValue(row, field) {
+        if (field.indexOf('.') < 0)
+            return row[field];
+
+        let value = row;
+        for (const name of field.split('.')) {
+            if (value === undefined || value === null)
+                return undefined;
+            value = value[name];
+        }
+        return value;
+    }
+
+    _isEqual(a, b) {
+        if (a === b)
+            return true;
+        if (a && b && typeof(a) === 'object' && typeof(b) === 'object')
+            return mson.encode(a) === mson.encode(b);
+        return false;
+    }
+
+    //returns null if values are not comparable
+    _compare(a, b) {
+        const t = typeof(a);
+        if (t !== typeof(b))
+            return null;
+
+        if (t === 'number')
+            return a - b;
+        if (t === 'string')
+            return a.localeCompare(b, 'en');
+
+        return null;
+    }
+
+    _inRange(value, range) {
+        for (const [op, bound] of Object.entries(range)) {
+            const c = this._compare(value, bound);
+            if (c === null)
+                return false;
+
+            if ((op === '$gt' && c <= 0) || (op === '$gte' && c < 0)
+                || (op === '$lt' && c >= 0) || (op === '$lte' && c > 0))
+                return false;
+        }
+        return true;
+    }
+
+    _matchCond(node, row) {
+        const value = this._getValue(row, node.field);
+
+        switch (node.op) {
+            case '$eq': return this._isEqual(value, node.value);
+            case '$ne': return !this._isEqual(value, node.value);
+            case '$in': return node.value.some((v) => this._isEqual(value, v));
+            case '$nin': return !node.value.some((v) => this._isEqual(value, v));
+            case '$exists': return ((value !== undefined) === !!node.value);
+            case '$range': return this._inRange(value, node.value);
+        }
+        return false;
+    }
+
+    _match(node, row, reducer) {
+        switch (node.type) {
+            case 'and': return node.items.every((item) => this._match(item, row, reducer));
+            case 'or': return node.items.some((item) => this._match(item, row, reducer));
+            case 'flag': return reducer._getFlag(node.name).flag.has(row.id);
+            case 'cond': return this._matchCond(node, row);
+        }
+        return false;
+    }
+
+    //node back to query form, for plans
+    _describe(node) {
+        switch (node.type) {
+            case 'and': return {$and: node.items.map((item) => this._describe(item))};
+            case 'or': return {$or: node.items.map((item) => this._describe(item))};
+            case 'flag': return {$flag: node.name};
+        }
+
+        if (node.op === '$range')
+            return {[node.field]: Object.assign({}, node.value)};
+        return {[node.field]: {[node.op]: node.value}};
+    }
+
+    //------------------------------------------------------------------------------------------
+    //planning
+
+    _valueFits(struct, value) {
+        return (typeof(value) === (struct.isNumber ? 'number' : 'string'));
+    }
+
+    _filtered(access, rest, reducer) {
+        if (!rest.length)
+            return access;
+
+        return {
+            plan: {type: 'filter', estimate: access.cost, access: access.plan, filter: rest.map((item) => this._describe(item))},
+            cost: access.cost,
+            exec: async() => reducer.unsafeIter(await access.exec(), (row) => !!row && rest.every((item) => this._match(item, row, reducer))),
+            dirty: access.dirty,
+        };
+    }
+
+    /*
+    access path of node by ids, hashes, indexes and flags:
+    {
+        plan: Object, description of path
+        cost: Number, estimated count of rows to check
+        exec: async() => Set of ids
+        dirty: async() => Set of ids, superset of exec() result, obtained without checking rows
+    }
+    returns null if there is no such path
+    */
+    _planAccess(node, reducer, total) {
+        if (node.type === 'flag') {
+            const flag = reducer._getFlag(node.name);
+            if (!flag)
+                throw new Error(`Flag with name '${node.name}' does not exist`);
+
+            const cost = flag.flag.size;
+            const exec = () => reducer.flag(node.name);
+            return {plan: {type: 'flag', name: node.name, estimate: cost}, cost, exec, dirty: exec};
+        }
+
+        if (node.type === 'or') {
+            const items = [];
+            let cost = 0;
+            for (const item of node.items) {
+                const access = this._planAccess(item, reducer, total);
+                if (!access)
+                    return null;
+
+                items.push(access);
+                cost += access.cost;
+            }
+
+            return {
+                plan: {type: 'or', estimate: cost, items: items.map((a) => a.plan)},
+                cost,
+                exec: async() => {
+                    const sets = [];
+                    for (const access of items)
+                        sets.push(await access.exec());
+                    return reducer.or(sets);
+                },
+                dirty: async() => {
+                    const sets = [];
+                    for (const access of items)
+                        sets.push(await access.dirty());
+                    return reducer.or(sets);
+                },
+            };
+        }
+
+        if (node.type === 'and') {
+            const paths = [];
+            for (const item of node.items) {
+                const access = this._planAccess(item, reducer, total);
+                if (access)
+                    paths.push({item, access});
+            }
+
+            if (!paths.length)
+                return null;
+
+            paths.sort((a, b) => a.access.cost - b.access.cost);
+
+            //the cheapest path, other conditions are checked on its rows
+            //or intersection of dirty sets of several paths if less rows are expected to be checked
+            let chosen = 1;
+            let estimate = paths[0].access.cost;
+            let setCost = estimate*setOpCost;
+            let cost = estimate;
+            while (chosen < paths.length && total > 0) {
+                const next = paths[chosen].access;
+                const nextEstimate = estimate*next.cost/total;//independent conditions
+                const nextSetCost = setCost + next.cost*setOpCost;
+                if (nextSetCost + nextEstimate >= cost)
+                    break;
+
+                estimate = nextEstimate;
+                setCost = nextSetCost;
+                cost = setCost + estimate;
+                chosen++;
+            }
+
+            if (chosen === 1) {
+                const best = paths[0];
+                return this._filtered(best.access, node.items.filter((item) => item !== best.item), reducer);
+            }
+
+            const used = paths.slice(0, chosen).map((p) => p.access);
+            const dirty = async() => {
+                const sets = [];
+                for (const access of used)
+                    sets.push(await access.dirty());
+                return reducer.and(sets);
+            };
+
+            return {
+                plan: {type: 'and', estimate: Math.ceil(estimate), items: used.map((a) => a.plan), filter: [this._describe(node)]},
+                cost,
+                exec: async() => reducer.unsafeIter(await dirty(), (row) => !!row && this._match(node, row, reducer)),
+                dirty,
+            };
+        }
+
+        //cond
+        const {field, op, value} = node;
+
+        if (field === 'id' && (op === '$eq' || op === '$in')) {
+            const ids = (op === '$eq' ? [value] : value);
+            return {
+                plan: {type: 'id', estimate: ids.length},
+                cost: ids.length,
+                dirty: async() => new Set(ids),
+                exec: async() => {
+                    const result = new Set();
+                    for (const id of ids) {
+                        if (await reducer.unsafeRow(id))
+                            result.add(id);
+                    }
+                    return result;
+                },
+            };
+        }
+
+        //compound, expression and multi-value hashes and indexes are queried only by reducer methods
+        let hash = reducer._getHash(field);
+        let index = reducer._getIndex(field);
+        if (hash && (hash.compound || hash.exprFunc || hash.multi))
+            hash = null;
+        if (index && (index.compound || index.exprFunc || index.multi))
+            index = null;
+
+        if (op === '$eq' || op === '$in') {
+            const values = (op === '$in' ? value : [value]);
+            let result = null;
+
+            if (hash && values.every((v) => this._valueFits(hash, v))) {
+                const cost = values.reduce((sum, v) => sum + hash.estimate(v), 0);
+                result = {
+                    plan: {type: 'hash', field, estimate: cost},
+                    cost,
+                    exec: () => reducer.hash(field, value),
+                    dirty: () => reducer.dirtyHash(field, value),
+                };
+            }
+
+            if (index && values.every((v) => this._valueFits(index, v))) {
+                const cost = values.reduce((sum, v) => sum + index.estimateHash(v), 0);
+                if (!result || cost < result.cost) {
+                    result = {
+                        plan: {type: 'indexHash', field, estimate: cost},
+                        cost,
+                        exec: () => reducer.indexHash(field, value),
+                        dirty: () => reducer.dirtyIndexHash(field, value),
+                    };
+                }
+            }
+
+            return result;
+        }
+
+        if (op === '$range') {
+            if (!index || !Object.values(value).every((v) => this._valueFits(index, v)))
+                return null;
+
+            //several bounds on one side are possible, the extra one is checked by _inRange
+            const from = (value.$gte !== undefined ? value.$gte : value.$gt);
+            const to = (value.$lte !== undefined ? value.$lte : value.$lt);
+            const left = (value.$gte !== undefined);
+            const right = (value.$lte !== undefined);
+
+            const cost = index.estimate(from, to);
+            return {
+                plan: {type: 'index', field, range: Object.assign({}, value), estimate: cost},
+                cost,
+                exec: async() => {
+                    let ids;
+                    if (left && right)
+                        ids = await reducer.indexLR(field, from, to);
+                    else if (left)
+                        ids = await reducer.indexL(field, from, to);
+                    else if (right)
+                        ids = await reducer.indexR(field, from, to);
+                    else
+                        ids = await reducer.index(field, from, to);
+
+                    if ((value.$gt !== undefined && value.$gte !== undefined) || (value.$lt !== undefined && value.$lte !== undefined))
+                        ids = await reducer.unsafeIter(ids, (row) => this._inRange(row[field], value));
+
+                    return ids;
+                },
+                dirty: () => reducer.dirtyIndexLR(field, from, to),
+            };
+        }
+
+        return null;
+    }
+
+    //the cheapest of access path and full scan
+    async _plan(reducer) {
+        const total = await reducer.allSize();
+        const access = this._planAccess(this.root, reducer, total);
+
+        if (access && access.cost < total)
+            return access;
+
+        return {
+            plan: {type: 'scan', estimate: total, filter: [this._describe(this.root)]},
+            cost: total,
+            exec: async() => reducer.unsafeIter(await reducer.all(), (row) => this._match(this.root, row, reducer)),
+        };
+    }
+
+    async plan(reducer) {
+        return (await this._plan(reducer)).plan;
+    }
+
+    //returns Set of ids
+    async reduce(reducer) {
+        return await (await this._plan(reducer)).exec();
+    }
+}
+
+module.exports = TableQuery;
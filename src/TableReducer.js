@@ -6,11 +6,15 @@ const path = require('path');
 const TableIndex = require('./TableIndex');
 const TableHash = require('./TableHash');
 const TableFlag = require('./TableFlag');
+const TableFulltext = require('./TableFulltext');
+const TableSchema = require('./TableSchema');
 
 const utils = require('./utils');
 const mson = require('./mson');
 const fileUtils = require('./fileUtils');
 
+const referenceActions = ['restrict', 'cascade', 'setNull'];
+
 const maxFileDumpSize = 2*1024*1024;//bytes
 
 class TableReducer {
@@ -23,9 +27,14 @@ class TableReducer {
         this._flag = new Map();
         this._index = new Map();
         this._hash = new Map();
+        this._fulltext = new Map();
+        this._schema = null;//TableSchema
+        this._references = [];//[{field, table, onDelete}], enforced by database
+        this._referrers = [];//[{table, field}], references of other tables to this one, kept by database
 
         this._deltas = new Map();
         this._fd = {};//file descriptors
+        this._syncFiles = false;
 
         this._items = new Map();
     }
@@ -41,6 +50,7 @@ class TableReducer {
                 flag: [],
                 index: [],
                 hash: [],
+                fulltext: [],
             };
             this._deltas.set(deltaStep, delta);
             return delta;
@@ -116,14 +126,134 @@ class TableReducer {
         return result;
     }
 
+    async _setSchema(schema, deltaStep) {
+        const tableSchema = (schema ? new TableSchema(schema) : null);
+
+        if (tableSchema) {
+            for (const id of this._rowsInterface.getAllIds())
+                tableSchema.validate(await this._rowsInterface.getRow(id));
+        }
+
+        if (!this._inMemory) {
+            const delta = this._getDelta(deltaStep);
+            delta.dumpMeta = true;
+        }
+
+        this._schema = tableSchema;
+    }
+
+    _getSchema() {
+        return (this._schema ? this._schema.schema : null);
+    }
+
+    _validateRows(rows) {
+        if (!this._schema)
+            return;
+
+        for (const row of rows)
+            this._schema.validate(row);
+    }
+
+    async _addReference(opts, quietIfExists, deltaStep) {
+        if (!opts.field)
+            throw new Error(`'references.field' parameter is required`);
+        if (!opts.table)
+            throw new Error(`'references.table' parameter is required`);
+
+        const onDelete = opts.onDelete || 'restrict';
+        if (!referenceActions.includes(onDelete))
+            throw new Error(`Wrong 'references.onDelete' parameter, one of ${referenceActions.join(', ')} expected`);
+
+        if (this._references.some((ref) => ref.field === opts.field)) {
+            if (!quietIfExists)
+                throw new Error(`Reference of field '${opts.field}' already exists`);
+            return;
+        }
+
+        if (!this._inMemory) {
+            const delta = this._getDelta(deltaStep);
+            delta.dumpMeta = true;
+        }
+
+        this._references.push({field: opts.field, table: opts.table, onDelete});
+    }
+
+    async _delReference(field, deltaStep) {
+        if (!this._references.some((ref) => ref.field === field))
+            throw new Error(`Reference of field '${field}' does not exist`);
+
+        if (!this._inMemory) {
+            const delta = this._getDelta(deltaStep);
+            delta.dumpMeta = true;
+        }
+
+        this._references = this._references.filter((ref) => ref.field !== field);
+    }
+
+    _listReferences() {
+        return this._references.map((ref) => Object.assign({}, ref));
+    }
+
+    async _addReferrer(opts, deltaStep) {
+        if (!opts.table)
+            throw new Error(`'referrers.table' parameter is required`);
+        if (!opts.field)
+            throw new Error(`'referrers.field' parameter is required`);
+
+        if (this._referrers.some((ref) => ref.table === opts.table && ref.field === opts.field))
+            return;
+
+        if (!this._inMemory) {
+            const delta = this._getDelta(deltaStep);
+            delta.dumpMeta = true;
+        }
+
+        this._referrers.push({table: opts.table, field: opts.field});
+    }
+
+    async _delReferrer(opts, deltaStep) {
+        if (!this._referrers.some((ref) => ref.table === opts.table && ref.field === opts.field))
+            return;
+
+        if (!this._inMemory) {
+            const delta = this._getDelta(deltaStep);
+            delta.dumpMeta = true;
+        }
+
+        this._referrers = this._referrers.filter((ref) => ref.table !== opts.table || ref.field !== opts.field);
+    }
+
+    _listReferrers() {
+        return this._referrers.map((ref) => Object.assign({}, ref));
+    }
+
+    //name of hash or index: field name, or opts.name || 'field1,field2' for compound ones, opts.name for expression ones,
+    //opts.name if there is no field (drop by name)
+    _structName(opts) {
+        if (opts.expr) {
+            if (!opts.name)
+                throw new Error(`Expression hash or index requires name`);
+            return opts.name;
+        }
+        if (opts.fields) {
+            if (!Array.isArray(opts.fields))
+                throw new Error(`Compound hash or index fields must be an array`);
+            return opts.name || opts.fields.join(',');
+        }
+        if (opts.field === undefined && opts.name)
+            return opts.name;
+        return opts.field;
+    }
+
     async _addHash(opts, quietIfExists, deltaStep) {
-        const fieldName = opts.field;
+        const fieldName = this._structName(opts);
 
         if (!this._hash.has(fieldName)) {
             const hash = new TableHash(opts);
             for (const id of this._rowsInterface.getAllIds()) {
                 const row = await this._rowsInterface.getRow(id);
-                hash.add(row[fieldName], id);
+                for (const value of hash.rowValues(row))
+                    hash.add(value, id);
             }
 
             if (this._inMemory) {
@@ -174,13 +304,14 @@ class TableReducer {
     }
     
     async _addIndex(opts, quietIfExists, deltaStep) {
-        const fieldName = opts.field;
+        const fieldName = this._structName(opts);
 
         if (!this._index.has(fieldName)) {
             const index = new TableIndex(opts);
             for (const id of this._rowsInterface.getAllIds()) {
                 const row = await this._rowsInterface.getRow(id);
-                index.add(row[fieldName], id);
+                for (const value of index.rowValues(row))
+                    index.add(value, id);
             }
             
             if (this._inMemory) {
@@ -229,6 +360,76 @@ class TableReducer {
         }
         return result;
     }
+
+    async _addFulltext(opts, quietIfExists, deltaStep) {
+        const fieldName = opts.field;
+
+        if (!this._fulltext.has(fieldName)) {
+            const fulltext = new TableFulltext(opts);
+            for (const id of this._rowsInterface.getAllIds()) {
+                const row = await this._rowsInterface.getRow(id);
+                for (const [term, tf] of fulltext.rowTerms(row))
+                    fulltext.add(term, id, tf);
+            }
+
+            if (this._inMemory) {
+                fulltext.meta = opts;
+            } else {
+                const fileName = await this._getNotExistingFileName('fulltext');
+                await this._openFd(this._getFullPath(fileName) + '.1');
+                fulltext.meta = Object.assign({}, opts, {fileName});
+
+                const delta = this._getDelta(deltaStep);
+                if (!delta.dumpFulltext)
+                    delta.dumpFulltext = new Map();
+                delta.dumpFulltext.set(fieldName, 1);
+                delta.dumpMeta = true;
+            }
+
+            this._fulltext.set(fieldName, fulltext);
+        } else {
+            if (!quietIfExists)
+                throw new Error(`Fulltext index for field '${fieldName}' already exists`);
+        }
+    }
+
+    async _delFulltext(fieldName, deltaStep) {
+        if (this._fulltext.has(fieldName)) {
+            if (!this._inMemory) {
+                const delta = this._getDelta(deltaStep);
+                delta.dumpMeta = true;
+
+                const fileName = this._getFullPath((this._fulltext.get(fieldName)).meta.fileName);
+                if (!delta.delFiles)
+                    delta.delFiles = [];
+                delta.delFiles.push(fileName);
+            }
+
+            this._fulltext.delete(fieldName);
+        } else {
+            throw new Error(`Fulltext index for field '${fieldName}' does not exist`);
+        }
+    }
+
+    _listFulltext() {
+        const result = [];
+        for (const fulltext of this._fulltext.values()) {
+            result.push(fulltext.meta);
+        }
+        return result;
+    }
+
+    _getFlag(flagName) {
+        return this._flag.get(flagName);
+    }
+
+    _getHash(fieldName) {
+        return this._hash.get(fieldName);
+    }
+
+    _getIndex(fieldName) {
+        return this._index.get(fieldName);
+    }
     
     _update(oldRows, newRows, deltaStep) {
         if (!deltaStep && !this._inMemory)
@@ -297,13 +498,16 @@ class TableReducer {
                     const oldRow = oldRows[i];
                     const newRow = newRows[i];
 
-                    if (oldRow[fieldName] !== newRow[fieldName]) {
-                        if (oldRow.id !== undefined) {
-                            const value = hash.del(oldRow[fieldName], oldRow.id);
+                    const [delValues, addValues] = hash.diff(oldRow, newRow);
+                    if (oldRow.id !== undefined) {
+                        for (const v of delValues) {
+                            const value = hash.del(v, oldRow.id);
                             hashDelta.push([value, oldRow.id, 0]);
-                        } 
-                        if (newRow.id !== undefined) {
-                            const value = hash.add(newRow[fieldName], newRow.id);
+                        }
+                    }
+                    if (newRow.id !== undefined) {
+                        for (const v of addValues) {
+                            const value = hash.add(v, newRow.id);
                             hashDelta.push([value, newRow.id, 1]);
                         }
                     }
@@ -321,13 +525,16 @@ class TableReducer {
                     const oldRow = oldRows[i];
                     const newRow = newRows[i];
 
-                    if (oldRow[fieldName] !== newRow[fieldName]) {
-                        if (oldRow.id !== undefined) {
-                            const value = index.del(oldRow[fieldName], oldRow.id);
+                    const [delValues, addValues] = index.diff(oldRow, newRow);
+                    if (oldRow.id !== undefined) {
+                        for (const v of delValues) {
+                            const value = index.del(v, oldRow.id);
                             indexDelta.push([value, oldRow.id, 0]);
                         }
-                        if (newRow.id !== undefined) {
-                            const value = index.add(newRow[fieldName], newRow.id);
+                    }
+                    if (newRow.id !== undefined) {
+                        for (const v of addValues) {
+                            const value = index.add(v, newRow.id);
                             indexDelta.push([value, newRow.id, 1]);
                         }
                     }
@@ -337,6 +544,29 @@ class TableReducer {
                     delta.index.push([fieldName, indexDelta]);
                 }
             }
+
+            //fulltext indexes
+            for (const [fieldName, fulltext] of this._fulltext.entries()) {
+                const fulltextDelta = [];
+                for (let i = 0; i < oldRows.length; i++) {
+                    const oldRow = oldRows[i];
+                    const newRow = newRows[i];
+
+                    const [delTerms, addTerms] = fulltext.diff(oldRow, newRow);
+                    for (const term of delTerms) {
+                        fulltext.del(term, oldRow.id);
+                        fulltextDelta.push([term, oldRow.id, 0]);
+                    }
+                    for (const [term, tf] of addTerms) {
+                        fulltext.add(term, newRow.id, tf);
+                        fulltextDelta.push([term, newRow.id, tf]);
+                    }
+                }
+
+                if (delta && fulltextDelta.length) {
+                    delta.fulltext.push([fieldName, fulltextDelta]);
+                }
+            }
         } catch(e) {
             //rollback
 
@@ -361,12 +591,18 @@ class TableReducer {
                     const oldRow = oldRows[i];
                     const newRow = newRows[i];
 
-                    if (oldRow[fieldName] !== newRow[fieldName]) {
-                        if (newRow.id !== undefined) {
-                            try { hash.del(newRow[fieldName], newRow.id); } catch(e) {} // eslint-disable-line no-empty
+                    let delValues = [];
+                    let addValues = [];
+                    try { [delValues, addValues] = hash.diff(oldRow, newRow); } catch(e) {} // eslint-disable-line no-empty
+
+                    if (newRow.id !== undefined) {
+                        for (const v of addValues) {
+                            try { hash.del(v, newRow.id); } catch(e) {} // eslint-disable-line no-empty
                         }
-                        if (oldRow.id !== undefined) {
-                            try { hash.add(oldRow[fieldName], oldRow.id); } catch(e) {} // eslint-disable-line no-empty
+                    }
+                    if (oldRow.id !== undefined) {
+                        for (const v of delValues) {
+                            try { hash.add(v, oldRow.id); } catch(e) {} // eslint-disable-line no-empty
                         }
                     }
                 }
@@ -378,17 +614,38 @@ class TableReducer {
                     const oldRow = oldRows[i];
                     const newRow = newRows[i];
 
-                    if (oldRow[fieldName] !== newRow[fieldName]) {
-                        if (newRow.id !== undefined) {
-                            try { index.del(newRow[fieldName], newRow.id); } catch(e) {} // eslint-disable-line no-empty
+                    let delValues = [];
+                    let addValues = [];
+                    try { [delValues, addValues] = index.diff(oldRow, newRow); } catch(e) {} // eslint-disable-line no-empty
+
+                    if (newRow.id !== undefined) {
+                        for (const v of addValues) {
+                            try { index.del(v, newRow.id); } catch(e) {} // eslint-disable-line no-empty
                         }
-                        if (oldRow.id !== undefined) {
-                            try { index.add(oldRow[fieldName], oldRow.id); } catch(e) {} // eslint-disable-line no-empty
+                    }
+                    if (oldRow.id !== undefined) {
+                        for (const v of delValues) {
+                            try { index.add(v, oldRow.id); } catch(e) {} // eslint-disable-line no-empty
                         }
                     }
                 }
             }
 
+            //fulltext indexes
+            for (const fulltext of this._fulltext.values()) {
+                for (let i = 0; i < oldRows.length; i++) {
+                    const oldRow = oldRows[i];
+                    const newRow = newRows[i];
+
+                    try {
+                        for (const term of fulltext.rowTerms(newRow).keys())
+                            fulltext.del(term, newRow.id);
+                        for (const [term, tf] of fulltext.rowTerms(oldRow))
+                            fulltext.add(term, oldRow.id, tf);
+                    } catch(e) {} // eslint-disable-line no-empty
+                }
+            }
+
             throw e;
         }
     }
@@ -425,7 +682,7 @@ class TableReducer {
                 const fileName0 = `${fileName}.0`;
                 const fileName2 = `${fileName}.2`;
                 
-                await fileUtils.writeFinal(fileName2, [...flag.flag], this._compressed);
+                await fileUtils.writeFinal(fileName2, [...flag.flag], this._compressed, this._syncFiles);
 
                 await fs.rename(fileName2, fileName0);
                 await this._closeFd(fileName1);
@@ -447,13 +704,13 @@ class TableReducer {
                 const fileName2 = `${fileName}.2`;
                 
                 if (hash.unique) {
-                    await fileUtils.writeFinal(fileName2, Array.from(hash.hash), this._compressed);
+                    await fileUtils.writeFinal(fileName2, Array.from(hash.hash), this._compressed, this._syncFiles);
                 } else {
                     const buf = [];
                     for (const [key, keySet] of hash.hash) {
                         buf.push([key, [...keySet]]);
                     }
-                    await fileUtils.writeFinal(fileName2, buf, this._compressed);
+                    await fileUtils.writeFinal(fileName2, buf, this._compressed, this._syncFiles);
                 }
 
                 await fs.rename(fileName2, fileName0);
@@ -483,7 +740,32 @@ class TableReducer {
                         buf.hash.push([key, [...keySet]]);
                     }
                 }
-                await fileUtils.writeFinal(fileName2, buf, this._compressed);
+                await fileUtils.writeFinal(fileName2, buf, this._compressed, this._syncFiles);
+
+                await fs.rename(fileName2, fileName0);
+                await this._closeFd(fileName1);
+                await fs.unlink(fileName1);
+            }
+        }
+
+        //dump fulltext
+        for (const [fieldName, fulltext] of this._fulltext.entries()) {
+            const fileName = this._getFullPath(fulltext.meta.fileName);
+            const fileName1 = `${fileName}.1`;
+
+            let size = 0;
+            if (this._fd[fileName1])
+                size = (await this._fd[fileName1].stat()).size;
+
+            if (size > maxFileDumpSize || (delta.dumpFulltext && delta.dumpFulltext.get(fieldName))) {
+                const fileName0 = `${fileName}.0`;
+                const fileName2 = `${fileName}.2`;
+
+                const buf = [];
+                for (const [term, postings] of fulltext.terms) {
+                    buf.push([term, Array.from(postings)]);
+                }
+                await fileUtils.writeFinal(fileName2, buf, this._compressed, this._syncFiles);
 
                 await fs.rename(fileName2, fileName0);
                 await this._closeFd(fileName1);
@@ -501,8 +783,34 @@ class TableReducer {
             flag: this._listFlag(),
             hash: this._listHash(),
             index: this._listIndex(),
-        }, this._compressed);
+            fulltext: this._listFulltext(),
+        }, this._compressed, this._syncFiles);
         await fs.rename(fileName2, fileName0);
+
+        //schema and references are stored separately, so meta.0 stays readable by older versions
+        const schemaFileName = this._getFullPath('schema');
+        if (this._schema) {
+            await fileUtils.writeFinal(`${schemaFileName}.2`, this._schema.schema, this._compressed, this._syncFiles);
+            await fs.rename(`${schemaFileName}.2`, `${schemaFileName}.0`);
+        } else {
+            await utils.deleteFile(`${schemaFileName}.0`);
+        }
+
+        const referencesFileName = this._getFullPath('references');
+        if (this._references.length) {
+            await fileUtils.writeFinal(`${referencesFileName}.2`, this._references, this._compressed, this._syncFiles);
+            await fs.rename(`${referencesFileName}.2`, `${referencesFileName}.0`);
+        } else {
+            await utils.deleteFile(`${referencesFileName}.0`);
+        }
+
+        const referrersFileName = this._getFullPath('referrers');
+        if (this._referrers.length) {
+            await fileUtils.writeFinal(`${referrersFileName}.2`, this._referrers, this._compressed, this._syncFiles);
+            await fs.rename(`${referrersFileName}.2`, `${referrersFileName}.0`);
+        } else {
+            await utils.deleteFile(`${referrersFileName}.0`);
+        }
     }
     
     async _saveDelta(deltaStep) {
@@ -566,6 +874,25 @@ class TableReducer {
                 await fileUtils.appendRecs(this._fd[fileName], buf);
         }
 
+        //save fulltext delta
+        for (const fulltextRec of delta.fulltext) {
+            const [fieldName, fulltextDelta] = fulltextRec;
+
+            const fulltext = this._fulltext.get(fieldName);
+            const fileName = this._getFullPath(fulltext.meta.fileName) + '.1';
+
+            if (!this._fd[fileName])
+                await this._openFd(fileName);
+
+            const buf = [];
+            for (const deltaRec of fulltextDelta) {
+                buf.push(mson.encode(deltaRec));
+            }
+
+            if (buf.length)
+                await fileUtils.appendRecs(this._fd[fileName], buf);
+        }
+
         //dumps
         await this._dumpMaps(delta);
 
@@ -601,6 +928,23 @@ class TableReducer {
 
         const meta = await fileUtils.loadFile(metaFileName, this._loadCorrupted);
 
+        //schema
+        this._schema = null;
+        const schemaFileName = `${path.dirname(metaFileName)}/schema.0`;
+        if (await utils.pathExists(schemaFileName))
+            this._schema = new TableSchema(await fileUtils.loadFile(schemaFileName, this._loadCorrupted));
+
+        //references
+        this._references = [];
+        const referencesFileName = `${path.dirname(metaFileName)}/references.0`;
+        if (await utils.pathExists(referencesFileName))
+            this._references = await fileUtils.loadFile(referencesFileName, this._loadCorrupted);
+
+        this._referrers = [];
+        const referrersFileName = `${path.dirname(metaFileName)}/referrers.0`;
+        if (await utils.pathExists(referrersFileName))
+            this._referrers = await fileUtils.loadFile(referrersFileName, this._loadCorrupted);
+
         //flag
         this._flag.clear();
         for (const opts of meta.flag) {
@@ -671,7 +1015,7 @@ class TableReducer {
                 }
             }
 
-            this._hash.set(opts.field, hash);            
+            this._hash.set(this._structName(opts), hash);            
         }
 
         //index
@@ -714,7 +1058,51 @@ class TableReducer {
                 }
             }
 
-            this._index.set(opts.field, index);            
+            this._index.set(this._structName(opts), index);            
+        }
+
+        //fulltext, absent in meta of older versions
+        this._fulltext.clear();
+        for (const opts of (meta.fulltext || [])) {
+            const fulltext = new TableFulltext(opts);
+            fulltext.meta = opts;
+
+            if (!corrupted) {
+                const fileName = this._getFullPath(opts.fileName);
+                const fileName0 = `${fileName}.0`;
+                const fileName1 = `${fileName}.1`;
+
+                //load dump
+                if (await utils.pathExists(fileName0)) {
+                    const data = await fileUtils.loadFile(fileName0, this._loadCorrupted);
+                    for (const rec of data) {
+                        const [term, postings] = rec;
+                        for (const [id, tf] of postings)
+                            fulltext.add(term, id, tf);
+                    }
+                }
+
+                //load delta
+                if (await utils.pathExists(fileName1)) {
+                    const fulltextDelta = await fileUtils.loadFile(fileName1, this._loadCorrupted);
+                    for (const deltaRec of fulltextDelta) {
+                        const [term, id, tf] = deltaRec;
+                        if (tf)
+                            fulltext.add(term, id, tf);
+                        else
+                            fulltext.del(term, id);
+                    }
+                }
+            }
+
+            this._fulltext.set(opts.field, fulltext);
+        }
+    }
+
+    async _syncAllFiles() {
+        for (const fd of Object.values(this._fd)) {
+            if (fd)
+                await fd.sync();
         }
     }
 
@@ -731,10 +1119,16 @@ class TableReducer {
         this._flag.clear();
         this._index.clear();
         this._hash.clear();
+        this._fulltext.clear();
         this._deltas.clear();
         this._rowsInterface = null;
     }
 
+    //value of hash or index is a list of values if it is an array (array of arrays for compound ones)
+    _isValueList(struct, value) {
+        return Array.isArray(value) && (!struct.compound || Array.isArray(value[0]));
+    }
+
     //------------------------------------------------------------------------------------------
     //Reducer methods
     async id() {
@@ -763,7 +1157,7 @@ class TableReducer {
         if (this._hash.has(fieldName)) {
             const hash = this._hash.get(fieldName);
 
-            if (!Array.isArray(value)) {
+            if (!this._isValueList(hash, value)) {
                 return hash.reduce(value);
             } else {
                 const arrSet = [];
@@ -782,11 +1176,11 @@ class TableReducer {
             const hash = this._hash.get(fieldName);
 
             const result = new Set();
-            if (!Array.isArray(value)) {
+            if (!this._isValueList(hash, value)) {
                 const ids = hash.reduce(value);
                 for (const id of ids) {
                     const row = await this._rowsInterface.getRow(id);
-                    if (row[fieldName] === value)
+                    if (hash.hasValue(row, value))
                         result.add(id);
                 }
             } else {
@@ -794,7 +1188,7 @@ class TableReducer {
                     const ids = hash.reduce(v);
                     for (const id of ids) {
                         const row = await this._rowsInterface.getRow(id);
-                        if (row[fieldName] === v)
+                        if (hash.hasValue(row, v))
                             result.add(id);
                     }
                 }
@@ -845,13 +1239,16 @@ class TableReducer {
     async _indexReduce(fieldName, from, to, checkFuncs) {
         if (this._index.has(fieldName)) {
             const index = this._index.get(fieldName);
+            if (index.compound)
+                throw new Error(`Index '${fieldName}' is compound, use compoundIndex() to query it`);
+
             const ids = index.reduce(from, to);
 
             const check = (index.isNumber ? checkFuncs[0] : checkFuncs[1]);
             const result = new Set();
             for (const id of ids) {
                 const row = await this._rowsInterface.getRow(id);
-                if (check(row[fieldName]))
+                if (index.rowValues(row).some(check))
                     result.add(id);
             }
             return result;
@@ -936,6 +1333,28 @@ class TableReducer {
         return this._indexReduce(fieldName, from, to, checkFuncs);
     }
 
+    //ids of rows with values of compound index between 'from' and 'to' inclusive,
+    //'from' and 'to' are arrays of values or their prefixes: compoundIndex('userId,createdAt', [5], [5]) for all rows with userId === 5
+    async compoundIndex(indexName, from, to) {
+        if (this._index.has(indexName)) {
+            const index = this._index.get(indexName);
+            if (!index.compound)
+                throw new Error(`Index '${indexName}' is not compound`);
+
+            const ids = index.reduce(from, to);
+
+            const result = new Set();
+            for (const id of ids) {
+                const value = index.rowValue(await this._rowsInterface.getRow(id));
+                if ((from === undefined || index.compareRaw(value, from) >= 0) && (to === undefined || index.compareRaw(value, to) <= 0))
+                    result.add(id);
+            }
+            return result;
+        } else {
+            throw new Error(`Index '${indexName}' does not exist`);
+        }
+    }
+
     async indexMin(fieldName) {
         if (this._index.has(fieldName)) {
             const index = this._index.get(fieldName);
@@ -967,7 +1386,7 @@ class TableReducer {
         if (this._index.has(fieldName)) {
             const index = this._index.get(fieldName);
 
-            if (!Array.isArray(value)) {
+            if (!this._isValueList(index, value)) {
                 return index.reduceHash(value);
             } else {
                 const arrSet = [];
@@ -986,11 +1405,11 @@ class TableReducer {
             const index = this._index.get(fieldName);
 
             const result = new Set();
-            if (!Array.isArray(value)) {
+            if (!this._isValueList(index, value)) {
                 const ids = index.reduceHash(value);
                 for (const id of ids) {
                     const row = await this._rowsInterface.getRow(id);
-                    if (row[fieldName] === value)
+                    if (index.hasValue(row, value))
                         result.add(id);
                 }
             } else {
@@ -998,7 +1417,7 @@ class TableReducer {
                     const ids = index.reduceHash(v);
                     for (const id of ids) {
                         const row = await this._rowsInterface.getRow(id);
-                        if (row[fieldName] === v)
+                        if (index.hasValue(row, v))
                             result.add(id);
                     }
                 }
@@ -1010,6 +1429,16 @@ class TableReducer {
         }
     }
 
+    //ids of rows containing all words of query, ordered by relevance, 'word*' matches words by prefix
+    async fulltext(fieldName, query) {
+        if (this._fulltext.has(fieldName)) {
+            const fulltext = this._fulltext.get(fieldName);
+            return fulltext.search(query);
+        } else {
+            throw new Error(`Fulltext index for field '${fieldName}' does not exist`);
+        }
+    }
+
     //returns iterator, not Set
     async all() {
         return this._rowsInterface.getAllIds();
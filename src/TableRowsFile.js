@@ -21,6 +21,7 @@ class TableRowsFile {
         this.loadedBlocksCount = cacheSize || 5;
         this.loadedBlocksCount = (this.loadedBlocksCount <= 0 ? 0 : this.loadedBlocksCount);
         this.compressed = compressed || 0;
+        this.syncFiles = false;
 
         this.fileLockMap = new Map();
         this.blockIndex = new Map();
@@ -51,17 +52,20 @@ class TableRowsFile {
         return this.blockIndex.has(id);
     }
 
-    async getRow(id) {
+    //stats: {rowsLoaded, blocksLoaded} of query explain
+    async getRow(id, stats = null) {
         const block = this.blockList.get(this.blockIndex.get(id));
 
         if (!block) {
             return;
         }
 
+        if (stats)
+            stats.rowsLoaded++;
         if (block.rows) {
             return block.rows.get(id);
         } else {
-            await this.loadBlock(block);
+            await this.loadBlock(block, stats);
             const result = block.rows.get(id);
             this.unloadBlocksIfNeeded();
             return result;
@@ -235,7 +239,7 @@ class TableRowsFile {
         }
     }
 
-    async loadBlock(block) {
+    async loadBlock(block, stats = null) {
 //console.log(`start load block ${block.index}`);
         const fileName = this.blockRowsFilePath(block.index);
         const fLock = this.getFileLock(fileName);
@@ -247,6 +251,8 @@ class TableRowsFile {
                 block.rows = new Map(arr);
 
                 this.loadedBlocks.push(block.index);
+                if (stats)
+                    stats.blocksLoaded++;
 //console.log(`loaded block ${block.index}`, this.lastSavedBlockIndex, this.currentBlockIndex);
             }
         } finally {
@@ -301,7 +307,7 @@ class TableRowsFile {
                 const rows = new Map(arr);//!!! compressing appended key-values, the last one key-value pair is actual
 
                 const finBlockPath = `${blockPath}.tmp`;
-                const blockSize = await fileUtils.writeFinal(finBlockPath, Array.from(rows), this.compressed);
+                const blockSize = await fileUtils.writeFinal(finBlockPath, Array.from(rows), this.compressed, this.syncFiles);
 
                 await fs.rename(finBlockPath, blockPath);
 
@@ -323,7 +329,7 @@ class TableRowsFile {
         if ((blockindex1Size > minFileDumpSize && blockindex1Size > this.blockindex0Size) || blockindex1Size > maxFileDumpSize) {
             const blockindex0Path = `${this.tablePath}/blockindex.0`;
             const blockindex2Path = `${this.tablePath}/blockindex.2`;
-            await fileUtils.writeFinal(blockindex2Path, Array.from(this.blockIndex), this.compressed);
+            await fileUtils.writeFinal(blockindex2Path, Array.from(this.blockIndex), this.compressed, this.syncFiles);
 
             await fs.rename(blockindex2Path, blockindex0Path);
             await this.closeFd('blockIndex');
@@ -338,7 +344,7 @@ class TableRowsFile {
             const blocklist2Path = `${this.tablePath}/blocklist.2`;
 
             const metaBlocks = Array.from(this.blockList.values()).map(block => this.metaBlock(block));
-            await fileUtils.writeFinal(blocklist2Path, metaBlocks, this.compressed);
+            await fileUtils.writeFinal(blocklist2Path, metaBlocks, this.compressed, this.syncFiles);
 
             await fs.rename(blocklist2Path, blocklist0Path);
             await this.closeFd('blockList');
@@ -630,6 +636,13 @@ class TableRowsFile {
         }
     }
 
+    async syncAllFiles() {
+        for (const name of ['blockIndex', 'blockList', 'blockRows']) {
+            if (this.fd[name])
+                await this.fd[name].sync();
+        }
+    }
+
     async closeAllFiles() {
         await this.closeFd('blockIndex');
         await this.closeFd('blockList');
@@ -10,7 +10,10 @@ class TableRowsMem {
         return this.rows.has(id);
     }
 
-    async getRow(id) {
+    //stats: {rowsLoaded, blocksLoaded} of query explain
+    async getRow(id, stats = null) {
+        if (stats)
+            stats.rowsLoaded++;
         return this.rows.get(id);
     }
 
@@ -0,0 +1,234 @@
+'use strict';
+
+const types = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const annotations = ['$schema', '$id', 'title', 'description', 'default', 'examples', '$comment'];
+
+/*
+    JSON Schema subset for table rows:
+    type, enum, const,
+    properties, required, additionalProperties,
+    items, minItems, maxItems,
+    minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+    minLength, maxLength, pattern,
+    anyOf, allOf
+*/
+class TableSchema {
+    constructor(schema) {
+        this.schema = schema;
+        this.compiled = this.compile(schema, '');
+    }
+
+    compile(schema, schemaPath) {
+        if (typeof(schema) === 'boolean')
+            return schema;
+
+        if (!schema || typeof(schema) !== 'object' || Array.isArray(schema))
+            throw new Error(`Schema${schemaPath} must be an object or boolean`);
+
+        const result = Object.assign({}, schema);
+
+        for (const [key, value] of Object.entries(schema)) {
+            switch (key) {
+                case 'type': {
+                    const list = (Array.isArray(value) ? value : [value]);
+                    for (const type of list) {
+                        if (!types.includes(type))
+                            throw new Error(`Schema${schemaPath}: unknown type '${type}'`);
+                    }
+                    result.type = list;
+                    break;
+                }
+                case 'enum':
+                    if (!Array.isArray(value))
+                        throw new Error(`Schema${schemaPath}: 'enum' must be an array`);
+                    break;
+                case 'properties':
+                    result.properties = {};
+                    for (const [name, propSchema] of Object.entries(value))
+                        result.properties[name] = this.compile(propSchema, `${schemaPath}.properties.${name}`);
+                    break;
+                case 'required':
+                    if (!Array.isArray(value))
+                        throw new Error(`Schema${schemaPath}: 'required' must be an array`);
+                    break;
+                case 'additionalProperties':
+                    result.additionalProperties = this.compile(value, `${schemaPath}.additionalProperties`);
+                    break;
+                case 'items':
+                    result.items = this.compile(value, `${schemaPath}.items`);
+                    break;
+                case 'anyOf':
+                case 'allOf':
+                    if (!Array.isArray(value) || !value.length)
+                        throw new Error(`Schema${schemaPath}: '${key}' must be a non-empty array`);
+                    result[key] = value.map((s, i) => this.compile(s, `${schemaPath}.${key}[${i}]`));
+                    break;
+                case 'pattern':
+                    result.pattern = new RegExp(value, 'u');
+                    break;
+                case 'const':
+                case 'minimum':
+                case 'maximum':
+                case 'exclusiveMinimum':
+                case 'exclusiveMaximum':
+                case 'minLength':
+                case 'maxLength':
+                case 'minItems':
+                case 'maxItems':
+                    break;
+                default:
+                    if (!annotations.includes(key))
+                        throw new Error(`Schema${schemaPath}: unsupported keyword '${key}'`);
+            }
+        }
+
+        return result;
+    }
+
+    typeOf(value) {
+        if (value === null)
+            return 'null';
+        if (Array.isArray(value))
+            return 'array';
+        return typeof(value);
+    }
+
+    //returns error text or '' if value is valid
+    check(schema, value, path) {
+        if (schema === true)
+            return '';
+        if (schema === false)
+            return `${path}: value is not allowed`;
+
+        const valueType = this.typeOf(value);
+
+        if (schema.type) {
+            const ok = schema.type.some((type) => (type === valueType
+                || (type === 'integer' && Number.isInteger(value))
+                || (type === 'number' && valueType === 'number')
+            ));
+            if (!ok)
+                return `${path}: expected type ${schema.type.join(' | ')}, got ${valueType}`;
+        }
+
+        if (schema.enum && !schema.enum.some((e) => this.isEqual(e, value)))
+            return `${path}: value is not one of enum values`;
+
+        if (Object.prototype.hasOwnProperty.call(schema, 'const') && !this.isEqual(schema.const, value))
+            return `${path}: value must be equal to const`;
+
+        if (valueType === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum)
+                return `${path}: must be >= ${schema.minimum}`;
+            if (schema.maximum !== undefined && value > schema.maximum)
+                return `${path}: must be <= ${schema.maximum}`;
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+                return `${path}: must be > ${schema.exclusiveMinimum}`;
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+                return `${path}: must be < ${schema.exclusiveMaximum}`;
+        }
+
+        if (valueType === 'string') {
+            const length = Array.from(value).length;
+            if (schema.minLength !== undefined && length < schema.minLength)
+                return `${path}: length must be >= ${schema.minLength}`;
+            if (schema.maxLength !== undefined && length > schema.maxLength)
+                return `${path}: length must be <= ${schema.maxLength}`;
+            if (schema.pattern && !schema.pattern.test(value))
+                return `${path}: must match pattern ${schema.pattern.source}`;
+        }
+
+        if (valueType === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems)
+                return `${path}: must have >= ${schema.minItems} items`;
+            if (schema.maxItems !== undefined && value.length > schema.maxItems)
+                return `${path}: must have <= ${schema.maxItems} items`;
+            if (schema.items !== undefined) {
+                for (let i = 0; i < value.length; i++) {
+                    const err = this.check(schema.items, value[i], `${path}[${i}]`);
+                    if (err)
+                        return err;
+                }
+            }
+        }
+
+        if (valueType === 'object') {
+            if (schema.required) {
+                for (const name of schema.required) {
+                    if (value[name] === undefined)
+                        return `${this.propPath(path, name)}: required field is missing`;
+                }
+            }
+
+            for (const [name, propValue] of Object.entries(value)) {
+                if (propValue === undefined)
+                    continue;
+
+                let propSchema;
+                if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, name))
+                    propSchema = schema.properties[name];
+                else if (schema.additionalProperties !== undefined)
+                    propSchema = schema.additionalProperties;
+                else
+                    continue;
+
+                const err = this.check(propSchema, propValue, this.propPath(path, name));
+                if (err)
+                    return err;
+            }
+        }
+
+        if (schema.allOf) {
+            for (const s of schema.allOf) {
+                const err = this.check(s, value, path);
+                if (err)
+                    return err;
+            }
+        }
+
+        if (schema.anyOf) {
+            let firstErr = '';
+            for (const s of schema.anyOf) {
+                const err = this.check(s, value, path);
+                if (!err)
+                    return '';
+                if (!firstErr)
+                    firstErr = err;
+            }
+            return `${path}: does not match any schema of anyOf (${firstErr})`;
+        }
+
+        return '';
+    }
+
+    propPath(path, name) {
+        return (path ? `${path}.${name}` : name);
+    }
+
+    isEqual(a, b) {
+        if (a === b)
+            return true;
+
+        const t = this.typeOf(a);
+        if (t !== this.typeOf(b) || (t !== 'object' && t !== 'array'))
+            return false;
+
+        const aKeys = Object.keys(a);
+        if (aKeys.length !== Object.keys(b).length)
+            return false;
+
+        for (const key of aKeys) {
+            if (!this.isEqual(a[key], b[key]))
+                return false;
+        }
+        return true;
+    }
+
+    validate(row) {
+        const err = this.check(this.compiled, row, '');
+        if (err)
+            throw new Error(`Schema validation failed, row id:${row.id}, field ${(err[0] === ':' ? '(root)' : '')}${err}`);
+    }
+}
+
+module.exports = TableSchema;
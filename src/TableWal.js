@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs').promises;
+
+const utils = require('./utils');
+const mson = require('./mson');
+const LockQueue = require('./LockQueue');
+
+/*
+    Write-ahead log, one record per line.
+    An unfinished (torn) last line is ignored while loading.
+*/
+class TableWal {
+    constructor(walPath) {
+        this.walPath = walPath;
+        this.fd = null;
+        this.size = 0;
+
+        this.lock = new LockQueue(1000);
+    }
+
+    async load() {
+        const result = [];
+        if (!await utils.pathExists(this.walPath))
+            return result;
+
+        const lines = (await fs.readFile(this.walPath, 'utf8')).split('\n');
+        lines.pop();//last line is empty or torn
+
+        for (const line of lines) {
+            try {
+                result.push(mson.decode(line));
+            } catch(e) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    async append(rec, sync = false) {
+        await this.lock.get();
+        try {
+            if (!this.fd) {
+                this.fd = await fs.open(this.walPath, 'a');
+                this.size = (await this.fd.stat()).size;
+            }
+
+            const line = `${rec}\n`;
+            await this.fd.write(line);
+            this.size += line.length;
+
+            if (sync)
+                await this.fd.sync();
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    async truncate() {
+        await this.lock.get();
+        try {
+            await this._closeFd();
+            await utils.deleteFile(this.walPath);
+            this.size = 0;
+        } finally {
+            this.lock.ret();
+        }
+    }
+
+    async _closeFd() {
+        if (this.fd) {
+            await this.fd.close();
+            this.fd = null;
+        }
+    }
+
+    async close() {
+        await this.lock.get();
+        try {
+            await this._closeFd();
+        } finally {
+            this.lock.ret();
+        }
+    }
+}
+
+module.exports = TableWal;
@@ -0,0 +1,95 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/*
+    Receives table changes: 'change' event or async iteration, 'close' event.
+    Changes are queued for iteration only after the iteration has started,
+    leaving the iteration closes the watcher.
+*/
+class TableWatcher extends EventEmitter {
+    constructor(id, table, filter = null, events = null) {
+        super();
+
+        this.id = id;
+        this.table = table;
+        this.filter = filter;//(row) => Boolean
+        this.events = events;//Set
+        this.closed = false;
+        this.onClose = null;
+
+        this.queue = [];
+        this.iterating = false;
+        this.wakeUp = null;
+    }
+
+    _match(change) {
+        if (this.events && !this.events.has(change.event))
+            return false;
+
+        if (this.filter) {
+            try {
+                return (change.newRow !== undefined && !!this.filter(change.newRow))
+                    || (change.oldRow !== undefined && !!this.filter(change.oldRow));
+            } catch (e) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    _push(change) {
+        if (this.closed || !this._match(change))
+            return;
+
+        if (this.iterating) {
+            this.queue.push(change);
+            this._wakeUp();
+        }
+
+        this.emit('change', change);
+    }
+
+    _wakeUp() {
+        if (this.wakeUp) {
+            this.wakeUp();
+            this.wakeUp = null;
+        }
+    }
+
+    async *[Symbol.asyncIterator]() {
+        if (this.iterating)
+            throw new Error('Watcher is iterated already');
+
+        this.iterating = true;
+        try {
+            while (!this.closed || this.queue.length) {
+                if (this.queue.length) {
+                    yield this.queue.shift();
+                } else {
+                    await new Promise((resolve) => { this.wakeUp = resolve; });
+                }
+            }
+        } finally {
+            this.iterating = false;
+            this.queue = [];
+            await this.close();
+        }
+    }
+
+    async close() {
+        if (this.closed)
+            return;
+
+        this.closed = true;
+        this._wakeUp();
+
+        if (this.onClose)
+            await this.onClose(this);
+
+        this.emit('close');
+    }
+}
+
+module.exports = TableWatcher;
@@ -1,8 +1,11 @@
 const fs = require('fs').promises;
+const path = require('path');
 
 const utils = require('./utils');
 const mson = require('./mson');
 
+const copyBufferSize = 1024*1024;//bytes
+
 async function openFile(fileName) {
     const exists = await utils.pathExists(fileName);
 
@@ -51,7 +54,7 @@ async function loadFile(fileName, allowCorrupted) {
     }
 }
 
-async function writeFinal(fileName, data, compressed) {
+async function writeFinal(fileName, data, compressed, sync = false) {
     data = mson.encode(data);
 
     let flag;
@@ -67,6 +70,8 @@ async function writeFinal(fileName, data, compressed) {
     const fd = await fs.open(fileName, 'w');
     await fd.write(flag);
     await fd.write(buf);
+    if (sync)
+        await fd.sync();
     await fd.close();
 
     return data.length + 1;
@@ -79,9 +84,60 @@ async function appendRecs(fd, recs) {
     await fd.write(recs.join(',') + ',');
 }
 
+//hard links all files from srcPath to destPath, returns {fileName: {size, ino, birth}}
+//appended files keep growing after linking, so only 'size' bytes belong to the snapshot
+async function snapshotFiles(srcPath, destPath, recursive = false, prefix = '') {
+    const result = {};
+
+    await fs.mkdir(destPath, { recursive: true });
+    const files = await fs.readdir(srcPath, { withFileTypes: true });
+
+    for (const file of files) {
+        const srcFile = `${srcPath}/${file.name}`;
+        const destFile = `${destPath}/${file.name}`;
+
+        if (file.isFile()) {
+            await fs.link(srcFile, destFile);
+            const stat = await fs.stat(destFile);
+            result[`${prefix}${file.name}`] = {size: stat.size, ino: stat.ino, birth: stat.birthtimeMs};
+        } else if (file.isDirectory() && recursive) {
+            Object.assign(result, await snapshotFiles(srcFile, destFile, recursive, `${prefix}${file.name}/`));
+        }
+    }
+
+    return result;
+}
+
+async function copyFilePart(srcFile, destFile, start, end, append = false) {
+    await fs.mkdir(path.dirname(destFile), { recursive: true });
+
+    const src = await fs.open(srcFile, 'r');
+    try {
+        const dest = await fs.open(destFile, (append ? 'a' : 'w'));
+        try {
+            const buf = Buffer.alloc(copyBufferSize);
+            let pos = start;
+            while (pos < end) {
+                const { bytesRead } = await src.read(buf, 0, Math.min(copyBufferSize, end - pos), pos);
+                if (!bytesRead)
+                    throw new Error(`copyFilePart: unexpected end of file ${srcFile}`);
+
+                await dest.write(buf, 0, bytesRead);
+                pos += bytesRead;
+            }
+        } finally {
+            await dest.close();
+        }
+    } finally {
+        await src.close();
+    }
+}
+
 module.exports = {
     openFile,
     loadFile,
     writeFinal,
     appendRecs,
+    snapshotFiles,
+    copyFilePart,
 }
\ No newline at end of file
@@ -88,6 +88,56 @@ function esc(obj) {
     return mson.encode(obj).replace(/@/g, '\\x40');
 }
 
+//order of row ids, numbers before strings
+function cmpId(a, b) {
+    if (typeof(a) === 'number' && typeof(b) === 'number')
+        return a - b;
+    if (typeof(a) !== typeof(b))
+        return (typeof(a) === 'number' ? -1 : 1);
+    return (a < b ? -1 : (a > b ? 1 : 0));
+}
+
+//rows order by field, rows without value of field go last, rows with equal values in order of ids
+function orderCmp(field, desc) {
+    const sign = (desc ? -1 : 1);
+
+    return (a, b) => {
+        const x = a[field];
+        const y = b[field];
+        let c = 0;
+        if (x === undefined || y === undefined)
+            c = (x === undefined) - (y === undefined);
+        else if (typeof(x) === 'number' && typeof(y) === 'number')
+            c = sign*(x - y);
+        else
+            c = sign*String(x).localeCompare(String(y), 'en');
+
+        return (c ? c : sign*cmpId(a.id, b.id));
+    };
+}
+
+//k-way merge of sorted lists, first count items, equal items in order of lists
+function mergeSorted(lists, cmp, count = Infinity) {
+    const result = [];
+    const pos = lists.map(() => 0);
+
+    while (result.length < count) {
+        let best = -1;
+        for (let i = 0; i < lists.length; i++) {
+            if (pos[i] < lists[i].length && (best < 0 || cmp(lists[i][pos[i]], lists[best][pos[best]]) < 0))
+                best = i;
+        }
+
+        if (best < 0)
+            break;
+
+        result.push(lists[best][pos[best]]);
+        pos[best]++;
+    }
+
+    return result;
+}
+
 function paramToArray(param) {
     return (Array.isArray(param) ? param : [param]);
 }
@@ -247,6 +297,9 @@ module.exports = {
     pathExists,
     esc,
     paramToArray,
+    cmpId,
+    orderCmp,
+    mergeSorted,
     cloneDeep,
     deflate,
     inflate,
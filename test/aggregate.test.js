@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+const TableAggregate = require('../src/TableAggregate');
+
+//same rows in basic table 'b', memory table 'm' and sharded table 's', groups are split between shards
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'b'});
+    await db.create({table: 'm', type: 'memory'});
+    await db.create({table: 's', type: 'sharded'});
+
+    const rows = [];
+    for (let i = 0; i < 30; i++) {
+        const row = {shard: `s${i % 4}`, cat: ['x', 'y', 'z'][i % 3], price: i, date: `2024-01-${(10 + i).toString()}`};
+        if (i % 5 === 0)
+            row.price = 'n/a';
+        rows.push(row);
+    }
+
+    for (const table of ['b', 'm', 's'])
+        await db.insert({table, rows});
+
+    return {db, dbPath, rows};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+function expectedGroups(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        const k = key(row);
+        if (!groups.has(k))
+            groups.set(k, []);
+        groups.get(k).push(row);
+    }
+
+    const result = {};
+    for (const [k, list] of groups) {
+        const prices = list.map((r) => r.price).filter((p) => typeof(p) === 'number');
+        const dates = list.map((r) => r.date).sort();
+        result[k] = {
+            count: list.length,
+            total: prices.reduce((s, p) => s + p, 0),
+            avgPrice: (prices.length ? prices.reduce((s, p) => s + p, 0)/prices.length : null),
+            first: dates[0],
+            last: dates[dates.length - 1],
+        };
+    }
+    return result;
+}
+
+const aggregates = {total: {sum: 'price'}, avgPrice: {avg: 'price'}, first: {min: 'date'}, last: {max: 'date'}};
+
+function byKey(rows, key) {
+    const result = {};
+    for (const row of rows)
+        result[key(row)] = {count: row.count, total: row.total, avgPrice: row.avgPrice, first: row.first, last: row.last};
+    return result;
+}
+
+test('aggregates of groups are computed in basic, memory and sharded tables', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        const expected = expectedGroups(rows, (r) => r.cat);
+        for (const table of ['b', 'm', 's']) {
+            const result = await db.select({table, group: {byField: 'cat', countField: 'count', aggregates}});
+            assert.strictEqual(result.length, 3, table);
+            assert.deepStrictEqual(byKey(result, (r) => r.cat), expected, table);
+        }
+
+        //by expression, with where
+        const filtered = rows.filter((r) => r.date < '2024-01-25');
+        const key = (r) => (typeof(r.price) === 'number' && r.price >= 10 ? 'high' : 'low');
+        const expectedExpr = expectedGroups(filtered, key);
+        for (const table of ['b', 's']) {
+            const result = await db.select({table, where: {date: {$lt: '2024-01-25'}},
+                group: {byExpr: '(r) => (typeof(r.price) === "number" && r.price >= 10 ? "high" : "low")', countField: 'count', aggregates}});
+            assert.deepStrictEqual(byKey(result, key), expectedExpr, table);
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('groups with sort, limit and map', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        const expected = expectedGroups(rows, (r) => r.cat);
+        const totals = Object.entries(expected).map(([cat, g]) => [cat, g.total]).sort((a, b) => b[1] - a[1]);
+
+        for (const table of ['b', 's']) {
+            const result = await db.select({table,
+                group: {byField: 'cat', aggregates: {total: {sum: 'price'}, minPrice: {min: 'price'}}},
+                map: '(r) => [r.cat, r.total]',
+                sort: '(a, b) => b[1] - a[1]',
+                limit: 2,
+            });
+            assert.deepStrictEqual(result, totals.slice(0, 2), table);
+        }
+
+        await assert.rejects(db.select({table: 'b', group: {byField: 'cat', aggregates: {x: {median: 'price'}}}}), /Wrong query.group.aggregates.x param/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('partial states of aggregates are merged', () => {
+    const a = new TableAggregate(aggregates);
+    const b = new TableAggregate(aggregates);
+    const whole = new TableAggregate(aggregates);
+
+    const rows = [{price: 1, date: 'b'}, {price: 'x', date: 'a'}, {price: 4}, {date: 'c'}, {price: 10, date: 'b'}];
+    rows.forEach((row, i) => {
+        (i % 2 ? a : b).add('k', row);
+        whole.add('k', row);
+    });
+    b.add('empty', {});
+
+    const merged = new TableAggregate(aggregates);
+    merged.merge('k', a.partial('k'));
+    merged.merge('k', b.partial('k'));
+    merged.merge('empty', b.partial('empty'));
+
+    assert.deepStrictEqual(merged.values('k'), whole.values('k'));
+    assert.deepStrictEqual(merged.values('k'), {total: 15, avgPrice: 5, first: 'a', last: 'c'});
+    assert.deepStrictEqual(merged.values('empty'), {total: 0, avgPrice: null, first: null, last: null});
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function withDirs(count, func) {
+    const dirs = [];
+    for (let i = 0; i < count; i++)
+        dirs.push(await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`));
+
+    try {
+        await func(...dirs);
+    } finally {
+        for (const dir of dirs)
+            await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+async function restoredDb(dbPath, fromPath, incremental = []) {
+    const db = new JembaDb();
+    await db.lock({dbPath});
+    await db.restore({fromPath, incremental});
+    await db.openAll({changeLog: true});
+    return db;
+}
+
+test('full and incremental backups are restored', async() => {
+    await withDirs(5, async(dbPath, full, inc1, inc2, restorePath) => {
+        const db = new JembaDb();
+        await db.lock({dbPath});
+        try {
+            await db.create({table: 'b', hash: {field: 'name', type: 'string'}});
+            await db.create({table: 'm', type: 'memory'});
+            await db.create({table: 's', type: 'sharded'});
+
+            await db.insert({table: 'b', rows: [{id: 1, name: 'a'}]});
+            await db.insert({table: 'm', rows: [{id: 1}]});
+            await db.insert({table: 's', rows: [{shard: 'x', v: 1}]});
+            assert.deepStrictEqual((await db.backup({toPath: full})).tables.sort(), ['b', 'm', 's']);
+
+            await db.insert({table: 'b', rows: [{id: 2, name: 'b'}]});
+            await db.insert({table: 's', rows: [{shard: 'y', v: 2}]});
+            await db.backupIncremental({toPath: inc1, since: full});
+
+            await db.update({table: 'b', where: '@@id(1)', set: {name: 'c'}});
+            await db.delete({table: 'm'});
+            await db.backupIncremental({toPath: inc2, since: inc1});
+
+            await assert.rejects(db.backup({toPath: full}), /Backup path is not empty/);
+        } finally {
+            await db.unlock();
+        }
+
+        let restored = await restoredDb(restorePath, full);
+        try {
+            assert.deepStrictEqual(await restored.select({table: 'b'}), [{id: 1, name: 'a'}]);
+            assert.deepStrictEqual(await restored.select({table: 'm'}), [{id: 1}]);
+            assert.strictEqual((await restored.select({table: 's'})).length, 1);
+        } finally {
+            await restored.unlock();
+        }
+
+        restored = await restoredDb(restorePath, full, [inc1, inc2]);
+        try {
+            assert.deepStrictEqual(await restored.select({table: 'b', where: `@@hash('name', 'c')`}), [{id: 1, name: 'c'}]);
+            assert.strictEqual((await restored.select({table: 'b'})).length, 2);
+            assert.deepStrictEqual(await restored.select({table: 'm'}), []);
+            assert.strictEqual((await restored.select({table: 's'})).length, 2);
+        } finally {
+            await restored.unlock();
+        }
+
+        //broken chain
+        const db2 = new JembaDb();
+        await db2.lock({dbPath: restorePath});
+        try {
+            await assert.rejects(db2.restore({fromPath: full, incremental: [inc2]}), /Backup chain is broken/);
+        } finally {
+            await db2.unlock();
+        }
+    });
+});
+
+//inserts rows made by newRow(n) one by one until stopped
+function startWriter(db, table, newRow = (n) => ({value: n})) {
+    const writer = {count: 0, stopped: false, error: null};
+
+    const loop = (async() => {
+        try {
+            while (!writer.stopped) {
+                await db.insert({table, rows: [newRow(writer.count)]});
+                writer.count++;
+            }
+        } catch (e) {
+            writer.error = e;
+        }
+    })();
+
+    writer.waitFor = async(count) => {
+        while (writer.count < count && !writer.error)
+            await new Promise((resolve) => setTimeout(resolve, 1));
+    };
+
+    writer.stop = async() => {
+        writer.stopped = true;
+        await loop;
+        if (writer.error)
+            throw writer.error;
+    };
+
+    return writer;
+}
+
+//backed up files must not change while the table is still written
+async function checkUnchanged(fileName, times = 50) {
+    const data = await fs.readFile(fileName, 'utf8');
+    for (let i = 0; i < times; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        assert.strictEqual(await fs.readFile(fileName, 'utf8'), data);
+    }
+}
+
+test('backup taken under concurrent writes is restored', async() => {
+    await withDirs(3, async(dbPath, full, restorePath) => {
+        const db = new JembaDb();
+        await db.lock({dbPath});
+        let backedUp = 0;
+        let written = 0;
+        try {
+            await db.create({table: 't'});
+
+            const writer = startWriter(db, 't');
+            try {
+                await writer.waitFor(20);
+
+                backedUp = writer.count;
+                await db.backup({toPath: full});
+                await checkUnchanged(`${full}/t/state`);
+            } finally {
+                await writer.stop();
+            }
+            written = writer.count;
+        } finally {
+            await db.unlock();
+        }
+
+        const restored = await restoredDb(restorePath, full);
+        try {
+            const count = (await restored.select({table: 't'})).length;
+            assert.ok(count >= backedUp && count <= written);
+            await restored.insert({table: 't', rows: [{value: -1}]});
+        } finally {
+            await restored.unlock();
+        }
+    });
+});
+
+test('incremental backups taken under concurrent writes are restored', async() => {
+    await withDirs(4, async(dbPath, full, inc, restorePath) => {
+        const db = new JembaDb();
+        await db.lock({dbPath});
+        let backedUp = 0;
+        let written = 0;
+        try {
+            await db.create({table: 't'});
+            await db.create({table: 's', type: 'sharded'});
+            await db.insert({table: 's', rows: [{shard: 'x', value: 0}]});
+            await db.backup({toPath: full});
+
+            const writer = startWriter(db, 't');
+            const shardWriter = startWriter(db, 's', (n) => ({shard: 'x', value: n}));
+            try {
+                await writer.waitFor(20);
+                await shardWriter.waitFor(5);
+
+                backedUp = writer.count;
+                await db.backupIncremental({toPath: inc, since: full});
+                await checkUnchanged(`${inc}/t/state`);
+            } finally {
+                await writer.stop();
+                await shardWriter.stop();
+            }
+            written = writer.count;
+        } finally {
+            await db.unlock();
+        }
+
+        const restored = await restoredDb(restorePath, full, [inc]);
+        try {
+            const count = (await restored.select({table: 't'})).length;
+            assert.ok(count >= backedUp && count <= written);
+            await restored.insert({table: 't', rows: [{value: -1}]});
+            assert.ok((await restored.select({table: 's'})).length > 1);
+            await restored.insert({table: 's', rows: [{shard: 'x', value: -1}]});
+        } finally {
+            await restored.unlock();
+        }
+    });
+});
+
+test('change log with torn tail is restored consistently from incremental backup', async() => {
+    await withDirs(4, async(dbPath, full, inc, restorePath) => {
+        const db = new JembaDb();
+        await db.lock({dbPath});
+        try {
+            await db.create({table: 't', changeLog: true});
+            await db.insert({table: 't', rows: [{id: 1}]});
+            await db.close({table: 't'});
+
+            //torn record of interrupted write, table is not opened while backup
+            const logPath = `${dbPath}/t/changelog`;
+            const [segment] = (await fs.readdir(logPath)).filter((file) => file.endsWith('.log'));
+            await fs.appendFile(`${logPath}/${segment}`, '#'.repeat(16));
+            await db.backup({toPath: full});
+
+            //torn tail is cut off in place, then the segment grows past its backed up size
+            await db.open({table: 't', changeLog: true});
+            for (let i = 2; i <= 10; i++)
+                await db.insert({table: 't', rows: [{id: i, data: 'x'.repeat(20)}]});
+            await db.backupIncremental({toPath: inc, since: full});
+        } finally {
+            await db.unlock();
+        }
+
+        const restored = await restoredDb(restorePath, full, [inc]);
+        try {
+            const {changes} = await restored.readChanges({table: 't'});
+            assert.deepStrictEqual(changes.map((c) => c.id), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            assert.deepStrictEqual(changes.map((c) => c.seq), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        } finally {
+            await restored.unlock();
+        }
+    });
+});
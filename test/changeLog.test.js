@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+const {execFileSync} = require('child_process');
+
+const JembaDb = require('../src/JembaDb');
+
+//inserts rows in separate process by separate calls and exits without closing the database,
+//with crashBeforeLog the last insert exits before its changes are logged
+function crashAfterInserts(dbPath, inserts, crashBeforeLog) {
+    const script = `
+        const JembaDb = require(${JSON.stringify(require.resolve('../src/JembaDb'))});
+        const TableChangeLog = require(${JSON.stringify(require.resolve('../src/TableChangeLog'))});
+        (async() => {
+            const db = new JembaDb();
+            await db.lock({dbPath: ${JSON.stringify(dbPath)}});
+            await db.open({table: 't', durability: 'fsync'});
+
+            const inserts = ${JSON.stringify(inserts)};
+            for (let i = 0; i < inserts.length; i++) {
+                if (${JSON.stringify(!!crashBeforeLog)} && i === inserts.length - 1)
+                    TableChangeLog.prototype.append = () => process.exit(0);
+                await db.insert({table: 't', rows: inserts[i]});
+            }
+            process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+    `;
+
+    execFileSync(process.execPath, ['-e', script], {stdio: 'inherit', timeout: 60000});
+}
+
+const events = (changes) => changes.map((c) => [c.seq, c.event, c.id]);
+
+test('change log setting is kept in table', async() => {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    try {
+        await db.lock({dbPath});
+        await db.create({table: 't', changeLog: {maxAge: 0}});
+        await db.insert({table: 't', rows: [{id: 1}]});
+        await db.close({table: 't'});
+
+        //opened without 'changeLog'
+        await db.open({table: 't'});
+        await db.insert({table: 't', rows: [{id: 2}]});
+        let {changes} = await db.readChanges({table: 't'});
+        assert.deepStrictEqual(events(changes), [[1, 'insert', 1], [2, 'insert', 2]]);
+
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.open({table: 't'});
+        ({changes} = await db.readChanges({table: 't', afterSeq: 1}));
+        assert.deepStrictEqual(events(changes), [[2, 'insert', 2]]);
+
+        //disabled
+        await db.close({table: 't'});
+        await db.open({table: 't', changeLog: false});
+        await assert.rejects(db.readChanges({table: 't'}));
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await assert.rejects(db.readChanges({table: 't'}));
+    } finally {
+        await db.unlock();
+        await fs.rm(dbPath, { recursive: true, force: true });
+    }
+});
+
+test('rows replayed from wal after crash are logged once', async() => {
+    for (const crashBeforeLog of [false, true]) {
+        const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+        const db = new JembaDb();
+        try {
+            await db.lock({dbPath});
+            await db.create({table: 't', durability: 'fsync', changeLog: true});
+            await db.insert({table: 't', rows: [{id: 1, value: 1}]});
+            await db.unlock();
+
+            crashAfterInserts(dbPath, [[{id: 2}], [{id: 3}, {id: 4}]], crashBeforeLog);
+
+            //lock file of crashed process is left, table files may be left unsaved
+            await db.lock({dbPath, ignoreLock: true});
+            await db.open({table: 't', autoRepair: true});
+
+            assert.deepStrictEqual((await db.select({table: 't'})).map((r) => r.id), [1, 2, 3, 4]);
+
+            const expected = [[1, 'insert', 1], [2, 'insert', 2], [3, 'insert', 3], [4, 'insert', 4]];
+            let {changes} = await db.readChanges({table: 't'});
+            assert.deepStrictEqual(events(changes), expected, `crashBeforeLog ${crashBeforeLog}`);
+
+            //logging continues after replayed changes
+            await db.update({table: 't', where: '@@id(1)', set: {value: 2}});
+            ({changes} = await db.readChanges({table: 't', afterSeq: 4}));
+            assert.deepStrictEqual(events(changes), [[5, 'update', 1]]);
+        } finally {
+            await db.unlock();
+            await fs.rm(dbPath, { recursive: true, force: true });
+        }
+    }
+});
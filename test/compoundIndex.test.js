@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't',
+        index: {fields: ['userId', 'createdAt'], type: ['number', 'string']},
+        hash: {fields: ['userId', 'kind'], type: ['number', 'string'], name: 'userKind'},
+    });
+
+    const rows = [];
+    for (let i = 0; i < 60; i++)
+        rows.push({id: i, userId: i % 6, createdAt: `2024-01-${(10 + i % 20).toString()}`, kind: (i % 2 ? 'a' : 'b')});
+    await db.insert({table: 't', rows});
+
+    return {db, dbPath, rows};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b);
+
+function expected(rows, from, to) {
+    const cmp = (row, bound) => {
+        const value = [row.userId, row.createdAt];
+        for (let i = 0; i < bound.length; i++) {
+            const c = (typeof(value[i]) === 'number' ? value[i] - bound[i] : value[i].localeCompare(bound[i], 'en'));
+            if (c)
+                return c;
+        }
+        return 0;
+    };
+
+    return ids(rows.filter((row) => (!from || cmp(row, from) >= 0) && (!to || cmp(row, to) <= 0)));
+}
+
+async function check(db, rows) {
+    const cases = [
+        [[2], [2]],
+        [[2, '2024-01-15'], [2, '2024-01-25']],
+        [[1, '2024-01-20'], [3]],
+        [[4], undefined],
+        [undefined, [1, '2024-01-13']],
+        [[7], [9]],
+    ];
+
+    for (const [from, to] of cases) {
+        const where = `@@compoundIndex('userId,createdAt', ${JSON.stringify(from)}, ${JSON.stringify(to)})`;
+        assert.deepStrictEqual(ids(await db.select({table: 't', where})), expected(rows, from, to), where);
+    }
+
+    const kind = rows.filter((r) => r.userId === 3 && r.kind === 'a');
+    assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@hash('userKind', [3, 'a'])`})), ids(kind));
+    const kinds = rows.filter((r) => (r.userId === 3 && r.kind === 'a') || (r.userId === 0 && r.kind === 'b'));
+    assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@hash('userKind', [[3, 'a'], [0, 'b']])`})), ids(kinds));
+}
+
+test('compound index is queried by ranges and prefixes', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        await check(db, rows);
+
+        //values are ordered lexicographically
+        const ordered = await db.select({table: 't', orderBy: {field: 'createdAt'}, where: `@@compoundIndex('userId,createdAt', [2], [2])`});
+        assert.deepStrictEqual(ordered.map((r) => r.createdAt), rows.filter((r) => r.userId === 2).map((r) => r.createdAt).sort());
+
+        await assert.rejects(db.select({table: 't', where: `@@index('userId,createdAt', 1, 2)`}), /is compound, use compoundIndex\(\) to query it/);
+        await assert.rejects(db.insert({table: 't', rows: [{id: 100, userId: 'x', createdAt: '2024', kind: 'a'}]}));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('compound index follows updates and deletes and survives reopen', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    let {rows} = ctx;
+    try {
+        await db.update({table: 't', where: '@@id(1, 2, 3)', set: {userId: 2, createdAt: '2024-02-01'}});
+        await db.delete({table: 't', where: '@@id(8, 14)'});
+        rows = await db.select({table: 't'});
+        await check(db, rows);
+
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await check(db, rows);
+
+        await db.drop({in: 't', index: {fields: ['userId', 'createdAt']}, hash: {name: 'userKind'}});
+        await assert.rejects(db.select({table: 't', where: `@@compoundIndex('userId,createdAt', [1], [1])`}), /Index 'userId,createdAt' does not exist/);
+        await assert.rejects(db.select({table: 't', where: `@@hash('userKind', [1, 'a'])`}), /does not exist/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    //'i' has index on name, 'n' has not, names share prefix longer than index depth (11)
+    await db.create({table: 'i', index: {field: 'name', type: 'string', allowUndef: true}});
+    await db.create({table: 'n'});
+
+    const rows = [];
+    for (let i = 0; i < 10; i++)
+        rows.push({id: i, name: `abcdefghijk_${'jihgfedcba'[i]}`});
+    rows.push({id: 10, name: 'b'}, {id: 11, name: 'a'}, {id: 12}, {id: 13, name: 'abcdefghijk_e'});
+
+    await db.insert({table: 'i', rows});
+    await db.insert({table: 'n', rows});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id);
+
+//all pages of query, func is called before every next page
+async function readPages(db, query, func = async() => {}) {
+    const pages = [];
+    let cursor = true;
+    while (cursor) {
+        const [{rows, nextCursor}] = await db.select(Object.assign({}, query, {cursor}));
+        pages.push(rows);
+        cursor = nextCursor;
+        if (cursor)
+            await func(pages.length);
+    }
+
+    return pages;
+}
+
+test('pages follow order of full values, ascending and descending', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const table of ['i', 'n']) {
+            for (const desc of [false, true]) {
+                const orderBy = {field: 'name', desc};
+                const expected = ids(await db.select({table: 'n', orderBy}));
+
+                for (const limit of [1, 3, 5]) {
+                    const pages = await readPages(db, {table, orderBy, limit});
+
+                    assert.deepStrictEqual(ids(pages.flat()), expected, `table ${table}, desc ${desc}, limit ${limit}`);
+                    assert.ok(pages.every((page) => page.length <= limit));
+                }
+            }
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('rows inserted between pages are seen only after cursor', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const table of ['i', 'n']) {
+            for (const desc of [false, true]) {
+                const orderBy = {field: 'name', desc};
+                const before = ids(await db.select({table, orderBy}));
+
+                //after 2 pages: one row right after cursor, one right before it, both with shared prefix
+                let inserted = [];
+                const pages = await readPages(db, {table, orderBy, limit: 3}, async(count) => {
+                    if (count !== 2)
+                        return;
+
+                    const rows = await db.select({table, orderBy, limit: 6});
+                    const last = rows[5].name;
+                    inserted = [{id: 100, name: `${last}_`}, {id: 101, name: last.slice(0, -1)}];
+                    if (desc)
+                        inserted.reverse();
+                    await db.insert({table, rows: inserted});
+                });
+
+                const result = ids(pages.flat());
+                assert.deepStrictEqual(result.slice(0, 6), before.slice(0, 6));
+                assert.ok(result.includes(inserted[0].id), `table ${table}, desc ${desc}`);
+                assert.ok(!result.includes(inserted[1].id), `table ${table}, desc ${desc}`);
+                assert.strictEqual(new Set(result).size, result.length);
+                assert.deepStrictEqual(result.filter((id) => id < 100), before);
+
+                await db.delete({table, where: '@@id(100, 101)'});
+            }
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+const rowCount = 2000;
+
+//file table of a few blocks (1Mb) reopened with small block cache, so rows of queries are loaded from disk
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't', index: {field: 'value', type: 'number'}});
+    for (let i = 0; i < rowCount; i += 500) {
+        const rows = [];
+        for (let j = i; j < i + 500; j++)
+            rows.push({id: j, value: j % 100, text: 'x'.repeat(1000)});
+        await db.insert({table: 't', rows});
+    }
+    await db.close({table: 't'});
+    await db.open({table: 't', cacheSize: 1});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+test('explain of select, update and delete', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        let [{explain}] = await db.select({table: 't', where: '@@id(1, 2, 3)', explain: true});
+        assert.strictEqual(explain.where, 'reducer');
+        assert.strictEqual(explain.candidates, 3);
+        assert.strictEqual(explain.resultCount, 3);
+        assert.strictEqual(explain.rowsLoaded, 3);
+        assert.ok(explain.blocksLoaded > 0);
+
+        //rows loaded by reducer are counted
+        [{explain}] = await db.select({table: 't', where: '@@iter(@id(1, 2, 3, 600), (r) => r.id < 500)', explain: true});
+        assert.deepStrictEqual(explain.steps.map((s) => s.call), ['id', 'iter']);
+        assert.strictEqual(explain.resultCount, 3);
+        assert.strictEqual(explain.rowsLoaded, 4 + 3);
+
+        [{explain}] = await db.select({table: 't', where: {value: {$lt: 5}}, explain: true});
+        assert.strictEqual(explain.where, 'declarative');
+        assert.strictEqual(explain.plan.type, 'index');
+        assert.strictEqual(explain.resultCount, 100);
+        assert.ok(explain.rowsLoaded >= 200);
+
+        const updated = await db.update({table: 't', where: '@@id(1, 2, 3)', set: {text: 'y'}, explain: true});
+        assert.strictEqual(updated.updated, 3);
+        assert.strictEqual(updated.explain.resultCount, 3);
+        assert.strictEqual(updated.explain.rowsLoaded, 3);
+
+        const deleted = await db.delete({table: 't', where: '@@iter(@id(4, 5, 600), (r) => r.id < 500)', explain: true});
+        assert.strictEqual(deleted.deleted, 2);
+        assert.deepStrictEqual(deleted.explain.steps.map((s) => s.call), ['id', 'iter']);
+        assert.strictEqual(deleted.explain.resultCount, 2);
+        assert.strictEqual(deleted.explain.rowsLoaded, 3 + 2);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('explain counts rows of its own query only', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const query = {table: 't', where: {value: {$in: [10, 20]}}, explain: true};
+        const [{explain: alone}] = await db.select(query);
+
+        const [, [{explain}], , updated] = await Promise.all([
+            db.select({table: 't'}),
+            db.select(query),
+            db.select({table: 't', where: '@@iter(@all(), (r) => r.value > 50)'}),
+            db.update({table: 't', where: '@@id(1, 2, 3)', set: {text: 'y'}, explain: true}),
+        ]);
+
+        assert.strictEqual(explain.resultCount, 40);
+        assert.strictEqual(explain.rowsLoaded, alone.rowsLoaded);
+        assert.strictEqual(updated.explain.rowsLoaded, 3);
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't',
+        hash: {name: 'nameLower', expr: '(r) => r.name.toLowerCase()', type: 'string'},
+        index: {name: 'tagCount', expr: '(r) => r.tags.length', type: 'number'},
+    });
+    await db.insert({table: 't', rows: [
+        {id: 1, name: 'Ann', email: 'ann@mail.com', tags: ['a']},
+        {id: 2, name: 'bob', email: 'bob@mail.com', tags: ['a', 'b', 'c']},
+        {id: 3, name: 'ANN', email: 'ann@post.com', tags: []},
+        {id: 4, name: 'Eve', email: 'eve@mail.com', tags: ['b', 'c']},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b);
+
+async function check(db, expected) {
+    assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@hash('nameLower', 'ann')`})), expected.ann);
+    assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@index('tagCount', 0, 3)`})), expected.between);
+    assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@indexLR('tagCount', 2, 3)`})), expected.many);
+}
+
+test('expression hash and index are queried by name', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await check(db, {ann: [1, 3], between: [1, 4], many: [2, 4]});
+
+        //computed value is not stored in row
+        assert.deepStrictEqual(await db.select({table: 't', where: '@@id(1)'}), [{id: 1, name: 'Ann', email: 'ann@mail.com', tags: ['a']}]);
+
+        //ordered by expression value
+        const ordered = await db.select({table: 't', orderBy: {field: 'tagCount', desc: true}});
+        assert.deepStrictEqual(ordered.map((r) => r.tags.length), [3, 2, 1, 0]);
+
+        const meta = await db.getDbInfo({table: 't'});
+        assert.strictEqual(meta.t.hash[0].expr, '(r) => r.name.toLowerCase()');
+
+        await assert.rejects(db.create({in: 't', index: {expr: '(r) => r.id'}}), /Expression hash or index requires name/);
+        //expression must give value of index type for every row
+        await assert.rejects(db.insert({table: 't', rows: [{id: 5, name: 'x'}]}));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('expression hash and index follow updates and deletes and survive reopen', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.update({table: 't', where: '@@id(2)', set: {name: 'aNN', tags: ['a']}});
+        await db.update({table: 't', where: '@@id(1)', mod: '(r) => { r.name = "other"; r.tags.push("x", "y"); }'});
+        await db.delete({table: 't', where: '@@id(3)'});
+
+        const expected = {ann: [2], between: [2, 4], many: [1, 4]};
+        await check(db, expected);
+
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await check(db, expected);
+
+        //existing rows are indexed on create
+        await db.create({in: 't', index: {name: 'domain', expr: '(r) => r.email.split("@")[1]', type: 'string'}});
+        assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@index('domain', 'mail.com', 'mail.com')`})), []);
+        assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@indexLR('domain', 'mail.com', 'mail.com')`})), [1, 2, 4]);
+        assert.deepStrictEqual(ids(await db.select({table: 't', where: `@@indexLR('domain', 'post.com', 'post.com')`})), []);
+
+        await db.drop({in: 't', index: {name: 'tagCount'}});
+        await assert.rejects(db.select({table: 't', where: `@@index('tagCount', 0, 3)`}), /does not exist/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
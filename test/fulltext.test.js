@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+const TableFulltext = require('../src/TableFulltext');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'books', fulltext: [{field: 'text'}, {field: 'ru', stemming: true}]});
+    await db.insert({table: 'books', rows: [
+        {id: 1, text: 'The old man and the sea', ru: 'Старик и море'},
+        {id: 2, text: 'Sea, sea, sea! A story of the sea', ru: 'Морские рассказы о море'},
+        {id: 3, text: 'Café society', ru: 'Ёлка и ежик'},
+        {id: 4, text: 'Seasons of the old house', ru: 'Старый дом'},
+        {id: 5, ru: 'Елки зеленые'},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+async function search(db, field, query) {
+    const rows = await db.select({table: 'books', where: `@@fulltext('${field}', ${JSON.stringify(query)})`});
+    return rows.map((row) => row.id);
+}
+
+test('tokenizer normalizes case, diacritics and cyrillic', () => {
+    const fulltext = new TableFulltext({field: 'text'});
+    assert.deepStrictEqual(Array.from(fulltext.tokenize('Café CAFE, ёжик-Ежик 42')), [['cafe', 2], ['ежик', 2], ['42', 1]]);
+
+    const stemmed = new TableFulltext({field: 'text', stemming: true, minLength: 3});
+    assert.deepStrictEqual(Array.from(stemmed.tokenize('reading books of the nations')).map((t) => t[0]), ['read', 'book', 'the', 'nation']);
+    assert.deepStrictEqual(Array.from(stemmed.tokenize('морские рассказы')).map((t) => t[0]), ['морск', 'рассказ']);
+});
+
+test('rows of all query words are ranked by relevance', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        //more occurrences in shorter text ranks higher
+        assert.deepStrictEqual(await search(db, 'text', 'sea'), [2, 1]);
+        assert.deepStrictEqual(await search(db, 'text', 'old sea'), [1]);
+        assert.deepStrictEqual(await search(db, 'text', 'old'), [4, 1]);
+        assert.deepStrictEqual((await search(db, 'text', 'sea*')).sort(), [1, 2, 4]);
+        assert.deepStrictEqual(await search(db, 'text', 'cafe'), [3]);
+        assert.deepStrictEqual(await search(db, 'text', 'sea missing'), []);
+        assert.deepStrictEqual(await search(db, 'text', '!!!'), []);
+
+        //stemming and 'ё'
+        assert.deepStrictEqual((await search(db, 'ru', 'море')).sort(), [1, 2]);
+        assert.deepStrictEqual((await search(db, 'ru', 'елка')).sort(), [3, 5]);
+        assert.deepStrictEqual((await search(db, 'ru', 'стар*')).sort(), [1, 4]);
+
+        await assert.rejects(db.select({table: 'books', where: `@@fulltext('title', 'sea')`}), /Fulltext index for field 'title' does not exist/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('fulltext index follows updates and deletes and survives reopen', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.update({table: 'books', where: '@@id(1)', set: {text: 'The old man and the river'}});
+        await db.delete({table: 'books', where: '@@id(2)'});
+        await db.insert({table: 'books', rows: [{id: 6, text: 'Deep sea'}]});
+
+        const check = async() => {
+            assert.deepStrictEqual(await search(db, 'text', 'sea'), [6]);
+            assert.deepStrictEqual(await search(db, 'text', 'river'), [1]);
+            assert.deepStrictEqual((await search(db, 'text', 'old')).sort(), [1, 4]);
+        };
+
+        await check();
+        await db.close({table: 'books'});
+        await db.open({table: 'books'});
+        await check();
+
+        await db.drop({in: 'books', fulltext: {field: 'text'}});
+        await assert.rejects(db.select({table: 'books', where: `@@fulltext('text', 'sea')`}), /does not exist/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    //books of even authors only, author 2 has two books
+    await db.create({table: 'author'});
+    await db.create({table: 'book', index: {field: 'authorId', type: 'number'}});
+    await db.create({table: 'country'});
+
+    const authors = [];
+    for (let i = 0; i < 10; i++)
+        authors.push({id: i, name: `author${i}`, countryId: i % 2});
+    await db.insert({table: 'author', rows: authors});
+    await db.insert({table: 'book', rows: [
+        {id: 1, authorId: 0, title: 'a'},
+        {id: 2, authorId: 2, title: 'b'},
+        {id: 3, authorId: 2, title: 'c'},
+        {id: 4, authorId: 4, title: 'd'},
+        {id: 5, authorId: 6, title: 'e'},
+        {id: 6, authorId: 8, title: 'f'},
+    ]});
+    await db.insert({table: 'country', rows: [{id: 0, name: 'x'}, {id: 1, name: 'y'}]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id);
+
+const bookJoin = (type, extra = {}) => Object.assign({table: 'book', on: 'id', field: 'authorId', type}, extra);
+
+test('left, inner and anti joins', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        let rows = await db.select({table: 'author', where: '@@id(0, 1, 2)', join: bookJoin('left', {out: 'book', map: '(r) => r.title'})});
+        assert.deepStrictEqual(rows.map((r) => [r.id, r.book]), [[0, 'a'], [1, undefined], [2, 'b']]);
+
+        rows = await db.select({table: 'author', where: '@@id(0, 1, 2)', join: bookJoin('left', {out: 'books', many: true, map: '(r) => r.title'})});
+        assert.deepStrictEqual(rows.map((r) => [r.id, r.books]), [[0, ['a']], [1, []], [2, ['b', 'c']]]);
+
+        assert.deepStrictEqual(ids(await db.select({table: 'author', join: bookJoin('inner')})), [0, 2, 4, 6, 8]);
+        assert.deepStrictEqual(ids(await db.select({table: 'author', join: bookJoin('anti')})), [1, 3, 5, 7, 9]);
+
+        //joinById and nested join
+        rows = await db.select({table: 'book', where: '@@id(1, 2)',
+            joinById: {table: 'author', on: 'authorId', out: 'author'},
+            join: {table: 'author', on: 'authorId', out: 'country', map: '(r) => r.country.name',
+                join: {table: 'country', on: 'countryId', out: 'country'}},
+        });
+        assert.deepStrictEqual(rows.map((r) => [r.id, r.author.name, r.country]), [[1, 'author0', 'x'], [2, 'author2', 'x']]);
+
+        await assert.rejects(db.select({table: 'author', join: bookJoin('outer')}), /Unknown 'join.type'/);
+        await assert.rejects(db.select({table: 'author', join: {table: 'book'}}), /'join.on' parameter is required/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('inner and anti joins filter rows before limit and offset', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const type of ['inner', 'anti']) {
+            const all = ids(await db.select({table: 'author', join: bookJoin(type)}));
+
+            for (const [limit, offset] of [[1, 0], [2, 0], [2, 1], [3, 3], [10, 0], [2, 4], [2, 5]]) {
+                const rows = await db.select({table: 'author', join: bookJoin(type), limit, offset});
+                assert.deepStrictEqual(ids(rows), all.slice(offset, offset + limit), `${type}, limit ${limit}, offset ${offset}`);
+            }
+
+            //offset only
+            assert.deepStrictEqual(ids(await db.select({table: 'author', join: bookJoin(type), offset: 2})), all.slice(2));
+
+            //order by other field
+            const desc = ids(await db.select({table: 'author', join: bookJoin(type), orderBy: {field: 'name', desc: true}, limit: 2, offset: 1}));
+            assert.deepStrictEqual(desc, all.slice().reverse().slice(1, 3));
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('cursor pages of inner join are full and continue after last row', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const type of ['inner', 'anti']) {
+            const all = ids(await db.select({table: 'author', join: bookJoin(type)}));
+
+            const pages = [];
+            let cursor = true;
+            while (cursor) {
+                const [{rows, nextCursor}] = await db.select({table: 'author', join: bookJoin(type), limit: 2, cursor});
+                pages.push(ids(rows));
+                cursor = nextCursor;
+            }
+
+            assert.deepStrictEqual(pages.flat(), all, type);
+            assert.ok(pages.slice(0, -1).every((page) => page.length === 2), type);
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't',
+        hash: {field: 'tags', type: 'string', multi: true},
+        index: {field: 'scores', type: 'number', multi: true},
+    });
+    await db.insert({table: 't', rows: [
+        {id: 1, tags: ['a', 'b'], scores: [1, 7]},
+        {id: 2, tags: ['b', 'c', 'b'], scores: [8, 9, 20]},
+        {id: 3, tags: [], scores: []},
+        {id: 4, tags: ['c'], scores: [15]},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+async function ids(db, where) {
+    const rows = await db.select({table: 't', where});
+    return rows.map((row) => row.id).sort((a, b) => a - b);
+}
+
+test('every element of array value refers to row', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        assert.deepStrictEqual(await ids(db, `@@hash('tags', 'b')`), [1, 2]);
+        assert.deepStrictEqual(await ids(db, `@@hash('tags', 'c')`), [2, 4]);
+        assert.deepStrictEqual(await ids(db, `@@hash('tags', ['a', 'c'])`), [1, 2, 4]);
+        assert.deepStrictEqual(await ids(db, `@@hash('tags', 'x')`), []);
+
+        //row is found once if several elements are in range
+        const rows = await db.select({table: 't', where: `@@indexLR('scores', 7, 9)`});
+        assert.deepStrictEqual(rows.map((r) => r.id).sort(), [1, 2]);
+        assert.deepStrictEqual(await ids(db, `@@index('scores', 9, 100)`), [2, 4]);
+        assert.deepStrictEqual(await ids(db, `@@indexHash('scores', 15)`), [4]);
+
+        await assert.rejects(db.insert({table: 't', rows: [{id: 5, tags: ['a', 1], scores: []}]}));
+        await assert.rejects(db.create({in: 't', hash: {fields: ['a', 'b'], multi: true}}));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('changed elements are reindexed on update and delete, index survives reopen', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.update({table: 't', where: '@@id(1)', set: {tags: ['b', 'd'], scores: [7, 30]}});
+        await db.update({table: 't', where: '@@id(2)', mod: '(r) => { r.tags = r.tags.filter((t) => t !== "b"); r.scores.pop(); }'});
+        await db.update({table: 't', where: '@@id(3)', set: {tags: ['a', 'a'], scores: [2, 2]}});
+        await db.delete({table: 't', where: '@@id(4)'});
+
+        const check = async() => {
+            assert.deepStrictEqual(await ids(db, `@@hash('tags', 'a')`), [3]);
+            assert.deepStrictEqual(await ids(db, `@@hash('tags', 'b')`), [1]);
+            assert.deepStrictEqual(await ids(db, `@@hash('tags', 'c')`), [2]);
+            assert.deepStrictEqual(await ids(db, `@@hash('tags', 'd')`), [1]);
+            assert.deepStrictEqual(await ids(db, `@@indexLR('scores', 1, 10)`), [1, 2, 3]);
+            assert.deepStrictEqual(await ids(db, `@@indexLR('scores', 10, 100)`), [1]);
+            assert.deepStrictEqual(await ids(db, `@@indexHash('scores', 20)`), []);
+        };
+
+        await check();
+
+        //element left after removing its duplicate
+        await db.update({table: 't', where: '@@id(3)', set: {tags: ['a']}});
+        assert.deepStrictEqual(await ids(db, `@@hash('tags', 'a')`), [3]);
+
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await check();
+    } finally {
+        await closeDb(ctx);
+    }
+});
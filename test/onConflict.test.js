@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'books',
+        hash: {field: 'isbn', type: 'string', unique: true},
+        index: {field: 'code', type: 'number', unique: true, allowUndef: true},
+    });
+    await db.insert({table: 'books', rows: [
+        {id: 1, isbn: 'i1', title: 'a', n: 1},
+        {id: 2, isbn: 'i2', title: 'b', code: 20},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+test('insert onConflict by unique hash ignores, replaces or merges existing row', async() => {
+    const expected = {
+        ignore: {replaced: 0, row: {id: 1, isbn: 'i1', title: 'a', n: 1}},
+        replace: {replaced: 1, row: {id: 1, isbn: 'i1', title: 'a2'}},
+        merge: {replaced: 1, row: {id: 1, isbn: 'i1', title: 'a2', n: 1}},
+    };
+
+    for (const action of ['ignore', 'replace', 'merge']) {
+        const ctx = await openDb();
+        const {db} = ctx;
+        try {
+            const result = await db.insert({table: 'books', onConflict: {field: 'isbn', action}, rows: [
+                {isbn: 'i3', title: 'c'},
+                {isbn: 'i1', title: 'a2'},
+            ]});
+
+            assert.deepStrictEqual(result, {inserted: 1, replaced: expected[action].replaced, lastInsertId: 3,
+                conflicts: [{row: 1, id: 1, field: 'isbn', value: 'i1', action}]}, action);
+
+            assert.deepStrictEqual(await db.select({table: 'books', where: {isbn: 'i1'}}), [expected[action].row], action);
+            assert.strictEqual((await db.select({table: 'books'})).length, 3, action);
+        } finally {
+            await closeDb(ctx);
+        }
+    }
+});
+
+test('insert onConflict by unique index or id', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const result = await db.insert({table: 'books', onConflict: {field: 'code', action: 'merge'}, rows: [{isbn: 'i2', code: 20, n: 2}]});
+        assert.deepStrictEqual(result.conflicts, [{row: 0, id: 2, field: 'code', value: 20, action: 'merge'}]);
+        assert.deepStrictEqual(await db.select({table: 'books', where: '@@id(2)'}), [{id: 2, isbn: 'i2', title: 'b', code: 20, n: 2}]);
+
+        const byId = await db.insert({table: 'books', onConflict: {field: 'id', action: 'ignore'}, rows: [{id: 2, isbn: 'x'}, {id: 7, isbn: 'i7'}]});
+        assert.deepStrictEqual(byId, {inserted: 1, replaced: 0, lastInsertId: 7, conflicts: [{row: 0, id: 2, field: 'id', value: 2, action: 'ignore'}]});
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('insert onConflict params are checked', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.insert({table: 'books', onConflict: {field: 'isbn', action: 'merge'}, ignore: true, rows: []}), /can not be used with query.ignore/);
+        await assert.rejects(db.insert({table: 'books', onConflict: {action: 'merge'}, rows: []}), /query.onConflict.field param expected/);
+        await assert.rejects(db.insert({table: 'books', onConflict: {field: 'isbn', action: 'skip'}, rows: []}), /must be one of ignore, replace, merge/);
+        await assert.rejects(db.insert({table: 'books', onConflict: {field: 'title', action: 'merge'}, rows: []}), /Unique hash or index 'title' not found/);
+
+        //other unique values are still checked
+        await assert.rejects(db.insert({table: 'books', onConflict: {field: 'isbn', action: 'merge'}, rows: [{isbn: 'i1', code: 20}]}), /Collision/);
+        assert.deepStrictEqual(await db.select({table: 'books', where: '@@id(1)'}), [{id: 1, isbn: 'i1', title: 'a', n: 1}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
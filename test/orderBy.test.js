@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    //values share prefix longer than index depth (11)
+    await db.create({table: 't', index: [
+        {field: 'name', type: 'string', allowUndef: true},
+        {name: 'lower', expr: '(r) => (r.name ? r.name.toLowerCase() : undefined)', type: 'string', allowUndef: true},
+    ]});
+    await db.insert({table: 't', rows: [
+        {id: 1, name: 'abcdefghijk_c'},
+        {id: 2, name: 'abcdefghijk_a'},
+        {id: 3, name: 'b'},
+        {id: 4, name: 'abcdefghijk_b'},
+        {id: 5, name: 'a'},
+        {id: 6},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const names = (rows) => rows.map((row) => row.name);
+
+test('values truncated by index are ordered by full values', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const asc = ['a', 'abcdefghijk_a', 'abcdefghijk_b', 'abcdefghijk_c', 'b', undefined];
+        const desc = ['b', 'abcdefghijk_c', 'abcdefghijk_b', 'abcdefghijk_a', 'a', undefined];
+
+        assert.deepStrictEqual(names(await db.select({table: 't', orderBy: {field: 'name'}})), asc);
+        assert.deepStrictEqual(names(await db.select({table: 't', orderBy: {field: 'name', desc: true}})), desc);
+
+        //page inside rows of one prepared value
+        assert.deepStrictEqual(names(await db.select({table: 't', orderBy: {field: 'name'}, limit: 2, offset: 2})), asc.slice(2, 4));
+        assert.deepStrictEqual(names(await db.select({table: 't', orderBy: {field: 'name', desc: true}, limit: 2, offset: 1})), desc.slice(1, 3));
+
+        assert.deepStrictEqual(
+            names(await db.select({table: 't', where: {id: {$in: [1, 2, 3]}}, orderBy: {field: 'name'}})),
+            ['abcdefghijk_a', 'abcdefghijk_c', 'b']
+        );
+
+        //expression index
+        assert.deepStrictEqual(names(await db.select({table: 't', orderBy: {field: 'lower'}, limit: 4})), asc.slice(0, 4));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('order of index matches order without index', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.create({table: 'n'});
+        await db.insert({table: 'n', rows: await db.select({table: 't'})});
+
+        for (const desc of [false, true]) {
+            assert.deepStrictEqual(
+                names(await db.select({table: 't', orderBy: {field: 'name', desc}})),
+                names(await db.select({table: 'n', orderBy: {field: 'name', desc}}))
+            );
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('selectStream orders truncated values by full values', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const rows = [];
+        for await (const row of db.selectStream({table: 't', orderBy: {field: 'name', desc: true}, limit: 4}))
+            rows.push(row);
+
+        assert.deepStrictEqual(names(rows), ['b', 'abcdefghijk_c', 'abcdefghijk_b', 'abcdefghijk_a']);
+    } finally {
+        await closeDb(ctx);
+    }
+});
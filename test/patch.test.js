@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't'});
+    await db.insert({table: 't', rows: [
+        {id: 1, name: 'a', views: 1, tags: ['x'], old: true},
+        {id: 2, name: 'b', tags: []},
+        {id: 3, name: 'c', views: 5, tags: 'x'},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+test('patch operators are applied in order set, unset, inc, push', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const value = {nested: [1]};
+        const result = await db.update({table: 't', where: '@@id(1, 2)',
+            set: {name: 'z', views: 10, meta: value},
+            unset: 'old',
+            inc: {views: 2, likes: 1},
+            push: {tags: 'y', list: {v: 1}},
+        });
+        assert.strictEqual(result.updated, 2);
+
+        //set value is copied to every row
+        value.nested.push(2);
+
+        const rows = await db.select({table: 't', where: '@@id(1, 2)'});
+        const expected = (id, tags) => ({id, name: 'z', views: 12, tags, meta: {nested: [1]}, likes: 1, list: [{v: 1}]});
+        assert.deepStrictEqual(rows.sort((a, b) => a.id - b.id), [expected(1, ['x', 'y']), expected(2, ['y'])]);
+
+        await db.update({table: 't', where: '@@id(1)', unset: ['meta', 'list', 'likes']});
+        assert.deepStrictEqual(await db.select({table: 't', where: '@@id(1)'}), [{id: 1, name: 'z', views: 12, tags: ['x', 'y']}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('patch has where, sort and limit of update and works on sharded table', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.update({table: 't', sort: '(a, b) => b.id - a.id', limit: 2, inc: {n: 1}});
+        const rows = await db.select({table: 't', map: '(r) => [r.id, r.n]', sort: '(a, b) => a[0] - b[0]'});
+        assert.deepStrictEqual(rows, [[1, undefined], [2, 1], [3, 1]]);
+
+        await db.create({table: 's', type: 'sharded'});
+        await db.insert({table: 's', rows: [{shard: 'a', n: 1}, {shard: 'b', n: 2}, {shard: 'c', n: 3}]});
+        const result = await db.update({table: 's', sort: '(a, b) => a.n - b.n', limit: 2, inc: {n: 10}, push: {log: 'inc'}});
+        assert.strictEqual(result.updated, 2);
+        const sharded = await db.select({table: 's', map: '(r) => [r.shard, r.n, r.log]', sort: '(a, b) => a[0].localeCompare(b[0])'});
+        assert.deepStrictEqual(sharded, [['a', 11, ['inc']], ['b', 12, ['inc']], ['c', 3, undefined]]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('wrong patch params are rejected', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.update({table: 't'}), /query.mod or patch params \(set, unset, inc, push\) expected/);
+        await assert.rejects(db.update({table: 't', mod: '(r) => r', set: {a: 1}}), /but not both/);
+        await assert.rejects(db.update({table: 't', set: [1]}), /query.set must be an object/);
+        await assert.rejects(db.update({table: 't', inc: {views: '1'}}), /query.inc.views must be a number/);
+        await assert.rejects(db.update({table: 't', set: {id: 5}}), /Patch can not change row id/);
+        await assert.rejects(db.update({table: 't', unset: ''}), /non-empty string/);
+
+        await assert.rejects(db.update({table: 't', inc: {name: 1}}), /Can not increment field 'name' of row 1, number expected/);
+        await assert.rejects(db.update({table: 't', where: '@@id(3)', push: {tags: 'y'}}), /Can not push to field 'tags' of row 3, array expected/);
+        assert.deepStrictEqual(await db.select({table: 't', where: '@@id(3)'}), [{id: 3, name: 'c', views: 5, tags: 'x'}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+//1000 rows: 10 cities of 100 rows, 100 ages of 10 rows, 'v' without index, flag of 10 rows
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't',
+        hash: {field: 'city', type: 'string'},
+        index: {field: 'age', type: 'number'},
+        flag: {name: 'rare', check: '(r) => r.id % 100 === 0'},
+    });
+
+    const rows = [];
+    for (let i = 0; i < 1000; i++)
+        rows.push({id: i, city: `c${i % 10}`, age: i % 100, v: i % 7});
+    await db.insert({table: 't', rows});
+
+    return {db, dbPath, rows};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+async function plan(db, where) {
+    const result = await db.select({table: 't', where, plan: true});
+    assert.strictEqual(result.length, 1);
+    return result[0].plan;
+}
+
+test('planner chooses access path by estimates', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        assert.deepStrictEqual(await plan(db, {id: {$in: [1, 2]}}), {type: 'id', estimate: 2});
+        assert.deepStrictEqual(await plan(db, {city: 'c1'}), {type: 'hash', field: 'city', estimate: 100});
+        assert.deepStrictEqual(await plan(db, {age: {$in: [1, 2]}}), {type: 'indexHash', field: 'age', estimate: 20});
+        assert.deepStrictEqual(await plan(db, {age: {$lt: 3}}), {type: 'index', field: 'age', range: {$lt: 3}, estimate: 40});
+
+        //no index
+        assert.deepStrictEqual(await plan(db, {v: 1}), {type: 'scan', estimate: 1000, filter: [{v: {$eq: 1}}]});
+        //index is not cheaper than scan
+        assert.strictEqual((await plan(db, {age: {$gte: 0}})).type, 'scan');
+
+        //the cheapest path, the rest is checked on its rows
+        assert.deepStrictEqual(await plan(db, {city: 'c1', age: 5}), {
+            type: 'filter', estimate: 10,
+            access: {type: 'indexHash', field: 'age', estimate: 10},
+            filter: [{city: {$eq: 'c1'}}],
+        });
+        assert.deepStrictEqual(await plan(db, {$flag: 'rare', v: 3}), {
+            type: 'filter', estimate: 10,
+            access: {type: 'flag', name: 'rare', estimate: 10},
+            filter: [{v: {$eq: 3}}],
+        });
+
+        //intersection is cheaper than checking rows of one path
+        const and = await plan(db, {city: 'c1', age: {$lt: 10}});
+        assert.strictEqual(and.type, 'and');
+        assert.deepStrictEqual(and.items.map((item) => item.type).sort(), ['hash', 'index']);
+
+        //union, or scan if one of items has no path
+        const or = await plan(db, {$or: [{city: 'c1'}, {age: 3}]});
+        assert.deepStrictEqual(or, {type: 'or', estimate: 110, items: [
+            {type: 'hash', field: 'city', estimate: 100},
+            {type: 'indexHash', field: 'age', estimate: 10},
+        ]});
+        assert.strictEqual((await plan(db, {$or: [{city: 'c1'}, {v: 3}]})).type, 'scan');
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('rows of chosen plan match rows of scan', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        const cases = [
+            [{city: 'c1', age: {$lt: 10}}, (r) => r.city === 'c1' && r.age < 10],
+            [{city: 'c1', age: 5}, (r) => r.city === 'c1' && r.age === 5],
+            [{city: 'c1', age: {$lt: 50}, v: {$ne: 1}}, (r) => r.city === 'c1' && r.age < 50 && r.v !== 1],
+            [{$or: [{city: 'c1'}, {age: 3}]}, (r) => r.city === 'c1' || r.age === 3],
+            [{$flag: 'rare', city: {$in: ['c0', 'c1']}}, (r) => r.id % 100 === 0 && ['c0', 'c1'].includes(r.city)],
+        ];
+
+        for (const [where, filter] of cases) {
+            const found = (await db.select({table: 't', where})).map((r) => r.id).sort((a, b) => a - b);
+            assert.deepStrictEqual(found, rows.filter(filter).map((r) => r.id), JSON.stringify(where));
+        }
+
+        //plan is not selection
+        assert.ok(!(await db.select({table: 't', where: {city: 'c1'}, plan: true}))[0].id);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('plan of sharded table is returned for every shard', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        await db.create({table: 's', type: 'sharded', hash: {field: 'city', type: 'string'}});
+        await db.insert({table: 's', rows: rows.map((r) => ({shard: `s${Math.floor(r.id/500)}`, city: r.city}))});
+
+        const result = await db.select({table: 's', where: {city: 'c1'}, plan: true});
+        assert.deepStrictEqual(result.map((r) => r.shard).sort(), ['s0', 's1']);
+        assert.ok(result.every((r) => r.plan.type === 'hash' && r.plan.estimate === 50));
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'authors'});
+    await db.insert({table: 'authors', rows: [{id: 1}, {id: 2}, {id: 3}]});
+    await db.create({table: 'books', references: {field: 'authorId', table: 'authors', onDelete: 'cascade'}});
+    await db.insert({table: 'books', rows: [{id: 1, authorId: 1}, {id: 2, authorId: 2}, {id: 3, authorId: 3}]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id);
+
+test('rows must refer to existing rows on insert, upsert and update', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.insert({table: 'books', rows: [{id: 4, authorId: 9}]}), /Foreign key violation: books.authorId = 9/);
+        await assert.rejects(db.upsert({table: 'books', rows: [{id: 1, authorId: 9}]}), /Foreign key violation/);
+        await assert.rejects(db.update({table: 'books', where: '@@id(1)', set: {authorId: 9}}), /Foreign key violation/);
+        await assert.rejects(db.update({table: 'books', where: '@@id(1)', mod: '(r) => r.authorId = 9'}), /Foreign key violation/);
+
+        //null or absent value refers to nothing
+        await db.insert({table: 'books', rows: [{id: 4, authorId: null}, {id: 5}]});
+        await db.update({table: 'books', where: '@@id(5)', set: {authorId: 2}});
+
+        assert.deepStrictEqual(await db.select({table: 'books', where: '@@id(1, 5)'}), [{id: 1, authorId: 1}, {id: 5, authorId: 2}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('existing rows are checked when reference is created', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.create({table: 'reviews'});
+        await db.insert({table: 'reviews', rows: [{id: 1, bookId: 7}]});
+
+        await assert.rejects(db.create({in: 'reviews', references: {field: 'bookId', table: 'books'}}), /Foreign key violation/);
+        assert.deepStrictEqual((await db.getDbInfo()).reviews.references, []);
+
+        await assert.rejects(db.create({in: 'books', references: {field: 'x', table: 'authors', onDelete: 'drop'}}), /Wrong 'references.onDelete'/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('onDelete restrict, cascade and setNull are applied to referring rows', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.create({table: 'reviews', references: [
+            {field: 'bookId', table: 'books', onDelete: 'restrict'},
+            {field: 'authorId', table: 'authors', onDelete: 'setNull'},
+        ]});
+        await db.insert({table: 'reviews', rows: [{id: 1, bookId: 2, authorId: 2}, {id: 2, authorId: 1}]});
+
+        //book 2 of author 2 (deleted by cascade) is referred by review 1, nothing is deleted
+        await assert.rejects(db.delete({table: 'authors', where: '@@id(2)'}), /Delete restricted: 1 row\(s\) of table 'reviews' refer to deleted rows of table 'books'/);
+        assert.deepStrictEqual(ids(await db.select({table: 'authors'})), [1, 2, 3]);
+        assert.deepStrictEqual(ids(await db.select({table: 'books'})), [1, 2, 3]);
+
+        await db.delete({table: 'authors', where: '@@id(1)'});
+        assert.deepStrictEqual(ids(await db.select({table: 'authors'})), [2, 3]);
+        assert.deepStrictEqual(ids(await db.select({table: 'books'})), [2, 3]);
+        assert.deepStrictEqual(await db.select({table: 'reviews'}), [{id: 1, bookId: 2, authorId: 2}, {id: 2, authorId: null}]);
+
+        //sort and limit select deleted rows before rules are applied
+        await db.delete({table: 'authors', sort: '(a, b) => b.id - a.id', limit: 1});
+        assert.deepStrictEqual(ids(await db.select({table: 'authors'})), [2]);
+        assert.deepStrictEqual(ids(await db.select({table: 'books'})), [2]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('referenced table is not dropped or truncated', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.drop({table: 'authors'}), /Table 'authors' is referenced by table 'books'/);
+        await assert.rejects(db.truncate({table: 'authors'}), /is referenced/);
+
+        await db.drop({in: 'books', references: {field: 'authorId'}});
+        await db.insert({table: 'books', rows: [{id: 4, authorId: 9}]});
+        await db.truncate({table: 'authors'});
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('self reference with cascade removes referring rows including cycles', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.create({table: 'emp', references: {field: 'boss', table: 'emp', onDelete: 'cascade'}});
+
+        //rows refer to rows inserted along with them
+        await db.insert({table: 'emp', rows: [{id: 1}, {id: 2, boss: 1}, {id: 3, boss: 2}, {id: 4}]});
+        await assert.rejects(db.insert({table: 'emp', rows: [{id: 5, boss: 10}]}), /Foreign key violation/);
+
+        await db.update({table: 'emp', where: '@@id(1)', set: {boss: 3}});
+        await db.delete({table: 'emp', where: '@@id(2)'});
+
+        assert.deepStrictEqual(await db.select({table: 'emp'}), [{id: 4}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('references survive reopen and apply to sharded tables', async() => {
+    const ctx = await openDb();
+    const {db, dbPath} = ctx;
+    try {
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.openAll();
+
+        await assert.rejects(db.insert({table: 'books', rows: [{authorId: 9}]}), /Foreign key violation/);
+
+        await db.create({table: 's', type: 'sharded', references: {field: 'authorId', table: 'authors', onDelete: 'cascade'}});
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'x', authorId: 9}]}), /Foreign key violation/);
+
+        await db.insert({table: 's', rows: [{shard: 'x', authorId: 3}, {shard: 'y', authorId: 3}, {shard: 'y', authorId: 2}]});
+        await db.delete({table: 'authors', where: '@@id(3)'});
+
+        assert.deepStrictEqual((await db.select({table: 's'})).map((row) => row.authorId), [2]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('cascade is rolled back with transaction', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.transaction(async() => {
+            await db.delete({table: 'authors', where: '@@id(1)'});
+            assert.deepStrictEqual(ids(await db.select({table: 'books'})), [2, 3]);
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.deepStrictEqual(ids(await db.select({table: 'authors'})).sort(), [1, 2, 3]);
+        assert.deepStrictEqual(ids(await db.select({table: 'books'})).sort(), [1, 2, 3]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('rules apply to closed referring and referenced tables', async() => {
+    const ctx = await openDb();
+    const {db, dbPath} = ctx;
+    try {
+        await db.create({table: 'reviews', references: {field: 'bookId', table: 'books'}});
+        await db.insert({table: 'reviews', rows: [{id: 1, bookId: 1}]});
+        assert.deepStrictEqual((await db.getDbInfo()).authors.referrers, [{table: 'books', field: 'authorId'}]);
+
+        //restrict of closed table deeper in cascade
+        await db.close({table: 'books'});
+        await db.close({table: 'reviews'});
+        await assert.rejects(db.delete({table: 'authors', where: '@@id(1)'}), /Delete restricted: 1 row\(s\) of table 'reviews'/);
+        await assert.rejects(db.drop({table: 'books'}), /Table 'books' is referenced by table 'reviews'/);
+
+        //cascade after reopen, only referenced table is opened
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.open({table: 'authors'});
+        await db.delete({table: 'authors', where: '@@id(3)'});
+        assert.deepStrictEqual(ids(await db.select({table: 'books'})), [1, 2]);
+
+        //referenced table is opened on insert
+        await db.close({table: 'authors'});
+        await assert.rejects(db.insert({table: 'books', rows: [{id: 4, authorId: 9}]}), /Foreign key violation/);
+
+        //dropped reference and table are removed from referrers
+        await db.drop({in: 'reviews', references: {field: 'bookId'}});
+        assert.deepStrictEqual((await db.getDbInfo()).books.referrers, []);
+        await db.drop({table: 'books'});
+        assert.deepStrictEqual((await db.getDbInfo()).authors.referrers, []);
+        await db.drop({table: 'authors'});
+    } finally {
+        await closeDb(ctx);
+    }
+});
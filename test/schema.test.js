@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+const TableSchema = require('../src/TableSchema');
+
+const schema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: {type: 'string', minLength: 1},
+        age: {type: 'integer', minimum: 0},
+        tags: {type: 'array', items: {type: 'string'}, maxItems: 3},
+        address: {type: 'object', properties: {zip: {type: 'string', pattern: '^[0-9]{5}$'}}},
+        kind: {enum: ['a', 'b']},
+    },
+};
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't', schema});
+    await db.insert({table: 't', rows: [{id: 1, name: 'x', age: 1}]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+test('schema keywords and error paths', () => {
+    const tableSchema = new TableSchema(schema);
+    const error = (row) => {
+        try {
+            tableSchema.validate(row);
+            return '';
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    assert.strictEqual(error({id: 1, name: 'x', tags: ['a'], address: {zip: '12345'}, kind: 'a'}), '');
+    assert.strictEqual(error({id: 2}), 'Schema validation failed, row id:2, field name: required field is missing');
+    assert.strictEqual(error({id: 3, name: ''}), 'Schema validation failed, row id:3, field name: length must be >= 1');
+    assert.strictEqual(error({id: 4, name: 'x', age: 1.5}), 'Schema validation failed, row id:4, field age: expected type integer, got number');
+    assert.strictEqual(error({id: 5, name: 'x', tags: ['a', 1]}), 'Schema validation failed, row id:5, field tags[1]: expected type string, got number');
+    assert.match(error({id: 6, name: 'x', address: {zip: '1'}}), /row id:6, field address\.zip: must match pattern/);
+    assert.match(error({id: 7, name: 'x', kind: 'c'}), /row id:7, field kind: value is not one of enum values/);
+    assert.match(error({id: 8, name: 'x', tags: ['a', 'b', 'c', 'd']}), /field tags: must have <= 3 items/);
+
+    const anyOf = new TableSchema({properties: {v: {anyOf: [{type: 'string'}, {type: 'integer', minimum: 1}]}}});
+    anyOf.validate({id: 9, v: 's'});
+    anyOf.validate({id: 9, v: 1});
+    assert.throws(() => anyOf.validate({id: 9, v: 0}), /field v: does not match any schema of anyOf \(v: expected type string, got number\)/);
+
+    assert.throws(() => new TableSchema({type: 'date'}), /unknown type 'date'/);
+    assert.throws(() => new TableSchema({properties: {a: {format: 'email'}}}), /Schema\.properties\.a: unsupported keyword 'format'/);
+});
+
+test('insert and update reject rows violating schema', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.insert({table: 't', rows: [{id: 2, name: 'y'}, {id: 3, age: 1}]}), /row id:3, field name: required field is missing/);
+        await assert.rejects(db.update({table: 't', where: '@@id(1)', set: {age: -1}}), /row id:1, field age: must be >= 0/);
+
+        //rejected writes leave table unchanged
+        assert.deepStrictEqual(await db.select({table: 't'}), [{id: 1, name: 'x', age: 1}]);
+
+        await db.update({table: 't', where: '@@id(1)', set: {age: 2}});
+        assert.deepStrictEqual(await db.select({table: 't'}), [{id: 1, name: 'x', age: 2}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('schema is kept by reopen, clone and truncate, and can be replaced or dropped', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        assert.deepStrictEqual((await db.getDbInfo({table: 't'})).t.schema, schema);
+
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await assert.rejects(db.insert({table: 't', rows: [{id: 2}]}), /required field is missing/);
+
+        await db.clone({table: 't', toTable: 'c'});
+        await db.open({table: 'c'});
+        assert.deepStrictEqual((await db.getDbInfo({table: 'c'})).c.schema, schema);
+        await assert.rejects(db.insert({table: 'c', rows: [{id: 2}]}), /required field is missing/);
+
+        await db.truncate({table: 'c'});
+        assert.deepStrictEqual(await db.select({table: 'c'}), []);
+        await assert.rejects(db.insert({table: 'c', rows: [{id: 2}]}), /required field is missing/);
+
+        //existing rows must conform to new schema
+        await assert.rejects(db.create({in: 't', schema: {required: ['email']}}), /row id:1, field email: required field is missing/);
+        await db.create({in: 't', schema: {properties: {name: {type: 'string'}}}});
+        await db.insert({table: 't', rows: [{id: 2}]});
+        await assert.rejects(db.insert({table: 't', rows: [{id: 3, name: 3}]}), /field name: expected type string/);
+
+        await db.drop({in: 't', schema: true});
+        assert.strictEqual((await db.getDbInfo({table: 't'})).t.schema, null);
+        await db.insert({table: 't', rows: [{id: 3, name: 3}]});
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+//same rows in basic table 'b' and sharded table 's', shards keep more rows than are read from shard at once (1000)
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'b', index: {field: 'value', type: 'number'}});
+    await db.create({table: 's', type: 'sharded', cacheShards: 1, index: {field: 'value', type: 'number'}});
+
+    const rows = [];
+    for (let i = 0; i < 3000; i++)
+        rows.push({shard: `s${i % 3}`, value: (i * 7919) % 1000, name: `n${i % 13}`});
+
+    await db.insert({table: 'b', rows});
+    await db.insert({table: 's', rows});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+async function stream(db, query) {
+    const rows = [];
+    for await (const row of db.selectStream(query))
+        rows.push(row);
+    return rows;
+}
+
+const values = (rows) => rows.map((row) => [row.value, row.name]);
+const ids = (rows) => rows.map((row) => row.id);
+
+test('stream returns rows of select', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const table of ['b', 's']) {
+            const all = await db.select({table});
+            assert.strictEqual((await stream(db, {table})).length, all.length);
+
+            const query = {table, where: '@@index("value", 100, 200)', map: '(r) => ({value: r.value, name: r.name})'};
+            const rows = await stream(db, query);
+            assert.deepStrictEqual(values(rows).sort(), values(await db.select(query)).sort(), table);
+
+            const page = await stream(db, {table, limit: 5, offset: 10});
+            assert.strictEqual(page.length, 5, table);
+        }
+
+        assert.deepStrictEqual(
+            (await stream(db, {table: 's', shards: ['s1']})).map((row) => row.shard),
+            (await db.select({table: 's', shards: ['s1']})).map((row) => row.shard)
+        );
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('rows of shards are streamed in order', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        for (const orderBy of [{field: 'value'}, {field: 'value', desc: true}, {field: 'name'}, {field: 'name', desc: true}]) {
+            //ids of tables differ, rows of equal values are ordered by id
+            const field = (rows) => rows.map((row) => row[orderBy.field]);
+            const expected = await db.select({table: 's', orderBy});
+            assert.deepStrictEqual(field(expected), field(await db.select({table: 'b', orderBy})));
+
+            assert.deepStrictEqual(ids(await stream(db, {table: 's', orderBy})), ids(expected), JSON.stringify(orderBy));
+
+            for (const [limit, offset] of [[10, 0], [10, 995], [1500, 700]]) {
+                const rows = await stream(db, {table: 's', orderBy, limit, offset});
+                assert.deepStrictEqual(ids(rows), ids(expected.slice(offset, offset + limit)), `${JSON.stringify(orderBy)}, ${limit}, ${offset}`);
+            }
+        }
+
+        //where and map are applied, rows are ordered before mapping
+        const query = {table: 's', where: {value: {$lt: 100}}, orderBy: {field: 'value', desc: true}, map: '(r) => r.value', offset: 3, limit: 50};
+        const expected = (await db.select({table: 'b', where: {value: {$lt: 100}}, orderBy: {field: 'value', desc: true}})).map((r) => r.value);
+        assert.deepStrictEqual(await stream(db, query), expected.slice(3, 53));
+        assert.deepStrictEqual(await stream(db, query), await db.select(query));
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+//same rows in basic table 'b' and sharded table 's', every value of 'cat' is in every shard
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'b'});
+    await db.create({table: 's', type: 'sharded', index: {field: 'n', type: 'number'}});
+
+    const rows = [];
+    for (let i = 0; i < 40; i++)
+        rows.push({shard: `s${i % 4}`, n: (i*7) % 40, cat: ['x', 'y', 'z'][i % 3]});
+
+    for (const table of ['b', 's'])
+        await db.insert({table, rows});
+
+    return {db, dbPath, rows};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const values = (rows) => rows.map((row) => row.n);
+
+test('distinct and group results of shards are merged', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        const distinct = await db.select({table: 's', distinct: 'cat', map: '(r) => r.cat', sort: '(a, b) => a.localeCompare(b)'});
+        assert.deepStrictEqual(distinct, ['x', 'y', 'z']);
+        assert.deepStrictEqual(await db.select({table: 's', distinct: ['cat', 'shard'], count: true}), [{count: 12}]);
+
+        const counts = {};
+        for (const row of rows)
+            counts[row.cat] = (counts[row.cat] || 0) + 1;
+
+        for (const table of ['b', 's']) {
+            const groups = await db.select({table, group: {byField: 'cat', countField: 'cnt'}, map: '(r) => [r.cat, r.cnt]',
+                sort: '(a, b) => b[1] - a[1] || a[0].localeCompare(b[0])', offset: 1, limit: 1});
+            assert.deepStrictEqual(groups, [['y', counts.y]], table);
+        }
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('sorted and ordered rows of shards are paged globally', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const cases = [
+            {sort: '(a, b) => a.n - b.n', limit: 5},
+            {sort: '(a, b) => b.n - a.n', offset: 7, limit: 6},
+            {orderBy: {field: 'n'}, offset: 3, limit: 10},
+            {orderBy: {field: 'n', desc: true}, where: {cat: 'x'}, limit: 4},
+            {sort: '(a, b) => a.n - b.n', offset: 35},
+        ];
+
+        for (const query of cases) {
+            const expected = values(await db.select(Object.assign({table: 'b'}, query)));
+            assert.deepStrictEqual(values(await db.select(Object.assign({table: 's'}, query))), expected, JSON.stringify(query));
+        }
+
+        //mapping after merging by orderBy field
+        assert.deepStrictEqual(await db.select({table: 's', orderBy: {field: 'n'}, map: '(r) => r.n * 10', limit: 3}), [0, 10, 20]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('update and delete with sort and limit apply to rows of all shards', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const updResult = await db.update({table: 's', mod: '(r) => { r.top = true; }', sort: '(a, b) => b.n - a.n', limit: 5});
+        assert.strictEqual(updResult.updated, 5);
+        assert.ok(updResult.shardList.length > 1);
+        const top = (await db.select({table: 's'})).filter((r) => r.top);
+        assert.deepStrictEqual(values(top).sort((a, b) => a - b), [35, 36, 37, 38, 39]);
+
+        const delResult = await db.delete({table: 's', sort: '(a, b) => a.n - b.n', offset: 2, limit: 3});
+        assert.strictEqual(delResult.deleted, 3);
+        const left = await db.select({table: 's', orderBy: {field: 'n'}, limit: 4});
+        assert.deepStrictEqual(values(left), [0, 1, 5, 6]);
+        assert.strictEqual((await db.select({table: 's', count: true}))[0].count, 37);
+    } finally {
+        await closeDb(ctx);
+    }
+});
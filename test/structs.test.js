@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function structNames(db, table) {
+    const meta = (await db.getDbInfo())[table];
+    const name = (opts) => (opts.name || (opts.fields ? opts.fields.join(',') : opts.field));
+
+    return {hash: meta.hash.map(name), index: meta.index.map(name)};
+}
+
+for (const type of ['basic', 'memory', 'sharded']) {
+    test(`compound and expression hashes and indexes are dropped by name (${type} table)`, async() => {
+        const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+        const db = new JembaDb();
+        try {
+            await db.lock({dbPath});
+            await db.create({
+                table: 't',
+                type,
+                hash: [
+                    {fields: ['a', 'b'], type: ['number', 'string']},
+                    {name: 'lower', expr: '(r) => r.b.toLowerCase()', type: 'string'},
+                    {field: 'a', type: 'number'},
+                ],
+                index: [
+                    {fields: ['a', 'b'], type: ['number', 'string'], name: 'ab'},
+                    {name: 'len', expr: '(r) => r.b.length', type: 'number'},
+                ],
+            });
+            await db.insert({table: 't', rows: [{shard: 's', a: 1, b: 'X'}]});
+
+            assert.deepStrictEqual(await structNames(db, 't'), {hash: ['a,b', 'lower', 'a'], index: ['ab', 'len']});
+
+            await db.drop({in: 't', hash: [{name: 'a,b'}, {name: 'lower'}], index: {name: 'ab'}});
+            assert.deepStrictEqual(await structNames(db, 't'), {hash: ['a'], index: ['len']});
+
+            await db.drop({in: 't', hash: {field: 'a'}, index: {name: 'len'}});
+            assert.deepStrictEqual(await structNames(db, 't'), {hash: [], index: []});
+
+            await assert.rejects(db.drop({in: 't', hash: {name: 'lower'}}), /Hash for field 'lower' does not exist/);
+
+            assert.strictEqual((await db.select({table: 't'})).length, 1);
+        } finally {
+            await db.unlock();
+            await fs.rm(dbPath, { recursive: true, force: true });
+        }
+    });
+}
@@ -0,0 +1,244 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+const {execFileSync} = require('child_process');
+
+const JembaDb = require('../src/JembaDb');
+const JembaDbThread = require('../src/JembaDbThread');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'a'});
+    await db.create({table: 'b'});
+    await db.insert({table: 'a', rows: [{id: 1, value: 1}]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+test('transaction commits changes of all tables', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.transaction(async() => {
+            await db.update({table: 'a', where: '@@id(1)', set: {value: 2}});
+            await db.insert({table: 'b', rows: [{id: 1}]});
+        });
+
+        assert.deepStrictEqual(await db.select({table: 'a'}), [{id: 1, value: 2}]);
+        assert.deepStrictEqual(await db.select({table: 'b'}), [{id: 1}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('transaction is rolled back on error', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.transaction(async() => {
+            await db.update({table: 'a', where: '@@id(1)', set: {value: 2}});
+            await db.insert({table: 'b', rows: [{id: 1}]});
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.deepStrictEqual(await db.select({table: 'a'}), [{id: 1, value: 1}]);
+        assert.deepStrictEqual(await db.select({table: 'b'}), []);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('rollback discards changes', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.begin();
+        await db.delete({table: 'a'});
+        await db.rollback();
+
+        assert.deepStrictEqual(await db.select({table: 'a'}), [{id: 1, value: 1}]);
+        await assert.rejects(db.commit(), /No active transaction/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('nested transaction is rejected, concurrent one waits', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        //other caller is started before begin, so it does not belong to the transaction
+        let runOther;
+        const otherCaller = new Promise((resolve) => runOther = resolve);
+        let otherDone = false;
+        const other = otherCaller.then(() => db.transaction(async() => {
+            await db.insert({table: 'b', rows: [{id: 2}]});
+            otherDone = true;
+        }));
+
+        await db.begin();
+        await assert.rejects(db.begin(), /Transaction already active/);
+        await assert.rejects(db.transaction(async() => {}), /Transaction already active/);
+
+        //waits for commit
+        runOther();
+        await db.insert({table: 'b', rows: [{id: 1}]});
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.strictEqual(otherDone, false);
+        await db.commit();
+
+        await other;
+        assert.strictEqual(otherDone, true);
+        assert.deepStrictEqual((await db.select({table: 'b'})).map((r) => r.id).sort(), [1, 2]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('changes of other callers wait and are not rolled back with transaction', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        let release;
+        const gate = new Promise((resolve) => release = resolve);
+        let started;
+        const inserted = new Promise((resolve) => started = resolve);
+
+        const tx = db.transaction(async() => {
+            await db.insert({table: 'b', rows: [{id: 1}]});
+            started();
+            await gate;
+            throw new Error('abort');
+        });
+
+        await inserted;
+        let outsideDone = false;
+        const outside = db.insert({table: 'b', rows: [{id: 2}]}).then(() => outsideDone = true);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        assert.strictEqual(outsideDone, false);
+
+        release();
+        await assert.rejects(tx, /abort/);
+        await outside;
+
+        assert.deepStrictEqual(await db.select({table: 'b'}), [{id: 2}]);
+        //caller has no transaction
+        await assert.rejects(db.commit(), /No active transaction/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('transaction of worker thread database', async() => {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDbThread();
+    try {
+        await db.lock({dbPath});
+        await db.create({table: 'b'});
+
+        let release;
+        const gate = new Promise((resolve) => release = resolve);
+        let started;
+        const inserted = new Promise((resolve) => started = resolve);
+
+        const tx = db.transaction(async() => {
+            await db.insert({table: 'b', rows: [{id: 1}]});
+            started();
+            await gate;
+            throw new Error('abort');
+        });
+
+        await inserted;
+        const outside = db.insert({table: 'b', rows: [{id: 2}]});
+        release();
+        await assert.rejects(tx, /abort/);
+        await outside;
+
+        assert.deepStrictEqual(await db.select({table: 'b'}), [{id: 2}]);
+
+        await db.begin();
+        await assert.rejects(db.begin(), /Transaction already active/);
+        await db.insert({table: 'b', rows: [{id: 3}]});
+        await db.commit();
+        assert.deepStrictEqual((await db.select({table: 'b'})).map((r) => r.id).sort(), [2, 3]);
+    } finally {
+        await db.unlock();
+        await fs.rm(dbPath, { recursive: true, force: true });
+    }
+});
+
+test('committed transaction survives reopen', async() => {
+    const ctx = await openDb();
+    const {db, dbPath} = ctx;
+    try {
+        await db.transaction(async() => {
+            await db.insert({table: 'b', rows: [{id: 1, value: 'x'}]});
+        });
+
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.openAll();
+
+        assert.deepStrictEqual(await db.select({table: 'b'}), [{id: 1, value: 'x'}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('transaction interrupted while committing is rolled back from journal on open', async() => {
+    const ctx = await openDb();
+    const {db, dbPath} = ctx;
+    try {
+        await db.insert({table: 'b', rows: [{id: 1, value: 1}]});
+        await db.unlock();
+
+        //process exits after the first table of transaction is saved
+        const script = `
+            const JembaDb = require(${JSON.stringify(require.resolve('../src/JembaDb'))});
+            const BasicTable = require(${JSON.stringify(require.resolve('../src/BasicTable'))});
+
+            const endTransaction = BasicTable.prototype._endTransaction;
+            let ended = 0;
+            BasicTable.prototype._endTransaction = async function() {
+                if (ended++)
+                    process.exit(0);
+                return await endTransaction.call(this);
+            };
+
+            (async() => {
+                const db = new JembaDb();
+                await db.lock({dbPath: ${JSON.stringify(dbPath)}});
+                await db.openAll();
+                await db.transaction(async() => {
+                    await db.update({table: 'a', where: '@@id(1)', set: {value: 2}});
+                    await db.update({table: 'b', where: '@@id(1)', set: {value: 2}});
+                    await db.insert({table: 'a', rows: [{id: 2, value: 2}]});
+                });
+                process.exit(1);
+            })().catch((e) => { console.error(e); process.exit(1); });
+        `;
+        execFileSync(process.execPath, ['-e', script], {stdio: 'inherit', timeout: 60000});
+
+        assert.ok(await fs.stat(`${dbPath}/__txjournal`));
+
+        await db.lock({dbPath, ignoreLock: true});
+        await db.openAll({autoRepair: true});
+
+        assert.deepStrictEqual(await db.select({table: 'a'}), [{id: 1, value: 1}]);
+        assert.deepStrictEqual(await db.select({table: 'b'}), [{id: 1, value: 1}]);
+        await assert.rejects(fs.stat(`${dbPath}/__txjournal`));
+    } finally {
+        await closeDb(ctx);
+    }
+});
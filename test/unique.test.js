@@ -0,0 +1,197 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 's', type: 'sharded', hash: {field: 'email', type: 'string', unique: true}});
+    await db.insert({table: 's', rows: [
+        {shard: 'a', email: 'a@x', n: 1},
+        {shard: 'b', email: 'b@x', n: 2},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+function byEmail(rows) {
+    return rows.map(({shard, email, n}) => ({shard, email, n})).sort((a, b) => (a.email < b.email ? -1 : 1));
+}
+
+test('upsert by unique key merges rows of any shard', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const result = await db.upsert({table: 's', key: 'email', rows: [
+            {shard: 'c', email: 'b@x', n: 20},//existing row of shard 'b'
+            {shard: 'c', email: 'c@x', n: 3},
+            {shard: 'd', email: 'c@x', n: 30},//same new key, merged into row of shard 'c'
+        ]});
+
+        assert.strictEqual(result.inserted, 1);
+        assert.strictEqual(result.updated, 2);
+        assert.deepStrictEqual(result.rows.map((r) => [r.inserted, r.updated]), [[false, true], [true, false], [false, true]]);
+
+        assert.deepStrictEqual(byEmail(await db.select({table: 's'})), [
+            {shard: 'a', email: 'a@x', n: 1},
+            {shard: 'b', email: 'b@x', n: 20},
+            {shard: 'c', email: 'c@x', n: 30},
+        ]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('upsert by key applies patch to existing rows', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.upsert({table: 's', key: 'email', inc: {n: 10}, rows: [{shard: 'a', email: 'b@x', n: 0}]});
+
+        assert.deepStrictEqual(byEmail(await db.select({table: 's'})), [
+            {shard: 'a', email: 'a@x', n: 1},
+            {shard: 'b', email: 'b@x', n: 12},
+        ]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('upsert by key requires unique hash or index and rejects row ids', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.upsert({table: 's', key: 'n', rows: [{shard: 'a', n: 1}]}), /Unique hash or index 'n' not found/);
+        await assert.rejects(db.upsert({table: 's', key: 'email', rows: [{id: 0, email: 'a@x'}]}), /not allowed/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('unique values are checked across shards on insert, update and upsert', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'c', email: 'a@x'}]}), /Collision for unique hash 'email'/);
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'c', email: 'c@x'}, {shard: 'd', email: 'c@x'}]}), /Collision/);
+        await assert.rejects(db.update({table: 's', where: {email: 'b@x'}, set: {email: 'a@x'}}), /Collision/);
+        await assert.rejects(db.upsert({table: 's', rows: [{shard: 'c', email: 'b@x'}]}), /Collision/);
+
+        assert.deepStrictEqual(byEmail(await db.select({table: 's'})), [
+            {shard: 'a', email: 'a@x', n: 1},
+            {shard: 'b', email: 'b@x', n: 2},
+        ]);
+
+        //deleted and changed values are free
+        await db.delete({table: 's', where: {email: 'a@x'}});
+        await db.update({table: 's', where: {email: 'b@x'}, set: {email: 'b2@x'}});
+        await db.insert({table: 's', rows: [{shard: 'c', email: 'a@x'}, {shard: 'd', email: 'b@x'}]});
+
+        assert.strictEqual((await db.select({table: 's'})).length, 3);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('unique hash is not created on duplicate values of different shards', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.insert({table: 's', rows: [{shard: 'a', code: 1}, {shard: 'b', code: 1}]});
+
+        await assert.rejects(db.create({in: 's', index: {field: 'code', type: 'number', unique: true}}), /Collision for unique index 'code'/);
+        assert.deepStrictEqual((await db.getDbInfo()).s.index, []);
+
+        await db.create({in: 's', index: {field: 'n', type: 'number', unique: true, allowUndef: true}});
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'c', n: 2}]}), /Collision for unique index 'n'/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('keys directory survives reopen, is rebuilt if lost and removed with last unique hash', async() => {
+    const ctx = await openDb();
+    const {db, dbPath} = ctx;
+    try {
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.openAll();
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'c', email: 'b@x'}]}), /Collision/);
+
+        await db.unlock();
+        await fs.rm(`${dbPath}/s/keys`, { recursive: true, force: true });
+        await db.lock({dbPath});
+        await db.openAll();
+        await assert.rejects(db.insert({table: 's', rows: [{shard: 'c', email: 'b@x'}]}), /Collision/);
+
+        await db.drop({in: 's', hash: {field: 'email'}});
+        await db.insert({table: 's', rows: [{shard: 'c', email: 'b@x'}]});
+        await assert.rejects(fs.access(`${dbPath}/s/keys`));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('insert onConflict finds existing rows across shards', async() => {
+    for (const action of ['ignore', 'replace', 'merge']) {
+        const ctx = await openDb();
+        const {db} = ctx;
+        try {
+            const result = await db.insert({table: 's', onConflict: {field: 'email', action}, rows: [
+                {shard: 'c', email: 'b@x', x: 1},//existing row of shard 'b'
+                {shard: 'c', email: 'c@x', n: 3},
+            ]});
+
+            const replaced = (action === 'ignore' ? 0 : 1);
+            assert.strictEqual(result.inserted, 1);
+            assert.strictEqual(result.replaced, replaced);
+            assert.deepStrictEqual(result.conflicts.map(({row, field, value}) => ({row, field, value})), [{row: 0, field: 'email', value: 'b@x'}]);
+
+            const rows = await db.select({table: 's', where: {email: 'b@x'}});
+            assert.strictEqual(rows.length, 1);
+            assert.strictEqual(rows[0].id, result.conflicts[0].id);
+            assert.strictEqual(rows[0].shard, 'b');
+            assert.deepStrictEqual([rows[0].n, rows[0].x], {ignore: [2, undefined], replace: [undefined, 1], merge: [2, 1]}[action]);
+
+            assert.strictEqual((await db.select({table: 's'})).length, 3);
+        } finally {
+            await closeDb(ctx);
+        }
+    }
+});
+
+test('insert onConflict still checks other unique values', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await db.create({in: 's', hash: {field: 'login', type: 'string', unique: true, allowUndef: true}});
+        await db.update({table: 's', where: {email: 'a@x'}, set: {login: 'a'}});
+
+        //conflicting row keeps login of existing row
+        await db.insert({table: 's', onConflict: {field: 'email', action: 'merge'}, rows: [{shard: 'c', email: 'a@x', login: 'a', n: 10}]});
+
+        await assert.rejects(
+            db.insert({table: 's', onConflict: {field: 'email', action: 'merge'}, rows: [{shard: 'c', email: 'b@x', login: 'a'}]}),
+            /Collision for unique hash 'login'/
+        );
+
+        assert.deepStrictEqual(byEmail(await db.select({table: 's'})), [
+            {shard: 'a', email: 'a@x', n: 10},
+            {shard: 'b', email: 'b@x', n: 2},
+        ]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
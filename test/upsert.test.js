@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 't', hash: {field: 'isbn', type: 'string', unique: true, allowUndef: true}});
+    await db.insert({table: 't', rows: [
+        {id: 1, isbn: 'i1', title: 'a', n: 1},
+        {id: 2, isbn: 'i2', title: 'b', n: 2},
+    ]});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const all = async(db) => await db.select({table: 't', sort: '(a, b) => a.id - b.id'});
+
+test('upsert by id inserts absent rows and merges fields into existing ones', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const result = await db.upsert({table: 't', rows: [
+            {id: 1, title: 'a2'},
+            {id: 5, isbn: 'i5', title: 'e'},
+            {title: 'f'},//new id
+        ]});
+
+        assert.deepStrictEqual(result, {inserted: 2, updated: 1, lastInsertId: 6, rows: [
+            {id: 1, inserted: false, updated: true},
+            {id: 5, inserted: true, updated: false},
+            {id: 6, inserted: true, updated: false},
+        ]});
+        assert.deepStrictEqual(await all(db), [
+            {id: 1, isbn: 'i1', title: 'a2', n: 1},
+            {id: 2, isbn: 'i2', title: 'b', n: 2},
+            {id: 5, isbn: 'i5', title: 'e'},
+            {id: 6, title: 'f'},
+        ]);
+
+        //only query.merge fields
+        await db.upsert({table: 't', merge: ['n'], rows: [{id: 2, title: 'x', n: 20}]});
+        assert.deepStrictEqual(await db.select({table: 't', where: '@@id(2)'}), [{id: 2, isbn: 'i2', title: 'b', n: 20}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('upsert by unique key applies patch, rows of same key are merged in order', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const result = await db.upsert({table: 't', key: 'isbn', inc: {n: 10}, push: {log: 'up'}, rows: [
+            {isbn: 'i2', n: 0},
+            {isbn: 'i3', n: 3},
+            {isbn: 'i3', n: 0},//merged into row inserted above
+        ]});
+
+        assert.deepStrictEqual(result.rows.map((r) => [r.id, r.inserted, r.updated]), [[2, false, true], [3, true, false], [3, false, true]]);
+        assert.deepStrictEqual(await all(db), [
+            {id: 1, isbn: 'i1', title: 'a', n: 1},
+            {id: 2, isbn: 'i2', title: 'b', n: 12, log: ['up']},
+            {id: 3, isbn: 'i3', n: 13, log: ['up']},
+        ]);
+
+        await assert.rejects(db.upsert({table: 't', key: 'title', rows: [{title: 'a'}]}), /Unique hash or index 'title' not found/);
+        await assert.rejects(db.upsert({table: 't', merge: ['n'], set: {n: 1}, rows: [{id: 1}]}), /but not both/);
+        await assert.rejects(db.upsert({table: 't', merge: 'n', rows: [{id: 1}]}), /query.merge must be an array/);
+        //unique value of other row
+        await assert.rejects(db.upsert({table: 't', rows: [{id: 1, isbn: 'i2'}]}), /Collision for unique hash/);
+        assert.deepStrictEqual(await db.select({table: 't', where: '@@id(1)'}), [{id: 1, isbn: 'i1', title: 'a', n: 1}]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+const {execFileSync} = require('child_process');
+
+const JembaDb = require('../src/JembaDb');
+
+//inserts rows in separate process and exits without closing the database
+function crashAfterInsert(dbPath, rows) {
+    const script = `
+        const JembaDb = require(${JSON.stringify(require.resolve('../src/JembaDb'))});
+        (async() => {
+            const db = new JembaDb();
+            await db.lock({dbPath: ${JSON.stringify(dbPath)}});
+            await db.open({table: 't', durability: 'fsync'});
+            await db.insert({table: 't', rows: ${JSON.stringify(rows)}});
+            process.exit(0);
+        })().catch((e) => { console.error(e); process.exit(1); });
+    `;
+
+    execFileSync(process.execPath, ['-e', script], {stdio: 'inherit', timeout: 60000});
+}
+
+test('rows are replayed from wal after crash, new inserts get new ids', async() => {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    try {
+        await db.lock({dbPath});
+        await db.create({table: 't', durability: 'fsync'});
+        await db.unlock();
+
+        crashAfterInsert(dbPath, [{value: 'a'}, {value: 'b'}]);
+
+        //lock file of crashed process is left, table files may be left unsaved
+        await db.lock({dbPath, ignoreLock: true});
+        await db.open({table: 't', durability: 'fsync', autoRepair: true});
+
+        assert.deepStrictEqual(await db.select({table: 't'}), [{id: 0, value: 'a'}, {id: 1, value: 'b'}]);
+
+        const result = await db.insert({table: 't', rows: [{value: 'c'}]});
+        assert.strictEqual(result.lastInsertId, 2);
+        assert.strictEqual((await db.select({table: 't'})).length, 3);
+
+        //replayed rows and new ones survive regular reopen
+        await db.unlock();
+        await db.lock({dbPath});
+        await db.open({table: 't'});
+
+        await db.insert({table: 't', rows: [{value: 'd'}]});
+        assert.deepStrictEqual((await db.select({table: 't'})).map((r) => r.id), [0, 1, 2, 3]);
+    } finally {
+        await db.unlock();
+        await fs.rm(dbPath, { recursive: true, force: true });
+    }
+});
+
+test('updates and deletes are replayed from wal after crash', async() => {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    try {
+        await db.lock({dbPath});
+        await db.create({table: 't', durability: 'fsync'});
+        await db.insert({table: 't', rows: [{id: 1, value: 1}, {id: 2, value: 2}]});
+        await db.unlock();
+
+        const script = `
+            const JembaDb = require(${JSON.stringify(require.resolve('../src/JembaDb'))});
+            (async() => {
+                const db = new JembaDb();
+                await db.lock({dbPath: ${JSON.stringify(dbPath)}});
+                await db.open({table: 't', durability: 'fsync'});
+                await db.update({table: 't', where: '@@id(1)', set: {value: 10}});
+                await db.delete({table: 't', where: '@@id(2)'});
+                process.exit(0);
+            })().catch((e) => { console.error(e); process.exit(1); });
+        `;
+        execFileSync(process.execPath, ['-e', script], {stdio: 'inherit', timeout: 60000});
+
+        //lock file of crashed process is left, table files may be left unsaved
+        await db.lock({dbPath, ignoreLock: true});
+        await db.open({table: 't', durability: 'fsync', autoRepair: true});
+
+        assert.deepStrictEqual(await db.select({table: 't'}), [{id: 1, value: 10}]);
+    } finally {
+        await db.unlock();
+        await fs.rm(dbPath, { recursive: true, force: true });
+    }
+});
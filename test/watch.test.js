@@ -0,0 +1,162 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+const JembaDbThread = require('../src/JembaDbThread');
+
+async function openDb(DbClass = JembaDb) {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new DbClass();
+    await db.lock({dbPath});
+
+    await db.create({table: 't'});
+    await db.create({table: 's', type: 'sharded'});
+
+    return {db, dbPath};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+//iteration is started at once, so no change is missed, leaving the iteration closes watcher
+function collect(watcher, count) {
+    return (async() => {
+        const changes = [];
+        for await (const change of watcher) {
+            changes.push(change);
+            if (changes.length >= count)
+                break;
+        }
+        return changes;
+    })();
+}
+
+const brief = (changes) => changes.map((c) => [c.event, c.id, c.oldRow, c.newRow]);
+
+test('watcher receives changes of table', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const watcher = await db.watch({table: 't'});
+        const emitted = [];
+        watcher.on('change', (change) => emitted.push(change));
+        const changes = collect(watcher, 3);
+
+        await db.insert({table: 't', rows: [{id: 1, v: 1}]});
+        await db.update({table: 't', where: '@@id(1)', set: {v: 2}});
+        await db.delete({table: 't', where: '@@id(1)'});
+
+        const expected = [
+            ['insert', 1, undefined, {id: 1, v: 1}],
+            ['update', 1, {id: 1, v: 1}, {id: 1, v: 2}],
+            ['delete', 1, {id: 1, v: 2}, undefined],
+        ];
+        assert.deepStrictEqual(brief(await changes), expected);
+        assert.deepStrictEqual(brief(emitted), expected);
+        assert.ok(emitted.every((c) => c.table === 't'));
+
+        //closed by leaving the iteration
+        assert.strictEqual(watcher.closed, true);
+        await db.insert({table: 't', rows: [{id: 2}]});
+        assert.strictEqual(emitted.length, 3);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('watcher filters events and rows', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.watch({table: 't', events: ['upsert']}), /Unknown event 'upsert'/);
+        await assert.rejects(db.watch({}), /'query.table' parameter is required/);
+
+        //old row of update is checked too
+        const watcher = await db.watch({table: 't', where: '(r) => r.v > 10', events: ['insert', 'update']});
+        const changes = collect(watcher, 3);
+
+        await db.insert({table: 't', rows: [{id: 1, v: 1}, {id: 2, v: 20}]});
+        await db.update({table: 't', where: '@@id(1)', set: {v: 30}});
+        await db.update({table: 't', where: '@@id(2)', set: {v: 0}});
+        await db.delete({table: 't', where: '@@id(1)'});
+
+        assert.deepStrictEqual((await changes).map((c) => [c.event, c.id]), [['insert', 2], ['update', 1], ['update', 2]]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('changes of transaction are emitted on commit only', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const emitted = [];
+        const watcher = await db.watch({table: 't'});
+        watcher.on('change', (change) => emitted.push(change));
+
+        await db.begin();
+        await db.insert({table: 't', rows: [{id: 1}]});
+        assert.strictEqual(emitted.length, 0);
+        await db.rollback();
+        assert.strictEqual(emitted.length, 0);
+
+        await db.transaction(async() => {
+            await db.insert({table: 't', rows: [{id: 2}]});
+            await db.insert({table: 't', rows: [{id: 3}]});
+            assert.strictEqual(emitted.length, 0);
+        });
+        assert.deepStrictEqual(emitted.map((c) => c.id), [2, 3]);
+
+        await db.unwatch({id: watcher.id});
+        assert.strictEqual(watcher.closed, true);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('watching survives table reopening and covers shards', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        const watcher = await db.watch({table: 't'});
+        const shardWatcher = await db.watch({table: 's', events: ['insert']});
+        const changes = collect(watcher, 2);
+        const shardChanges = collect(shardWatcher, 3);
+
+        await db.insert({table: 't', rows: [{id: 1}]});
+        await db.close({table: 't'});
+        await db.open({table: 't'});
+        await db.insert({table: 't', rows: [{id: 2}]});
+        assert.deepStrictEqual((await changes).map((c) => c.id), [1, 2]);
+
+        await db.insert({table: 's', rows: [{shard: 'a', v: 1}, {shard: 'b', v: 2}]});
+        await db.insert({table: 's', rows: [{shard: 'c', v: 3}]});
+        const rows = (await shardChanges).map((c) => c.newRow);
+        assert.deepStrictEqual(rows.map((r) => [r.shard, r.v]).sort(), [['a', 1], ['b', 2], ['c', 3]]);
+        assert.ok((await shardChanges).every((c) => c.table === 's'));
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('watcher of worker thread database', async() => {
+    const ctx = await openDb(JembaDbThread);
+    const {db} = ctx;
+    try {
+        const watcher = await db.watch({table: 't', where: '(r) => r.id > 1'});
+        const changes = collect(watcher, 2);
+
+        await db.insert({table: 't', rows: [{id: 1}, {id: 2}]});
+        await db.delete({table: 't', where: '@@id(2)'});
+
+        assert.deepStrictEqual(brief(await changes), [['insert', 2, undefined, {id: 2}], ['delete', 2, {id: 2}, undefined]]);
+    } finally {
+        await closeDb(ctx);
+    }
+});
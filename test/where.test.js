@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs').promises;
+
+const JembaDb = require('../src/JembaDb');
+
+//same rows in table 'i' with hash, index and flag, and in table 'n' without them
+async function openDb() {
+    const dbPath = await fs.mkdtemp(`${os.tmpdir()}/jembadb-test-`);
+    const db = new JembaDb();
+    await db.lock({dbPath});
+
+    await db.create({table: 'i',
+        hash: {field: 'city', type: 'string', allowUndef: true},
+        index: [{field: 'age', type: 'number', allowUndef: true}, {field: 'name', type: 'string', allowUndef: true}],
+        flag: {name: 'adult', check: '(r) => r.age >= 18'},
+    });
+    await db.create({table: 'n'});
+
+    const cities = ['Paris', 'Rome', 'Oslo', undefined];
+    const rows = [];
+    for (let i = 0; i < 200; i++) {
+        const row = {id: i, name: `name${i % 37}`, age: i % 50, city: cities[i % 4], addr: {zip: `${i % 5}`}};
+        if (i % 10 === 0)
+            delete row.age;
+        rows.push(row);
+    }
+    rows.push({id: 200, name: 'x@y', age: 30, city: 'Paris'});
+
+    await db.insert({table: 'i', rows});
+    await db.insert({table: 'n', rows});
+
+    return {db, dbPath, rows};
+}
+
+async function closeDb({db, dbPath}) {
+    await db.unlock();
+    await fs.rm(dbPath, { recursive: true, force: true });
+}
+
+const ids = (rows) => rows.map((row) => row.id).sort((a, b) => a - b);
+
+test('declarative where selects the same rows with and without indexes', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        const cases = [
+            [{city: 'Paris'}, (r) => r.city === 'Paris'],
+            [{city: {$in: ['Rome', 'Oslo']}}, (r) => ['Rome', 'Oslo'].includes(r.city)],
+            [{city: {$ne: 'Paris'}}, (r) => r.city !== 'Paris'],
+            [{city: {$nin: ['Paris', 'Rome']}}, (r) => !['Paris', 'Rome'].includes(r.city)],
+            [{city: {$exists: false}}, (r) => r.city === undefined],
+            [{age: {$gte: 18, $lt: 30}}, (r) => typeof(r.age) === 'number' && r.age >= 18 && r.age < 30],
+            [{age: {$gt: 45}}, (r) => typeof(r.age) === 'number' && r.age > 45],
+            [{age: {$gt: 10, $gte: 12, $lte: 20}}, (r) => typeof(r.age) === 'number' && r.age >= 12 && r.age <= 20],
+            [{age: 30}, (r) => r.age === 30],
+            [{name: {$gte: 'name3', $lt: 'name4'}}, (r) => r.name.localeCompare('name3', 'en') >= 0 && r.name.localeCompare('name4', 'en') < 0],
+            [{name: 'x@y'}, (r) => r.name === 'x@y'],
+            [{'addr.zip': '3'}, (r) => !!r.addr && r.addr.zip === '3'],
+            [{city: 'Paris', age: {$lt: 20}}, (r) => r.city === 'Paris' && typeof(r.age) === 'number' && r.age < 20],
+            [{$or: [{city: 'Oslo'}, {age: {$lte: 5}}]}, (r) => r.city === 'Oslo' || (typeof(r.age) === 'number' && r.age <= 5)],
+            [{$or: [{city: 'Oslo'}, {name: 'name1'}], age: {$exists: true}}, (r) => (r.city === 'Oslo' || r.name === 'name1') && r.age !== undefined],
+            [{$and: [{age: {$gte: 10}}, {age: {$lt: 15}}], $or: [{city: 'Rome'}, {city: 'Paris'}]},
+                (r) => typeof(r.age) === 'number' && r.age >= 10 && r.age < 15 && ['Rome', 'Paris'].includes(r.city)],
+            [{id: {$in: [1, 2, 3, 500]}}, (r) => [1, 2, 3].includes(r.id)],
+            [{id: 6, city: 'Oslo'}, (r) => r.id === 6 && r.city === 'Oslo'],
+        ];
+
+        for (const [where, filter] of cases) {
+            const expected = rows.filter(filter).map((r) => r.id);
+            assert.ok(expected.length, JSON.stringify(where));
+
+            assert.deepStrictEqual(ids(await db.select({table: 'i', where})), expected, `i: ${JSON.stringify(where)}`);
+            assert.deepStrictEqual(ids(await db.select({table: 'n', where})), expected, `n: ${JSON.stringify(where)}`);
+        }
+
+        //values of other type than index are not found by index and by scan
+        assert.deepStrictEqual(await db.select({table: 'i', where: {age: '30'}}), []);
+        assert.deepStrictEqual(await db.select({table: 'n', where: {age: {$gt: '3'}}}), []);
+
+        //flag
+        const adults = rows.filter((r) => r.age >= 18 && r.city === 'Rome').map((r) => r.id);
+        assert.deepStrictEqual(ids(await db.select({table: 'i', where: {$flag: 'adult', city: 'Rome'}})), adults);
+        await assert.rejects(db.select({table: 'n', where: {$flag: 'adult'}}), /Flag with name 'adult' does not exist/);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('declarative where of update, delete and sharded table', async() => {
+    const ctx = await openDb();
+    const {db, rows} = ctx;
+    try {
+        for (const table of ['i', 'n']) {
+            const result = await db.update({table, where: {city: 'Rome', age: {$lt: 10}}, set: {young: true}});
+            assert.strictEqual(result.updated, rows.filter((r) => r.city === 'Rome' && r.age < 10).length);
+            assert.deepStrictEqual(ids(await db.select({table, where: {young: true}})), ids(await db.select({table, where: {city: 'Rome', age: {$lt: 10}}})));
+
+            await db.delete({table, where: {$or: [{city: 'Paris'}, {young: {$exists: true}}]}});
+            const left = await db.select({table});
+            assert.ok(left.length && left.every((r) => r.city !== 'Paris' && !r.young));
+        }
+
+        await db.create({table: 's', type: 'sharded', hash: {field: 'city', type: 'string', allowUndef: true}});
+        await db.insert({table: 's', rows: rows.map((r) => Object.assign({shard: `s${r.id % 3}`}, r, {id: undefined}))});
+        const shardRows = await db.select({table: 's', where: {city: 'Oslo', age: {$gte: 20}}});
+        assert.strictEqual(shardRows.length, rows.filter((r) => r.city === 'Oslo' && r.age >= 20).length);
+    } finally {
+        await closeDb(ctx);
+    }
+});
+
+test('declarative where errors', async() => {
+    const ctx = await openDb();
+    const {db} = ctx;
+    try {
+        await assert.rejects(db.select({table: 'i', where: {age: {$regex: 'a'}}}), /Query where\.age: unknown operator '\$regex'/);
+        await assert.rejects(db.select({table: 'i', where: {$not: {age: 1}}}), /Query where: unknown operator '\$not'/);
+        await assert.rejects(db.select({table: 'i', where: {age: {$in: 1}}}), /Query where\.age\.\$in must be an array/);
+        await assert.rejects(db.select({table: 'i', where: {age: {$gt: true}}}), /Query where\.age\.\$gt must be a number or a string/);
+        await assert.rejects(db.select({table: 'i', where: {$or: []}}), /Query where\.\$or must be a non-empty array/);
+        await assert.rejects(db.select({table: 'i', where: {$and: [{age: 1}, []]}}), /Query where\.\$and\[1\] must be an object/);
+    } finally {
+        await closeDb(ctx);
+    }
+});